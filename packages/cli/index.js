@@ -15,13 +15,16 @@ const { pageVueServerRenderer } = require('@markbind/core/src/Page/PageVueServer
 
 const fsUtil = require('@markbind/core/src/utils/fsUtil');
 const {
+  CACHE_FOLDER_PATH,
   INDEX_MARKDOWN_FILE,
   INDEX_MARKBIND_FILE,
   LAZY_LOADING_SITE_FILE_NAME,
 } = require('@markbind/core/src/Site/constants');
 
 const liveServer = require('./src/lib/live-server');
+const checkReportFormatter = require('./src/util/checkReportFormatter');
 const cliUtil = require('./src/util/cliUtil');
+const { createLocalSearchMiddleware } = require('./src/util/localSearchMiddleware');
 const logger = require('./src/util/logger');
 
 const {
@@ -31,9 +34,12 @@ const {
 const CLI_VERSION = require('./package.json').version;
 
 process.title = 'MarkBind';
-process.stdout.write(
-  `${String.fromCharCode(27)}]0; MarkBind${String.fromCharCode(7)}`,
-);
+// Set the terminal title, which should not end up in piped output (e.g. markbind check --format json)
+if (process.stdout.isTTY) {
+  process.stdout.write(
+    `${String.fromCharCode(27)}]0; MarkBind${String.fromCharCode(7)}`,
+  );
+}
 
 function printHeader() {
   logger.logo();
@@ -100,6 +106,7 @@ program
   .alias('s')
   .description('build then serve a website from a directory')
   .option('-f, --force-reload', 'force a full reload of all site files when a file is changed')
+  .option('-j, --jobs <n>', 'number of worker threads to generate pages with (default: 1)')
   .option('-n, --no-open', 'do not automatically open the site in browser')
   .option('-o, --one-page [file]', 'build and serve only a single page in the site initially,'
     + 'building more pages when they are navigated to. Also lazily rebuilds only the page being viewed when'
@@ -115,8 +122,10 @@ program
     }
 
     let rootFolder;
+    let jobs;
     try {
       rootFolder = cliUtil.findRootFolder(userSpecifiedRoot, options.siteConfig);
+      jobs = cliUtil.parseJobs(options.jobs);
 
       if (options.forceReload && options.onePage) {
         handleError(new Error('Oops! You shouldn\'t need to use the --force-reload option with --one-page.'));
@@ -124,6 +133,7 @@ program
       }
     } catch (err) {
       handleError(err);
+      process.exit();
     }
     const logsFolder = path.join(rootFolder, '_markbind/logs');
     const outputFolder = path.join(rootFolder, '_site');
@@ -144,7 +154,7 @@ program
 
     const site = new Site(rootFolder, outputFolder, onePagePath,
                           options.forceReload, options.siteConfig, options.dev,
-                          options.backgroundBuild, reloadAfterBackgroundBuild);
+                          options.backgroundBuild, reloadAfterBackgroundBuild, undefined, jobs);
 
     const syncOpenedPages = () => {
       logger.info('Synchronizing opened pages list before reload');
@@ -231,6 +241,11 @@ program
             .forEach(middleware => serverConfig.middleware.push(middleware));
         }
 
+        const algoliaContext = config.pluginsContext.algolia;
+        if (config.plugins.includes('algolia') && algoliaContext && algoliaContext.localSearch) {
+          serverConfig.middleware.push(createLocalSearchMiddleware(site, algoliaContext));
+        }
+
         if (onePagePath) {
           const lazyReloadMiddleware = function (req, res, next) {
             const urlExtension = path.posix.extname(req.url);
@@ -283,6 +298,7 @@ program
           ignored: [
             logsFolder,
             outputFolder,
+            path.join(rootFolder, CACHE_FOLDER_PATH),
             /(^|[/\\])\../,
             x => x.endsWith('___jb_tmp___'), x => x.endsWith('___jb_old___'), // IDE temp files
           ],
@@ -311,21 +327,28 @@ program
   .alias('b')
   .option('--baseUrl [baseUrl]',
           'optional flag which overrides baseUrl in site.json, leave argument empty for empty baseUrl')
+  .option('-i, --incremental', 'only regenerate pages whose source files or dependencies have changed'
+    + ' since the last build')
+  .option('-j, --jobs <n>', 'number of worker threads to generate pages with (default: 1)')
   .option('-s, --site-config <file>', 'specify the site config file (default: site.json)')
   .description('build a website')
   .action((userSpecifiedRoot, output, options) => {
     // if --baseUrl contains no arguments (options.baseUrl === true) then set baseUrl to empty string
     const baseUrl = _.isBoolean(options.baseUrl) ? '' : options.baseUrl;
     let rootFolder;
+    let jobs;
     try {
       rootFolder = cliUtil.findRootFolder(userSpecifiedRoot, options.siteConfig);
+      jobs = cliUtil.parseJobs(options.jobs);
     } catch (err) {
       handleError(err);
+      process.exit();
     }
     const defaultOutputRoot = path.join(rootFolder, '_site');
     const outputFolder = output ? path.resolve(process.cwd(), output) : defaultOutputRoot;
     printHeader();
-    new Site(rootFolder, outputFolder, undefined, undefined, options.siteConfig)
+    new Site(rootFolder, outputFolder, undefined, undefined, options.siteConfig,
+             undefined, undefined, undefined, options.incremental, jobs)
       .generate(baseUrl)
       .then(() => {
         logger.info('Build success!');
@@ -336,18 +359,72 @@ program
 program
   .command('deploy')
   .alias('d')
-  .description('deploy the site to the repo\'s Github pages')
+  .description('deploy the site to the repo\'s Github pages, or the configured deploy provider')
   .option('-c, --ci [githubTokenName]', 'deploy the site in CI Environment [GITHUB_TOKEN]')
+  .option('-n, --dry-run', 'list the files deploying would add, change and remove, without deploying')
+  .option('-p, --preview <name>', 'deploy the site as a preview with the name, alongside the deployed site')
   .option('-s, --site-config <file>', 'specify the site config file (default: site.json)')
   .action((options) => {
     const rootFolder = path.resolve(process.cwd());
     const outputRoot = path.join(rootFolder, '_site');
-    new Site(rootFolder, outputRoot, undefined, undefined, options.siteConfig).deploy(options.ci)
-      .then(depUrl => (depUrl !== null ? logger.info(`Deployed at ${depUrl}!`) : logger.info('Deployed!')))
-      .catch(handleError);
+    const site = new Site(rootFolder, outputRoot, undefined, undefined, options.siteConfig);
+    if (options.dryRun) {
+      site.getDeployDiff(options.ci, options.preview)
+        .then(diff => logger.info(cliUtil.formatDeployDiff(diff)))
+        .catch(handleError);
+    } else {
+      site.deploy(options.ci, options.preview)
+        .then(depUrl => (depUrl !== null ? logger.info(`Deployed at ${depUrl}!`) : logger.info('Deployed!')))
+        .catch(handleError);
+    }
     printHeader();
   });
 
+program
+  .command('check [root]')
+  .alias('c')
+  .description('check a website for broken links and anchors, missing includes and unused files')
+  .option('-f, --format <format>', 'format of the report: text, json or junit', 'text')
+  .option('-o, --output <file>', 'write the report to a file instead of the console')
+  .option('-s, --site-config <file>', 'specify the site config file (default: site.json)')
+  .action((userSpecifiedRoot, options) => {
+    let rootFolder;
+    let formatReport;
+    try {
+      rootFolder = cliUtil.findRootFolder(userSpecifiedRoot, options.siteConfig);
+      formatReport = checkReportFormatter.getReportFormatter(options.format);
+    } catch (err) {
+      handleError(err);
+      process.exit();
+    }
+    const outputFolder = path.join(rootFolder, '_site');
+
+    const isReportPrintedToConsole = !options.output;
+    if (isReportPrintedToConsole && options.format !== 'text') {
+      logger.useErrorConsole();
+    } else {
+      printHeader();
+    }
+
+    new Site(rootFolder, outputFolder, undefined, undefined, options.siteConfig)
+      .check()
+      .then(async (report) => {
+        const formattedReport = formatReport(report);
+        if (isReportPrintedToConsole) {
+          logger.log(formattedReport);
+        } else {
+          const reportPath = path.resolve(process.cwd(), options.output);
+          await fs.outputFile(reportPath, formattedReport);
+          logger.info(`Check report written to ${reportPath}`);
+        }
+
+        if (report.issues.some(issue => issue.severity === 'error')) {
+          process.exitCode = 1;
+        }
+      })
+      .catch(handleError);
+  });
+
 program.parse(process.argv);
 
 if (!program.args.length
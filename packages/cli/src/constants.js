@@ -1,5 +1,5 @@
 module.exports = {
   // index.js
-  ACCEPTED_COMMANDS: ['init', 'build', 'serve', 'deploy'],
-  ACCEPTED_COMMANDS_ALIAS: ['i', 'b', 's', 'd'],
+  ACCEPTED_COMMANDS: ['init', 'build', 'serve', 'deploy', 'check'],
+  ACCEPTED_COMMANDS_ALIAS: ['i', 'b', 's', 'd', 'c'],
 };
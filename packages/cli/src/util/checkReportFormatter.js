@@ -0,0 +1,120 @@
+const { CHECK_SEVERITIES, CHECK_TYPES } = require('@markbind/core/src/Site/SiteChecker');
+const { escapeXml } = require('@markbind/core/src/utils/xmlUtil');
+
+const CHECK_TYPE_TITLES = {
+  [CHECK_TYPES.BROKEN_LINK]: 'Broken links',
+  [CHECK_TYPES.BROKEN_EXTERNAL_LINK]: 'Broken external links',
+  [CHECK_TYPES.MISSING_ANCHOR]: 'Links to missing anchors',
+  [CHECK_TYPES.MISSING_INCLUDE]: 'Missing includes',
+  [CHECK_TYPES.UNUSED_FILE]: 'Unused files',
+};
+
+function countIssues(issues, severity) {
+  return issues.filter(issue => issue.severity === severity).length;
+}
+
+function describeIssueLocation(issue) {
+  return issue.page && issue.page !== issue.file
+    ? `${issue.file} (included in ${issue.page})`
+    : issue.file;
+}
+
+function formatText(report) {
+  const { pages, issues } = report;
+  const numErrors = countIssues(issues, CHECK_SEVERITIES.ERROR);
+  const numWarnings = countIssues(issues, CHECK_SEVERITIES.WARNING);
+  const lines = [`Checked ${pages.length} pages: ${numErrors} errors, ${numWarnings} warnings`];
+
+  Object.values(CHECK_TYPES).forEach((type) => {
+    const issuesOfType = issues.filter(issue => issue.type === type);
+    if (issuesOfType.length === 0) {
+      return;
+    }
+    lines.push('', `${CHECK_TYPE_TITLES[type]}:`);
+    issuesOfType.forEach((issue) => {
+      lines.push(`  [${issue.severity}] ${describeIssueLocation(issue)}: ${issue.message}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Formats the report as JUnit XML, with a test suite for each type of check.
+ * Each page checked is a test case of the page level checks, failing with the errors found in it.
+ * Unused files are warnings, hence are reported as skipped test cases so as not to fail the build.
+ */
+function formatJUnit(report) {
+  const { pages, issues } = report;
+  const pageCheckTypes = [
+    CHECK_TYPES.BROKEN_LINK,
+    CHECK_TYPES.BROKEN_EXTERNAL_LINK,
+    CHECK_TYPES.MISSING_ANCHOR,
+    CHECK_TYPES.MISSING_INCLUDE,
+  ];
+
+  const testSuites = pageCheckTypes.map((type) => {
+    let numFailures = 0;
+    const testCases = pages.map((page) => {
+      const pageIssues = issues.filter(issue => issue.type === type && issue.page === page);
+      if (pageIssues.length === 0) {
+        return `    <testcase classname="${type}" name="${escapeXml(page)}"/>`;
+      }
+      numFailures += 1;
+      const details = pageIssues
+        .map(issue => `${describeIssueLocation(issue)}: ${issue.message}`)
+        .join('\n');
+      return `    <testcase classname="${type}" name="${escapeXml(page)}">\n`
+        + `      <failure message="${pageIssues.length} ${CHECK_TYPE_TITLES[type].toLowerCase()}"`
+        + ` type="${type}">${escapeXml(details)}</failure>\n`
+        + '    </testcase>';
+    });
+    return `  <testsuite name="${type}" tests="${pages.length}" failures="${numFailures}">\n`
+      + `${testCases.join('\n')}\n`
+      + '  </testsuite>';
+  });
+
+  const unusedFiles = issues.filter(issue => issue.type === CHECK_TYPES.UNUSED_FILE);
+  const unusedFileTestCases = unusedFiles.map(issue => (
+    `    <testcase classname="${CHECK_TYPES.UNUSED_FILE}" name="${escapeXml(issue.file)}">\n`
+    + `      <skipped message="${escapeXml(issue.message)}"/>\n`
+    + '    </testcase>'));
+  testSuites.push(`  <testsuite name="${CHECK_TYPES.UNUSED_FILE}" tests="${unusedFiles.length}"`
+    + ` failures="0" skipped="${unusedFiles.length}">\n`
+    + `${unusedFileTestCases.map(testCase => `${testCase}\n`).join('')}`
+    + '  </testsuite>');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<testsuites name="markbind check">\n'
+    + `${testSuites.join('\n')}\n`
+    + '</testsuites>';
+}
+
+const REPORT_FORMATTERS = {
+  text: formatText,
+  json: formatJson,
+  junit: formatJUnit,
+};
+
+module.exports = {
+  /**
+   * Returns the formatter of a `markbind check` report for the given format.
+   * @param {string} format one of 'text', 'json' or 'junit'
+   * @returns {function(Object<string, any>): string}
+   */
+  getReportFormatter: (format) => {
+    const formatter = REPORT_FORMATTERS[format];
+    if (!formatter) {
+      throw new Error(`Unsupported report format '${format}', `
+        + `please specify one of: ${Object.keys(REPORT_FORMATTERS).join(', ')}`);
+    }
+    return formatter;
+  },
+  formatText,
+  formatJson,
+  formatJUnit,
+};
@@ -24,4 +24,35 @@ module.exports = {
     }
     return path.dirname(foundConfigPath);
   },
+
+  parseJobs: (jobs) => {
+    if (jobs === undefined) {
+      return 1;
+    }
+
+    const numJobs = Number(jobs);
+    if (!Number.isInteger(numJobs) || numJobs < 1) {
+      throw new Error(`Invalid number of jobs '${jobs}', please specify a positive integer`);
+    }
+    return numJobs;
+  },
+
+  /**
+   * Formats the files a deployment would add, change and remove, as listed by a dry run of deploy.
+   * @param {Object<string, Array<string>>} diff the added, changed and removed files
+   * @returns {string}
+   */
+  formatDeployDiff: ({ added, changed, removed }) => {
+    const total = added.length + changed.length + removed.length;
+    if (total === 0) {
+      return 'Dry run: the deployed site is already up to date, nothing would be deployed.';
+    }
+    const lines = [
+      ...added.map(file => `  + ${file}`),
+      ...changed.map(file => `  ~ ${file}`),
+      ...removed.map(file => `  - ${file}`),
+    ];
+    return `Dry run: deploying would add ${added.length}, change ${changed.length} `
+      + `and remove ${removed.length} file(s):\n${lines.join('\n')}`;
+  },
 };
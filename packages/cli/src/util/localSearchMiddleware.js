@@ -0,0 +1,112 @@
+const Promise = require('bluebird');
+
+const { DocSearchIndex } = require('@markbind/core/src/Site/DocSearchIndex');
+const fsUtil = require('@markbind/core/src/utils/fsUtil');
+const { ALGOLIA_LOCAL_SEARCH_PATH } = require('@markbind/core/src/constants');
+
+class AlgoliaApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(body) {
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (error) {
+    throw new AlgoliaApiError('Invalid JSON in the request body', 400);
+  }
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates a middleware that serves a local stand-in of the Algolia search API for the algolia plugin,
+ * if its localSearch option is enabled, so that DocSearch searches the pages of the site being served.
+ *
+ * The built pages are crawled again when they are rebuilt. The search API is served under
+ * {baseUrl}/markbind/docsearch, where the DocSearch init script of the plugin sends its queries,
+ * with these routes:
+ * - POST /1/indexes/{@literal *}/queries, which searches several indices
+ * - POST /1/indexes/:indexName/query, and GET /1/indexes/:indexName, which search one index
+ * Only the index with the indexName of the plugin exists.
+ * @param {Site} site being served
+ * @param {Object<string, any>} pluginContext of the algolia plugin
+ * @returns {function(Object, Object, function)}
+ */
+function createLocalSearchMiddleware(site, pluginContext) {
+  const { indexName, localSearch } = pluginContext;
+  const docSearchIndex = new DocSearchIndex(localSearch === true ? {} : localSearch);
+
+  const search = async (requestedIndexName, params) => {
+    if (requestedIndexName !== indexName) {
+      throw new AlgoliaApiError('Index does not exist', 404);
+    }
+    const { baseUrl } = site.siteConfig;
+    await docSearchIndex.update(site.pages.map(page => ({
+      url: `${baseUrl}/${fsUtil.removeExtensionPosix(page.pageConfig.src)}.html`,
+      outputPath: page.pageConfig.resultPath,
+    })));
+    return docSearchIndex.search(params || '', indexName);
+  };
+
+  const handle = async (req, route, query) => {
+    if (route === '*/queries' && req.method === 'POST') {
+      const { requests } = parseBody(await readBody(req));
+      const results = await Promise.mapSeries(requests || [],
+                                              request => search(request.indexName, request.params));
+      return { results };
+    }
+    if (route.endsWith('/query') && req.method === 'POST') {
+      const { params } = parseBody(await readBody(req));
+      return search(route.slice(0, -'/query'.length), params);
+    }
+    if (!route.includes('/') && req.method === 'GET') {
+      return search(route, query);
+    }
+    throw new AlgoliaApiError('Not found', 404);
+  };
+
+  return (req, res, next) => {
+    const routePrefix = `${site.siteConfig.baseUrl}/${ALGOLIA_LOCAL_SEARCH_PATH}/1/indexes/`;
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (!pathname.startsWith(routePrefix)) {
+      next();
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', '*');
+      sendJson(res, 200, {});
+      return;
+    }
+
+    const route = decodeURIComponent(pathname.slice(routePrefix.length));
+    handle(req, route, searchParams.toString())
+      .then(result => sendJson(res, 200, result))
+      .catch((error) => {
+        const status = error.status || 500;
+        sendJson(res, status, { message: error.message, status });
+      });
+  };
+}
+
+module.exports = {
+  createLocalSearchMiddleware,
+};
@@ -18,6 +18,11 @@ function useDebugConsole() {
   consoleTransport.level = 'debug';
 }
 
+// Only log errors to the console, e.g. to keep stdout free for machine readable output
+function useErrorConsole() {
+  consoleTransport.level = 'error';
+}
+
 const dailyRotateFileTransport = new DailyRotateFile({
   datePattern: 'YYYY-MM-DD',
   dirname: '_markbind/logs',
@@ -48,4 +53,5 @@ module.exports = {
   log: console.log,
   logo: () => console.log(chalk.cyan(figlet.textSync('MarkBind', { horizontalLayout: 'full' }))),
   useDebugConsole,
+  useErrorConsole,
 };
@@ -7,6 +7,7 @@ const { cleanupConvert } = require('./testUtil/cleanup');
 
 const {
   testSites,
+  testJobsSites,
   testConvertSites,
   testTemplateSites,
 } = require('./testSites');
@@ -35,6 +36,20 @@ testSites.forEach((siteName) => {
   }
 });
 
+testJobsSites.forEach((siteName) => {
+  console.log(`Running ${siteName} tests with --jobs 2`);
+  const outputPath = path.join(siteName, '_site_jobs');
+  try {
+    execSync(`node ../../index.js build ${siteName} ${outputPath} --jobs 2`, execOptions);
+    compare(siteName, 'expected', '_site_jobs');
+  } catch (err) {
+    printFailedMessage(err, `${siteName} --jobs 2`);
+    fs.removeSync(path.resolve(__dirname, outputPath));
+    process.exit(1);
+  }
+  fs.removeSync(path.resolve(__dirname, outputPath));
+});
+
 testConvertSites.forEach((siteName) => {
   console.log(`Running ${siteName} tests`);
   const nonMarkBindSitePath = path.join(siteName, 'non_markbind_site');
@@ -4,6 +4,9 @@ const testSites = [
   'test_site_special_tags',
 ];
 
+// Sites that are also built with pages generated across worker threads, which should give the same output
+const testJobsSites = ['test_site'];
+
 const testConvertSites = ['test_site_convert'];
 
 const testTemplateSites = [
@@ -13,6 +16,7 @@ const testTemplateSites = [
 
 module.exports = {
   testSites,
+  testJobsSites,
   testConvertSites,
   testTemplateSites,
 };
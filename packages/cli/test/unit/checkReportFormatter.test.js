@@ -0,0 +1,52 @@
+const checkReportFormatter = require('../../src/util/checkReportFormatter');
+
+const REPORT = {
+  pages: ['index.md', 'other.md'],
+  issues: [
+    {
+      type: 'broken-link',
+      severity: 'error',
+      file: 'included.md',
+      page: 'index.md',
+      target: '/missing.html',
+      message: '\'/missing.html\' is neither a page nor a file in the site',
+    },
+    {
+      type: 'unused-file',
+      severity: 'warning',
+      file: 'images/unused.png',
+      message: 'File is not linked to from any page',
+    },
+  ],
+};
+
+test('getReportFormatter throws error for unsupported formats', () => {
+  expect(() => checkReportFormatter.getReportFormatter('xml'))
+    .toThrow('Unsupported report format \'xml\', please specify one of: text, json, junit');
+});
+
+test('formatText groups issues by type', () => {
+  expect(checkReportFormatter.formatText(REPORT)).toEqual([
+    'Checked 2 pages: 1 errors, 1 warnings',
+    '',
+    'Broken links:',
+    '  [error] included.md (included in index.md): '
+      + '\'/missing.html\' is neither a page nor a file in the site',
+    '',
+    'Unused files:',
+    '  [warning] images/unused.png: File is not linked to from any page',
+  ].join('\n'));
+});
+
+test('formatJUnit reports errors as failures of the pages and warnings as skipped', () => {
+  const junit = checkReportFormatter.formatJUnit(REPORT);
+
+  expect(junit).toContain('<testsuite name="broken-link" tests="2" failures="1">');
+  expect(junit).toContain('<testcase classname="broken-link" name="other.md"/>');
+  expect(junit).toContain('<failure message="1 broken links" type="broken-link">'
+    + 'included.md (included in index.md): &apos;/missing.html&apos; is neither a page nor a file in the site'
+    + '</failure>');
+  expect(junit).toContain('<testsuite name="missing-anchor" tests="2" failures="0">');
+  expect(junit).toContain('<testsuite name="unused-file" tests="1" failures="0" skipped="1">');
+  expect(junit).toContain('<skipped message="File is not linked to from any page"/>');
+});
@@ -56,3 +56,26 @@ test('findRootFolder without user specified root throws error if no parent dirs
     })
     .toThrow(`No config file found in parent directories of ${nestedDir}`);
 });
+
+test('parseJobs defaults to 1 if unspecified', () => {
+  expect(cliUtil.parseJobs(undefined)).toBe(1);
+});
+
+test('parseJobs returns the specified number of jobs', () => {
+  expect(cliUtil.parseJobs('4')).toBe(4);
+});
+
+test('parseJobs throws error if the number of jobs is not a positive integer', () => {
+  expect(() => cliUtil.parseJobs('0'))
+    .toThrow('Invalid number of jobs \'0\', please specify a positive integer');
+  expect(() => cliUtil.parseJobs('two'))
+    .toThrow('Invalid number of jobs \'two\', please specify a positive integer');
+});
+
+test('formatDeployDiff lists the added, changed and removed files', () => {
+  expect(cliUtil.formatDeployDiff({ added: ['a.html'], changed: ['b.html', 'c.css'], removed: ['d.html'] }))
+    .toEqual('Dry run: deploying would add 1, change 2 and remove 1 file(s):\n'
+      + '  + a.html\n  ~ b.html\n  ~ c.css\n  - d.html');
+  expect(cliUtil.formatDeployDiff({ added: [], changed: [], removed: [] }))
+    .toEqual('Dry run: the deployed site is already up to date, nothing would be deployed.');
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { createLocalSearchMiddleware } = require('../../src/util/localSearchMiddleware');
+
+jest.mock('fs');
+
+const PAGE_HTML = '<html><head><title>Home</title></head><body><div id="content-wrapper">'
+  + '<h1 id="welcome">Welcome</h1><p>MarkBind makes websites from markdown.</p>'
+  + '</div></body></html>';
+
+const SITE = {
+  siteConfig: { baseUrl: '/docs' },
+  pages: [{ pageConfig: { src: 'index.md', resultPath: path.resolve('_site/index.html') } }],
+};
+
+function createRequest(method, url, body = '') {
+  const req = new Readable({ read() {} });
+  req.push(body);
+  req.push(null);
+  req.method = method;
+  req.url = url;
+  return req;
+}
+
+function handle(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      end(body) { resolve({ status: this.statusCode, headers: this.headers, body: JSON.parse(body) }); },
+    };
+    middleware(req, res, () => resolve(null));
+  });
+}
+
+beforeEach(() => {
+  fs.vol.fromJSON({ '_site/index.html': PAGE_HTML }, '');
+});
+
+afterEach(() => fs.vol.reset());
+
+test('createLocalSearchMiddleware answers DocSearch queries from the built pages', async () => {
+  const middleware = createLocalSearchMiddleware(SITE, { indexName: 'markbind', localSearch: true });
+  const body = JSON.stringify({
+    requests: [{ indexName: 'markbind', params: 'query=markdown&hitsPerPage=5' }],
+  });
+
+  const response = await handle(middleware, createRequest(
+    'POST', '/docs/markbind/docsearch/1/indexes/*/queries', body));
+
+  expect(response.status).toEqual(200);
+  expect(response.headers['Access-Control-Allow-Origin']).toEqual('*');
+  expect(response.body.results).toHaveLength(1);
+  const { hits } = response.body.results[0];
+  expect(hits.map(hit => hit.url)).toEqual(['/docs/index.html#welcome']);
+  expect(hits.map(hit => hit.content)).toEqual(['MarkBind makes websites from markdown.']);
+});
+
+test('createLocalSearchMiddleware searches a single index', async () => {
+  const middleware = createLocalSearchMiddleware(SITE, { indexName: 'markbind', localSearch: {} });
+
+  const body = JSON.stringify({ params: 'query=welcome' });
+  const postResponse = await handle(middleware, createRequest(
+    'POST', '/docs/markbind/docsearch/1/indexes/markbind/query', body));
+  const getResponse = await handle(middleware, createRequest(
+    'GET', '/docs/markbind/docsearch/1/indexes/markbind?query=welcome'));
+
+  expect(postResponse.body.nbHits).toEqual(2);
+  expect(getResponse.body.nbHits).toEqual(2);
+});
+
+test('createLocalSearchMiddleware returns errors like the Algolia search API', async () => {
+  const middleware = createLocalSearchMiddleware(SITE, { indexName: 'markbind', localSearch: true });
+
+  const unknownIndex = await handle(middleware, createRequest(
+    'POST', '/docs/markbind/docsearch/1/indexes/other/query', '{}'));
+  const invalidBody = await handle(middleware, createRequest(
+    'POST', '/docs/markbind/docsearch/1/indexes/*/queries', '{'));
+  const invalidParams = await handle(middleware, createRequest(
+    'GET', '/docs/markbind/docsearch/1/indexes/markbind?query=welcome&facetFilters=%5Boops'));
+
+  expect(unknownIndex).toEqual(expect.objectContaining({
+    status: 404,
+    body: { message: 'Index does not exist', status: 404 },
+  }));
+  expect(invalidBody.status).toEqual(400);
+  expect(invalidParams).toEqual(expect.objectContaining({
+    status: 400,
+    body: { message: 'Invalid value for the parameter facetFilters: [oops', status: 400 },
+  }));
+});
+
+test('createLocalSearchMiddleware passes on other requests', async () => {
+  const middleware = createLocalSearchMiddleware(SITE, { indexName: 'markbind', localSearch: true });
+
+  expect(await handle(middleware, createRequest('GET', '/docs/index.html'))).toBeNull();
+});
@@ -38,6 +38,9 @@ const appFactory = () => ({
   data() {
     return {
       searchData: [],
+      searchIndexUrl: '',
+      searchLocale: 'en',
+      searchPageUrl: '',
       popoverInnerGetters,
       tooltipInnerContentGetter,
     };
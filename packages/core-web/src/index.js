@@ -130,6 +130,9 @@ function updateSearchData(vm) {
   jQuery.getJSON(`${baseUrl}/siteData.json`)
     .then((siteData) => {
       vm.searchData = siteData.pages;
+      vm.searchLocale = siteData.locale;
+      vm.searchIndexUrl = siteData.searchIndex ? `${baseUrl}/${siteData.searchIndex}` : '';
+      vm.searchPageUrl = siteData.searchPage ? `${baseUrl}/${siteData.searchPage}` : '';
     });
 }
 
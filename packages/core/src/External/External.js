@@ -52,7 +52,7 @@ class External {
     const nunjucksProcessed = variableProcessor.renderWithSiteVariables(this.sourceFilePath, pageSources);
     const mdHtmlProcessed = await nodeProcessor.process(this.sourceFilePath, nunjucksProcessed,
                                                         asIfAtFilePath);
-    const pluginPostRendered = pluginManager.postRender(nodeProcessor.frontMatter, mdHtmlProcessed);
+    const pluginPostRendered = await pluginManager.postRender(nodeProcessor.frontMatter, mdHtmlProcessed);
 
     const outputContentHTML = process.env.TEST_MODE
       ? htmlBeautify(pluginPostRendered, pluginManager.htmlBeautifyOptions)
@@ -54,7 +54,8 @@ class Layout {
                                                          this.sourceFilePath, layoutVariables);
       this.layoutPageNavUuid = nodeProcessor.pageNavProcessor.getUuid();
 
-      this.layoutProcessed = pluginManager.postRender(nodeProcessor.frontMatter, this.layoutProcessed);
+      // eslint-disable-next-line no-await-in-loop
+      this.layoutProcessed = await pluginManager.postRender(nodeProcessor.frontMatter, this.layoutProcessed);
 
       const pageBodyVarRegex = new RegExp(this.layoutPageBodyVariable, 'g');
       const bodyVarMatch = this.layoutProcessed.match(pageBodyVarRegex);
@@ -1,3 +1,12 @@
+const _ = {};
+_.omit = require('lodash/omit');
+
+/**
+ * Properties referencing site wide instances, which cannot be passed across worker threads.
+ * These have to be supplied by the site that the serialized {@link PageConfig} is restored in.
+ */
+const SITE_CONTEXT_PROPERTIES = ['layoutManager', 'pluginManager', 'template', 'variableProcessor'];
+
 /**
  * A page configuration object used to construct a {@link Page}.
  * Its properties will never be modified by {@link Page} itself.
@@ -21,6 +30,12 @@ class PageConfig {
      * @type {Set<string>} the set of urls representing the sites' base directories
      */
     this.baseUrlMap = args.baseUrlMap;
+    /**
+     * The content of a page generated by MarkBind, which is rendered in place of its source file.
+     * Undefined for pages with a source file.
+     * @type {string|undefined}
+     */
+    this.content = args.content;
     /**
      * @type {boolean}
      */
@@ -33,6 +48,11 @@ class PageConfig {
      * @type {string}
      */
     this.faviconUrl = args.faviconUrl;
+    /**
+     * The titles and urls of the site's feeds, for the autodiscovery links in the page's head.
+     * @type {Array<Object<string, string>>}
+     */
+    this.feedLinks = args.feedLinks || [];
     /**
      * @type {Object<string, any>|{}}
      */
@@ -118,6 +138,35 @@ class PageConfig {
      * @type {boolean}
      */
     this.intrasiteLinkValidation = args.intrasiteLinkValidation;
+    /**
+     * @type {Object<string, any>}
+     */
+    this.externalLinkValidation = args.externalLinkValidation;
+  }
+
+  /**
+   * Converts this config into a plain object that can be posted to a worker thread.
+   * @returns {Object<string, any>}
+   */
+  toSerializable() {
+    return {
+      ..._.omit(this, SITE_CONTEXT_PROPERTIES),
+      baseUrlMap: Array.from(this.baseUrlMap),
+    };
+  }
+
+  /**
+   * Restores a {@link PageConfig} from the object returned by {@link toSerializable}.
+   * @param {Object<string, any>} serializedConfig
+   * @param {Object<string, any>} siteContext the site wide instances of the {@link SITE_CONTEXT_PROPERTIES}
+   * @returns {PageConfig}
+   */
+  static fromSerializable(serializedConfig, siteContext) {
+    return new PageConfig({
+      ...serializedConfig,
+      ...siteContext,
+      baseUrlMap: new Set(serializedConfig.baseUrlMap),
+    });
   }
 }
 
@@ -14,6 +14,7 @@ _.isArray = require('lodash/isArray');
 const { CyclicReferenceError } = require('../errors');
 const { PageSources } = require('./PageSources');
 const { NodeProcessor } = require('../html/NodeProcessor');
+const { createPageModel } = require('../plugins/SiteModel');
 
 const fsUtil = require('../utils/fsUtil');
 const logger = require('../utils/logger');
@@ -83,12 +84,34 @@ class Page {
      * @type {Set<string>}
      */
     this.includedFiles = new Set([this.pageConfig.sourcePath]);
+    /**
+     * External links found in the page, collected only if external link validation is enabled
+     * @type {Array<string>}
+     */
+    this.externalLinks = [];
+    /**
+     * Languages of the code blocks in the page that are not known to highlight.js
+     * @type {Array<string>}
+     */
+    this.unknownLanguages = [];
     /**
      * Map of heading ids (that closest to the keyword) to the keyword text content
      * https://markbind.org/userGuide/makingTheSiteSearchable.html#keywords
      * @type {Object<string, Array>}
      */
     this.keywords = {};
+    /**
+     * The summary of the page used in feeds, which is the summary in its frontMatter if specified,
+     * or the text of its first paragraph otherwise.
+     * @type {string}
+     */
+    this.summary = '';
+    /**
+     * The text content of the page split into sections at each indexed heading, for the full text search.
+     * The first section, with an empty id, contains the text before the first indexed heading.
+     * @type {Array<Object<string, string>>}
+     */
+    this.searchSections = [];
     /**
      * The title of the page.
      * This is initially set to the title specified in the site configuration,
@@ -115,6 +138,25 @@ class Page {
     this.navigableHeadings = {};
   }
 
+  /**
+   * Restores the stateful variables collected in another generation of the page,
+   * for pages that are skipped in an incremental build or generated in a worker thread.
+   * @param {Object<string, any>} cachedState as recorded in the {@link BuildManifest},
+   * or as returned by a worker thread
+   */
+  restoreState(cachedState) {
+    this.resetState();
+    this.title = cachedState.title || this.title;
+    this.frontMatter = cachedState.frontMatter || {};
+    this.headings = cachedState.headings || {};
+    this.keywords = cachedState.keywords || {};
+    this.summary = cachedState.summary || '';
+    this.searchSections = cachedState.searchSections || [];
+    this.includedFiles = new Set(cachedState.includedFiles);
+    this.externalLinks = cachedState.externalLinks || [];
+    this.unknownLanguages = cachedState.unknownLanguages || [];
+  }
+
   /**
    * Checks if the provided filePath is a dependency of the page
    * @param {string} filePath to check
@@ -141,6 +183,7 @@ class Page {
       hasPageNav,
       dev: this.pageConfig.dev,
       faviconUrl: this.pageConfig.faviconUrl,
+      feedLinks: this.pageConfig.feedLinks,
       markBindVersion: `MarkBind ${PACKAGE_VERSION}`,
       title: prefixedTitle,
       enableSearch: this.pageConfig.enableSearch,
@@ -330,6 +373,56 @@ class Page {
     this.keywords[headingId].push($(keyword).text());
   }
 
+  /**
+   * Records the text content of the page into this.searchSections, split at each indexed heading
+   * @param pageContent rendered html content of the page
+   */
+  collectSearchSections(pageContent) {
+    if (!this.pageConfig.searchable) {
+      return;
+    }
+    const $ = cheerio.load(pageContent, { decodeEntities: true });
+    $('b-modal, script, style').remove();
+    const headingsSelector = Page.generateHeadingSelector(this.pageConfig.headingIndexingLevel);
+
+    let currentSection = { id: '', heading: '', text: [] };
+    const sections = [currentSection];
+    const collectText = (nodes) => {
+      nodes.forEach((node) => {
+        if (node.type === 'text') {
+          currentSection.text.push(node.data);
+        } else if (node.type === 'tag') {
+          const headingId = $(node).attr('id');
+          if (headingId && $(node).is(headingsSelector)) {
+            currentSection = { id: headingId, heading: $(node).text().trim(), text: [] };
+            sections.push(currentSection);
+          } else {
+            collectText(node.children || []);
+          }
+        }
+      });
+    };
+    collectText($.root()[0].children);
+
+    this.searchSections = sections.map(({ id, heading, text }) => ({
+      id,
+      heading,
+      text: text.join('').replace(/\s+/g, ' ').trim(),
+    }));
+  }
+
+  /**
+   * Records the summary of the page from its frontMatter, or the first paragraph of its rendered content
+   */
+  collectSummary(pageContent) {
+    if (this.frontMatter.summary) {
+      this.summary = this.frontMatter.summary.toString();
+      return;
+    }
+    const $ = cheerio.load(pageContent);
+    this.summary = $('p').first().text().trim();
+  }
+
   /**
    * Uses the collected frontmatter from {@link collectFrontMatter} to extract the {@link Page}'s
    * instance configurations.
@@ -436,6 +529,69 @@ class Page {
     return '';
   }
 
+  /**
+   * @returns {FileConfig}
+   */
+  getFileConfig() {
+    return {
+      baseUrlMap: this.pageConfig.baseUrlMap,
+      baseUrl: this.pageConfig.baseUrl,
+      rootPath: this.pageConfig.rootPath,
+      headerIdMap: this.headerIdMap,
+      ignore: this.pageConfig.ignore,
+      addressablePagesSource: this.pageConfig.addressablePagesSource,
+      intrasiteLinkValidation: this.pageConfig.intrasiteLinkValidation,
+      externalLinkValidation: this.pageConfig.externalLinkValidation,
+    };
+  }
+
+  /**
+   * Renders the source file of the page, or the content of a page generated by MarkBind, with nunjucks.
+   * @param {PageSources} pageSources to add dependencies found during nunjucks rendering to
+   * @returns {string}
+   */
+  renderSource(pageSources) {
+    const { content, sourcePath, variableProcessor } = this.pageConfig;
+    return content === undefined
+      ? variableProcessor.renderWithSiteVariables(sourcePath, pageSources)
+      : variableProcessor.renderStringWithSiteVariables(sourcePath, content, pageSources);
+  }
+
+  /**
+   * Processes the content of the page in memory, without generating its output.
+   * This collects what is needed for site wide checks of the page's links, anchors and includes.
+   * Intra-link validation warnings are not logged, as the links are returned for checking instead.
+   * @returns {Promise<Object<string, any>>} the intra-links, element ids and page sources of the page
+   */
+  async process() {
+    this.resetState();
+
+    const fileConfig = {
+      ...this.getFileConfig(),
+      intrasiteLinkValidation: { enabled: false },
+    };
+    const { variableProcessor, pluginManager } = this.pageConfig;
+
+    const pageSources = new PageSources();
+    const nodeProcessor = new NodeProcessor(fileConfig, pageSources, variableProcessor,
+                                            pluginManager, this.pageUserScriptsAndStyles);
+
+    let content = this.renderSource(pageSources);
+    content = await nodeProcessor.process(this.pageConfig.sourcePath, content);
+    this.processFrontMatter(nodeProcessor.frontMatter);
+    pageSources.addAllToSet(this.includedFiles);
+    this.externalLinks = nodeProcessor.externalLinks;
+
+    const $ = cheerio.load(content);
+    const ids = $('[id]').map((i, element) => $(element).attr('id')).get();
+
+    return {
+      intraLinks: nodeProcessor.intraLinks,
+      ids: new Set(ids),
+      pageSources,
+    };
+  }
+
   /**
    * A file configuration object.
    * @typedef {Object<string, any>} FileConfig
@@ -450,30 +606,23 @@ class Page {
     /**
      * @type {FileConfig}
      */
-    const fileConfig = {
-      baseUrlMap: this.pageConfig.baseUrlMap,
-      baseUrl: this.pageConfig.baseUrl,
-      rootPath: this.pageConfig.rootPath,
-      headerIdMap: this.headerIdMap,
-      ignore: this.pageConfig.ignore,
-      addressablePagesSource: this.pageConfig.addressablePagesSource,
-      intrasiteLinkValidation: this.pageConfig.intrasiteLinkValidation,
-    };
+    const fileConfig = this.getFileConfig();
 
     const { variableProcessor, layoutManager, pluginManager } = this.pageConfig;
+    await pluginManager.beforePageGenerate(createPageModel(this));
 
     const pageSources = new PageSources();
     const nodeProcessor = new NodeProcessor(fileConfig, pageSources, variableProcessor,
                                             pluginManager, this.pageUserScriptsAndStyles);
 
-    let content = variableProcessor.renderWithSiteVariables(this.pageConfig.sourcePath, pageSources);
+    let content = this.renderSource(pageSources);
     content = await nodeProcessor.process(this.pageConfig.sourcePath, content);
     this.processFrontMatter(nodeProcessor.frontMatter);
     content = Page.addScrollToTopButton(content);
-    content = pluginManager.postRender(this.frontMatter, content);
+    content = await pluginManager.postRender(this.frontMatter, content);
     const pageContent = content;
 
-    pluginManager.collectPluginPageNjkAssets(this.frontMatter, content, this.asset);
+    await pluginManager.collectPluginPageNjkAssets(this.frontMatter, content, this.asset);
 
     await layoutManager.generateLayoutIfNeeded(this.layout);
     const pageNav = this.buildPageNav(content);
@@ -487,6 +636,10 @@ class Page {
     await externalManager.generateDependencies(pageSources.getDynamicIncludeSrc(), this.includedFiles);
 
     this.collectHeadingsAndKeywords(pageContent);
+    this.collectSummary(pageContent);
+    this.collectSearchSections(pageContent);
+    this.externalLinks = nodeProcessor.externalLinks;
+    this.unknownLanguages = nodeProcessor.markdownProcessor.unknownLanguages;
 
     content = `<div id="app">${content}</div>`;
 
@@ -518,6 +671,8 @@ class Page {
       const vueSsrHtml = await pageVueServerRenderer.renderVuePage(compiledVuePage);
       await this.outputPageHtml(vueSsrHtml, pageNav);
     }
+
+    await pluginManager.afterPageGenerate(createPageModel(this));
   }
 
   async outputPageHtml(content, pageNav) {
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const fsUtil = require('../utils/fsUtil');
+const logger = require('../utils/logger');
+
+const MANIFEST_VERSION = 4;
+
+/**
+ * Persistent record of the pages generated in a previous build, along with the content hashes
+ * of every file each page depended on, so that unchanged pages can be skipped in later builds.
+ */
+class BuildManifest {
+  /**
+   * @param {string} manifestPath where the manifest is persisted
+   * @param {string} rootPath of the root site, which dependency paths are stored relative to
+   * @param {string} outputPath of the site, which result paths are stored relative to
+   */
+  constructor(manifestPath, rootPath, outputPath) {
+    this.manifestPath = manifestPath;
+    this.rootPath = rootPath;
+    this.outputPath = outputPath;
+
+    /**
+     * Hash of the site wide inputs (site config, variables, MarkBind version) of the build.
+     * A change in any of these invalidates every page.
+     * @type {string}
+     */
+    this.fingerprint = '';
+    /**
+     * Map of page src to its recorded build state
+     * @type {Object<string, Object<string, any>>}
+     */
+    this.pages = {};
+    /**
+     * Memoized file hashes for the current build, as many pages share the same dependencies
+     * @type {Map<string, string|null>}
+     */
+    this.fileHashes = new Map();
+  }
+
+  static hashString(str) {
+    return crypto.createHash('md5').update(str).digest('hex');
+  }
+
+  /**
+   * Returns the content hash of a file, or null if it does not exist.
+   */
+  hashFile(filePath) {
+    if (this.fileHashes.has(filePath)) {
+      return this.fileHashes.get(filePath);
+    }
+
+    let hash = null;
+    try {
+      hash = BuildManifest.hashString(fs.readFileSync(filePath));
+    } catch (err) {
+      // Missing dependencies are recorded as null, so that their creation triggers a rebuild
+    }
+    this.fileHashes.set(filePath, hash);
+    return hash;
+  }
+
+  /**
+   * Loads the manifest of the previous build, if any.
+   * An unreadable or outdated manifest is treated as empty, which results in a full build.
+   */
+  load() {
+    this.fileHashes.clear();
+    try {
+      const manifest = fs.readJsonSync(this.manifestPath);
+      if (manifest.version !== MANIFEST_VERSION) {
+        return;
+      }
+      this.fingerprint = manifest.fingerprint;
+      this.pages = manifest.pages || {};
+    } catch (err) {
+      logger.debug(`No usable build manifest found at ${this.manifestPath}, building all pages`);
+      this.fingerprint = '';
+      this.pages = {};
+    }
+  }
+
+  save() {
+    return fs.outputJson(this.manifestPath, {
+      version: MANIFEST_VERSION,
+      fingerprint: this.fingerprint,
+      pages: this.pages,
+    });
+  }
+
+  /**
+   * Checks if a page has to be regenerated, that is, if it was not built before, if its output
+   * was removed, or if any of the files it depended on have changed since.
+   * @param {Page} page to check
+   * @param {string} fingerprint of the site wide inputs of the current build
+   * @returns {boolean}
+   */
+  isPageOutdated(page, fingerprint) {
+    const entry = this.pages[page.pageConfig.src];
+    if (!entry || fingerprint !== this.fingerprint) {
+      return true;
+    }
+
+    if (!fs.existsSync(path.join(this.outputPath, entry.resultPath))) {
+      return true;
+    }
+
+    return Object.entries(entry.dependencies).some(([relativePath, hash]) =>
+      this.hashFile(path.resolve(this.rootPath, relativePath)) !== hash);
+  }
+
+  /**
+   * Records the state of a freshly generated page.
+   * @param {Page} page
+   */
+  recordPage(page) {
+    const dependencies = {};
+    page.includedFiles.forEach((filePath) => {
+      const relativePath = fsUtil.ensurePosix(path.relative(this.rootPath, filePath));
+      dependencies[relativePath] = this.hashFile(filePath);
+    });
+
+    this.pages[page.pageConfig.src] = {
+      resultPath: fsUtil.ensurePosix(path.relative(this.outputPath, page.pageConfig.resultPath)),
+      dependencies,
+      title: page.title,
+      frontMatter: page.frontMatter,
+      headings: page.headings,
+      keywords: page.keywords,
+      summary: page.summary,
+      searchSections: page.searchSections,
+      externalLinks: page.externalLinks,
+      unknownLanguages: page.unknownLanguages,
+    };
+  }
+
+  /**
+   * Removes the recorded state of a page, so that it is regenerated in the next build.
+   * @param {Page} page
+   */
+  removePage(page) {
+    delete this.pages[page.pageConfig.src];
+  }
+
+  /**
+   * Restores the recorded state of a page that was not regenerated in this build.
+   * @param {Page} page
+   */
+  restorePage(page) {
+    const entry = this.pages[page.pageConfig.src];
+    const includedFiles = Object.keys(entry.dependencies)
+      .map(relativePath => path.resolve(this.rootPath, relativePath));
+    page.restoreState({
+      ...entry,
+      includedFiles,
+    });
+  }
+
+  /**
+   * Removes the entries of pages that are no longer part of the site.
+   * @param {Array<string>} pageSrcs of all the pages in the current build
+   * @returns {Array<string>} absolute output paths of the removed pages
+   */
+  removeStalePages(pageSrcs) {
+    return Object.keys(this.pages)
+      .filter(src => !pageSrcs.includes(src))
+      .map((src) => {
+        const resultPath = path.join(this.outputPath, this.pages[src].resultPath);
+        delete this.pages[src];
+        return resultPath;
+      });
+  }
+}
+
+module.exports = {
+  BuildManifest,
+};
@@ -0,0 +1,338 @@
+const cheerio = require('cheerio'); require('../patches/htmlparser2');
+const fs = require('fs-extra');
+
+const _ = {};
+_.escape = require('lodash/escape');
+_.isNil = require('lodash/isNil');
+_.isString = require('lodash/isString');
+
+const { tokenize } = require('./SearchIndex');
+const { InvalidQueryParamsError } = require('../errors');
+
+const HIERARCHY_LEVELS = ['lvl0', 'lvl1', 'lvl2', 'lvl3', 'lvl4', 'lvl5', 'lvl6'];
+
+/**
+ * Selectors of the text and each level of the hierarchy of records, in the format of a DocSearch config.
+ * lvl0 is selected from the whole page, and the others from the content of the page only.
+ */
+const DEFAULT_SELECTORS = {
+  lvl0: 'title',
+  lvl1: 'h1',
+  lvl2: 'h2',
+  lvl3: 'h3',
+  lvl4: 'h4',
+  lvl5: 'h5',
+  lvl6: 'h6',
+  text: 'p, li, td, dt, dd',
+};
+const DEFAULT_CONTENT_SELECTOR = '#content-wrapper';
+// Content that is never indexed, in addition to content with the algolia-no-index class
+const DEFAULT_SELECTORS_EXCLUDE = ['.algolia-no-index', 'script', 'style'];
+
+// Default parameters of queries, matching the settings of DocSearch indices
+const DEFAULT_HITS_PER_PAGE = 20;
+const DEFAULT_SNIPPET_WORDS = 10;
+const DEFAULT_HIGHLIGHT_PRE_TAG = '<span class="algolia-docsearch-suggestion--highlight">';
+const DEFAULT_HIGHLIGHT_POST_TAG = '</span>';
+
+function getText($, element) {
+  return $(element).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parses the parameters of an Algolia query, which are either an object, or a url encoded string
+ * in which arrays are json encoded.
+ * @param {string|Object<string, any>} params
+ * @returns {Object<string, any>}
+ * @throws {InvalidQueryParamsError} if an array parameter is not valid json
+ */
+function parseQueryParams(params) {
+  if (!_.isString(params)) {
+    return { ...params };
+  }
+  const parsedParams = {};
+  new URLSearchParams(params).forEach((value, key) => {
+    if (!value.startsWith('[')) {
+      parsedParams[key] = value;
+      return;
+    }
+    try {
+      parsedParams[key] = JSON.parse(value);
+    } catch (err) {
+      throw new InvalidQueryParamsError(`Invalid value for the parameter ${key}: ${value}`);
+    }
+  });
+  return parsedParams;
+}
+
+/**
+ * A stand-in for the index of the site in Algolia DocSearch, which can be searched locally.
+ *
+ * The built pages of the site are crawled in the same way as the DocSearch crawler, producing a record
+ * for each heading and paragraph of text with the hierarchy of headings it is under.
+ * Content with the algolia-no-index class is not crawled.
+ * The records are searched with the same parameters and responses as the Algolia search API,
+ * so that DocSearch can be used with the local index instead.
+ */
+class DocSearchIndex {
+  /**
+   * @param {Object<string, any>} options the selectors of the text and hierarchy of records (selectors),
+   *        the selector of the content of pages (contentSelector), and the selectors of content not to crawl
+   *        (selectorsExclude), all of which are optional
+   */
+  constructor(options = {}) {
+    this.selectors = { ...DEFAULT_SELECTORS, ...options.selectors };
+    this.contentSelector = options.contentSelector || DEFAULT_CONTENT_SELECTOR;
+    this.selectorsExclude = [...DEFAULT_SELECTORS_EXCLUDE, ...(options.selectorsExclude || [])];
+    /**
+     * Records of each page crawled, with the time its file was modified when it was crawled
+     * @type {Map<string, Object<string, any>>}
+     */
+    this.pageRecords = new Map();
+  }
+
+  /**
+   * Crawls the html of a built page into DocSearch records.
+   * @param {string} html of the page
+   * @param {string} url of the page
+   * @returns {Array<Object<string, any>>}
+   */
+  crawl(html, url) {
+    const $ = cheerio.load(html);
+    const lvl0 = $(this.selectors.lvl0).first();
+    const hierarchy = { lvl0: lvl0.length ? getText($, lvl0) : null };
+    HIERARCHY_LEVELS.slice(1).forEach((level) => { hierarchy[level] = null; });
+
+    const content = $(this.contentSelector).length ? $(this.contentSelector) : $('body');
+    content.find(this.selectorsExclude.join(', ')).remove();
+
+    const levelSelectors = HIERARCHY_LEVELS.slice(1).filter(level => this.selectors[level]);
+    const allSelectors = [...levelSelectors.map(level => this.selectors[level]), this.selectors.text];
+
+    const records = [];
+    let anchor = null;
+    const addRecord = (type, text) => {
+      const position = records.length;
+      const levelIndex = HIERARCHY_LEVELS.indexOf(type);
+      records.push({
+        objectID: `${url}-${position}`,
+        url: anchor ? `${url}#${anchor}` : url,
+        url_without_anchor: url,
+        anchor,
+        type,
+        hierarchy: { ...hierarchy },
+        content: text,
+        weight: {
+          level: levelIndex === -1 ? 0 : 100 - (levelIndex * 10),
+          position,
+          page_rank: 0,
+        },
+      });
+    };
+
+    if (hierarchy.lvl0) {
+      addRecord('lvl0', null);
+    }
+    content.find(allSelectors.join(', ')).each((i, element) => {
+      const $element = $(element);
+      const text = getText($, element);
+      if (!text) {
+        return;
+      }
+      const level = levelSelectors.find(levelName => $element.is(this.selectors[levelName]));
+      if (level) {
+        const levelIndex = HIERARCHY_LEVELS.indexOf(level);
+        HIERARCHY_LEVELS.slice(levelIndex).forEach((deeperLevel) => { hierarchy[deeperLevel] = null; });
+        hierarchy[level] = text;
+        anchor = $element.attr('id') || anchor;
+        addRecord(level, null);
+        return;
+      }
+      // The text of nested elements, such as paragraphs in a list item, is in the record of the outermost one
+      if ($element.parentsUntil(content).is(this.selectors.text)) {
+        return;
+      }
+      addRecord('content', text);
+    });
+    return records;
+  }
+
+  /**
+   * Crawls the built pages of the site, skipping those that have not changed since they were last crawled.
+   * @param {Array<Object<string, string>>} pages the url and output path of each page
+   */
+  async update(pages) {
+    const crawledPages = await Promise.all(pages.map(async ({ url, outputPath }) => {
+      let stats;
+      try {
+        stats = await fs.stat(outputPath);
+      } catch (error) {
+        // The page has not been built yet
+        return null;
+      }
+      const crawledPage = this.pageRecords.get(outputPath);
+      if (crawledPage && crawledPage.mtimeMs === stats.mtimeMs && crawledPage.url === url) {
+        return crawledPage;
+      }
+      const html = await fs.readFile(outputPath, 'utf8');
+      return {
+        outputPath, url, mtimeMs: stats.mtimeMs, records: this.crawl(html, url),
+      };
+    }));
+
+    // Keep the records in the order of the pages, so that results are ordered consistently
+    this.pageRecords = new Map(crawledPages
+      .filter(crawledPage => crawledPage)
+      .map(crawledPage => [crawledPage.outputPath, crawledPage]));
+  }
+
+  /**
+   * @returns {Array<Object<string, any>>} the records of all crawled pages
+   */
+  getRecords() {
+    return Array.from(this.pageRecords.values()).flatMap(page => page.records);
+  }
+
+  /**
+   * Searches the records in the same way as the Algolia search API, where every word of the query
+   * must match a word of the record, and the last word of the query also matches words starting with it.
+   * @param {string|Object<string, any>} params of the query, of which query, hitsPerPage, page,
+   *        highlightPreTag, highlightPostTag and attributesToSnippet (for content) are supported
+   * @param {string} indexName returned with the results
+   * @returns {Object<string, any>} the results, in the format of the Algolia search API
+   */
+  search(params, indexName) {
+    const startTime = Date.now();
+    const parsedParams = parseQueryParams(params);
+    const query = parsedParams.query || '';
+    const hitsPerPage = parseInt(parsedParams.hitsPerPage, 10) || DEFAULT_HITS_PER_PAGE;
+    const page = parseInt(parsedParams.page, 10) || 0;
+    const tags = {
+      pre: parsedParams.highlightPreTag || DEFAULT_HIGHLIGHT_PRE_TAG,
+      post: parsedParams.highlightPostTag || DEFAULT_HIGHLIGHT_POST_TAG,
+    };
+    const snippetWords = DocSearchIndex.getSnippetWords(parsedParams.attributesToSnippet);
+
+    const words = tokenize(query);
+    const matchesWord = (term, wordIndex) => term === words[wordIndex]
+      || (wordIndex === words.length - 1 && term.startsWith(words[wordIndex]));
+    const isMatchingTerm = term => words.some((word, wordIndex) => matchesWord(term, wordIndex));
+    const getMatchedWords = (text) => {
+      const terms = tokenize(text);
+      return words.filter((word, wordIndex) => terms.some(term => matchesWord(term, wordIndex)));
+    };
+
+    const matches = [];
+    this.getRecords().forEach((record) => {
+      const hierarchyWords = new Set(HIERARCHY_LEVELS
+        .flatMap(level => getMatchedWords(record.hierarchy[level])));
+      const contentWords = new Set(getMatchedWords(record.content));
+      const isMatch = words.every(word => hierarchyWords.has(word) || contentWords.has(word));
+      if (isMatch) {
+        matches.push({ record, hierarchyWordCount: hierarchyWords.size });
+      }
+    });
+    matches.sort((a, b) => b.hierarchyWordCount - a.hierarchyWordCount
+      || b.record.weight.level - a.record.weight.level
+      || a.record.weight.position - b.record.weight.position);
+
+    const highlight = (text) => {
+      if (_.isNil(text)) {
+        return null;
+      }
+      const matchedWords = getMatchedWords(text);
+      let matchLevel = 'none';
+      if (matchedWords.length) {
+        matchLevel = matchedWords.length === words.length ? 'full' : 'partial';
+      }
+      return {
+        value: DocSearchIndex.highlightWords(text, tags, isMatchingTerm),
+        matchLevel,
+        matchedWords,
+      };
+    };
+
+    const hits = matches.slice(page * hitsPerPage, (page + 1) * hitsPerPage).map(({ record }) => {
+      const hierarchyHighlight = {};
+      HIERARCHY_LEVELS.forEach((level) => {
+        if (record.hierarchy[level] !== null) {
+          hierarchyHighlight[level] = highlight(record.hierarchy[level]);
+        }
+      });
+      const hit = {
+        ...record,
+        _highlightResult: { hierarchy: hierarchyHighlight },
+      };
+      if (record.content !== null) {
+        hit._highlightResult.content = highlight(record.content);
+        const snippet = DocSearchIndex.getSnippet(record.content, snippetWords, isMatchingTerm);
+        hit._snippetResult = { content: highlight(snippet) };
+      }
+      return hit;
+    });
+
+    return {
+      hits,
+      nbHits: matches.length,
+      page,
+      nbPages: Math.ceil(matches.length / hitsPerPage),
+      hitsPerPage,
+      exhaustiveNbHits: true,
+      query,
+      params: _.isString(params) ? params : new URLSearchParams(parsedParams).toString(),
+      index: indexName,
+      processingTimeMS: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Returns the number of words in snippets of the content, as specified in attributesToSnippet,
+   * e.g. ["content:10"].
+   */
+  static getSnippetWords(attributesToSnippet) {
+    const contentSnippet = [].concat(attributesToSnippet || [])
+      .find(attribute => attribute.split(':')[0] === 'content');
+    if (!contentSnippet) {
+      return DEFAULT_SNIPPET_WORDS;
+    }
+    return parseInt(contentSnippet.split(':')[1], 10) || DEFAULT_SNIPPET_WORDS;
+  }
+
+  /**
+   * Returns the words of the text around the first matching word.
+   * @param {string} text
+   * @param {number} wordCount of the snippet
+   * @param {function(string): boolean} isMatch whether a tokenized word matches the query
+   * @returns {string}
+   */
+  static getSnippet(text, wordCount, isMatch) {
+    const textWords = text.split(' ');
+    const firstMatch = Math.max(textWords.findIndex(word => tokenize(word).some(isMatch)), 0);
+    const start = Math.max(Math.min(firstMatch - Math.floor(wordCount / 2), textWords.length - wordCount), 0);
+    return textWords.slice(start, start + wordCount).join(' ');
+  }
+
+  /**
+   * Escapes the text, wrapping the words matching the query with the highlight tags.
+   * @param {string} text
+   * @param {Object<string, string>} tags the pre and post highlight tags
+   * @param {function(string): boolean} isMatch whether a tokenized word matches the query
+   * @returns {string}
+   */
+  static highlightWords(text, tags, isMatch) {
+    return text
+      .split(/([\p{L}\p{N}]+)/u)
+      .map((segment, i) => {
+        const escapedSegment = _.escape(segment);
+        const isWord = i % 2 === 1;
+        return isWord && tokenize(segment).some(isMatch)
+          ? `${tags.pre}${escapedSegment}${tags.post}`
+          : escapedSegment;
+      })
+      .join('');
+  }
+}
+
+module.exports = {
+  DocSearchIndex,
+};
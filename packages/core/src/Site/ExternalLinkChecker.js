@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const logger = require('../utils/logger');
+
+const _ = {};
+_.range = require('lodash/range');
+
+const CACHE_VERSION = 1;
+const MAX_REDIRECTS = 5;
+
+function request(link, method, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = link.startsWith('http:') ? http : https;
+    const clientRequest = client.request(link, { method, timeout }, (response) => {
+      response.resume();
+      resolve(response);
+    });
+    clientRequest.on('timeout', () => clientRequest.destroy(new Error(`Timed out after ${timeout}ms`)));
+    clientRequest.on('error', reject);
+    clientRequest.end();
+  });
+}
+
+/**
+ * Requests the link, following redirects up to {@link MAX_REDIRECTS} times.
+ * @returns {Promise<number>} the status code of the final response
+ */
+async function requestStatus(link, method, timeout, redirectsLeft = MAX_REDIRECTS) {
+  const { statusCode, headers } = await request(link, method, timeout);
+  if (statusCode < 300 || statusCode >= 400 || !headers.location) {
+    return statusCode;
+  }
+  if (redirectsLeft === 0) {
+    throw new Error(`Exceeded ${MAX_REDIRECTS} redirects`);
+  }
+  return requestStatus(new URL(headers.location, link).href, method, timeout, redirectsLeft - 1);
+}
+
+/**
+ * The default fetcher of the {@link ExternalLinkChecker}, which requests the link over http(s).
+ * A HEAD request is made first, falling back to a GET request for servers that do not support HEAD.
+ * Redirects are followed, so that the status code is that of the page redirected to.
+ * @param {string} link to request
+ * @param {Object<string, any>} options containing the timeout of each request in milliseconds
+ * @returns {Promise<Object<string, number>>} an object containing the response status code
+ */
+async function fetchLinkStatus(link, { timeout }) {
+  const status = await requestStatus(link, 'HEAD', timeout);
+  if (status === 405 || status === 501) {
+    return { status: await requestStatus(link, 'GET', timeout) };
+  }
+  return { status };
+}
+
+/**
+ * Creates a fetcher that responds with the status codes recorded in a fixtures file,
+ * which is a json object of links to status codes, instead of making any requests.
+ */
+function createFixturesFetcher(fixturesPath) {
+  const fixtures = fs.readJsonSync(fixturesPath);
+  return async (link) => {
+    if (fixtures[link] === undefined) {
+      throw new Error('No recorded response in fixtures');
+    }
+    return { status: fixtures[link] };
+  };
+}
+
+/**
+ * Checks that external links can be reached, with a limited number of concurrent requests.
+ * Reachable links are cached for the configured duration, so that they are not requested on every build.
+ */
+class ExternalLinkChecker {
+  /**
+   * @param {Object<string, any>} options the externalLinkValidation config of the {@link SiteConfig}
+   * @param {string} cachePath where the results of the checks are persisted
+   * @param {function(string, Object<string, any>): Promise<Object<string, number>>} fetcher
+   *        that resolves to the status code of a link, see {@link fetchLinkStatus}
+   */
+  constructor(options, cachePath, fetcher = fetchLinkStatus) {
+    this.options = options;
+    this.cachePath = cachePath;
+    this.fetcher = fetcher;
+    /**
+     * Map of reachable links to their status code and the time they were checked
+     * @type {Object<string, Object<string, number>>}
+     */
+    this.cache = {};
+  }
+
+  /**
+   * Creates the fetcher specified in the externalLinkValidation config.
+   * This is either a user provided module, a fixtures file of recorded responses, or {@link fetchLinkStatus}.
+   * @param {Object<string, any>} options the externalLinkValidation config of the {@link SiteConfig}
+   * @param {string} rootPath of the site, which the module or fixtures file paths are relative to
+   */
+  static createFetcher(options, rootPath) {
+    if (options.fetcher) {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      return require(path.resolve(rootPath, options.fetcher));
+    }
+    if (options.fixtures) {
+      return createFixturesFetcher(path.resolve(rootPath, options.fixtures));
+    }
+    return fetchLinkStatus;
+  }
+
+  loadCache() {
+    try {
+      const cache = fs.readJsonSync(this.cachePath);
+      this.cache = cache.version === CACHE_VERSION ? cache.links : {};
+    } catch (err) {
+      logger.debug(`No external link cache found at ${this.cachePath}`);
+      this.cache = {};
+    }
+  }
+
+  saveCache() {
+    return fs.outputJson(this.cachePath, {
+      version: CACHE_VERSION,
+      links: this.cache,
+    });
+  }
+
+  isCached(link) {
+    const cachedResult = this.cache[link];
+    return cachedResult !== undefined
+      && Date.now() - cachedResult.checkedAt < this.options.cacheMaxAge * 1000;
+  }
+
+  isExcluded(link) {
+    return this.options.exclude.some(excludedPrefix => link.startsWith(excludedPrefix));
+  }
+
+  /**
+   * @returns {Promise<Object<string, any>>} the link, and the reason if it is broken
+   */
+  async checkLink(link) {
+    if (this.isCached(link)) {
+      return { link };
+    }
+
+    try {
+      const { status } = await this.fetcher(link, { timeout: this.options.timeout });
+      if (status >= 400) {
+        return { link, reason: `HTTP ${status}` };
+      }
+      this.cache[link] = {
+        status,
+        checkedAt: Date.now(),
+      };
+      return { link };
+    } catch (err) {
+      return { link, reason: err.message };
+    }
+  }
+
+  /**
+   * Checks the given external links, skipping those that are excluded or were recently found reachable.
+   * @param {Array<string>} links to check
+   * @returns {Promise<Array<Object<string, string>>>} the broken links, with the reason they are broken
+   */
+  async check(links) {
+    this.loadCache();
+    const linksToCheck = links.filter(link => !this.isExcluded(link));
+
+    const results = [];
+    let nextLinkIndex = 0;
+    const checkRemainingLinks = async () => {
+      while (nextLinkIndex < linksToCheck.length) {
+        const linkIndex = nextLinkIndex;
+        nextLinkIndex += 1;
+        // eslint-disable-next-line no-await-in-loop
+        results[linkIndex] = await this.checkLink(linksToCheck[linkIndex]);
+      }
+    };
+    const numConcurrentChecks = Math.min(this.options.concurrency, linksToCheck.length);
+    await Promise.all(_.range(numConcurrentChecks).map(checkRemainingLinks));
+
+    await this.saveCache();
+    return results.filter(result => result.reason !== undefined);
+  }
+}
+
+module.exports = {
+  ExternalLinkChecker,
+  fetchLinkStatus,
+};
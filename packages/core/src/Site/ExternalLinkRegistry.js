@@ -0,0 +1,56 @@
+/**
+ * Site wide registry of the external links found in the pages of the site,
+ * and the pages each of them were found in.
+ */
+class ExternalLinkRegistry {
+  constructor() {
+    /**
+     * Map of external links to the srcs of the pages they were found in
+     * @type {Map<string, Set<string>>}
+     */
+    this.links = new Map();
+  }
+
+  /**
+   * Creates a registry of the external links collected in the given pages.
+   * @param {Array<Page>} pages
+   * @returns {ExternalLinkRegistry}
+   */
+  static fromPages(pages) {
+    const registry = new ExternalLinkRegistry();
+    pages.forEach(page => registry.addPageLinks(page.pageConfig.src, page.externalLinks));
+    return registry;
+  }
+
+  /**
+   * @param {string} pageSrc of the page the links were found in
+   * @param {Array<string>} externalLinks
+   */
+  addPageLinks(pageSrc, externalLinks) {
+    externalLinks.forEach((externalLink) => {
+      if (!this.links.has(externalLink)) {
+        this.links.set(externalLink, new Set());
+      }
+      this.links.get(externalLink).add(pageSrc);
+    });
+  }
+
+  /**
+   * @returns {Array<string>} all external links in the registry
+   */
+  getLinks() {
+    return Array.from(this.links.keys());
+  }
+
+  /**
+   * @param {string} externalLink
+   * @returns {Array<string>} the srcs of the pages the external link was found in
+   */
+  getPages(externalLink) {
+    return Array.from(this.links.get(externalLink) || []);
+  }
+}
+
+module.exports = {
+  ExternalLinkRegistry,
+};
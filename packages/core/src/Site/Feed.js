@@ -0,0 +1,149 @@
+const logger = require('../utils/logger');
+const fsUtil = require('../utils/fsUtil');
+
+const _ = {};
+_.escape = require('lodash/escape');
+_.isDate = require('lodash/isDate');
+
+/**
+ * An RSS 2.0 and Atom feed of the pages matched by a feed configuration in the {@link SiteConfig},
+ * ordered by the date in their front matter.
+ */
+class Feed {
+  /**
+   * @param {Object<string, any>} feedConfig one of the feeds of the {@link SiteConfig}
+   * @param {string} siteUrl the absolute url of the site, including its baseUrl
+   */
+  constructor(feedConfig, siteUrl) {
+    this.feedConfig = feedConfig;
+    this.siteUrl = siteUrl;
+  }
+
+  getRssUrl() {
+    return `${this.siteUrl}/${this.feedConfig.name}.xml`;
+  }
+
+  getAtomUrl() {
+    return `${this.siteUrl}/${this.feedConfig.name}.atom`;
+  }
+
+  getPageUrl(page) {
+    return `${this.siteUrl}/${encodeURI(fsUtil.removeExtensionPosix(page.pageConfig.src))}.html`;
+  }
+
+  static getPageDate(page) {
+    const { date } = page.frontMatter || {};
+    if (!date) {
+      return undefined;
+    }
+    // Dates in front matter are parsed as Date objects, which are serialized into strings when cached
+    const pageDate = _.isDate(date) ? date : new Date(date);
+    return Number.isNaN(pageDate.getTime()) ? undefined : pageDate;
+  }
+
+  /**
+   * Returns the items of the feed from the given pages, most recent first.
+   * Pages without a valid date in their front matter are left out.
+   * @param {Array<Page>} pages matched by the feed's glob, which have been generated
+   * @returns {Array<Object<string, any>>} items with the title, url, date and summary of each page
+   */
+  getItems(pages) {
+    const items = [];
+    pages.forEach((page) => {
+      const date = Feed.getPageDate(page);
+      if (!date) {
+        logger.warn(`${page.pageConfig.src} is not added to feed '${this.feedConfig.name}' `
+          + 'as it does not have a valid date in its front matter');
+        return;
+      }
+      items.push({
+        title: page.title || fsUtil.removeExtensionPosix(page.pageConfig.src),
+        url: this.getPageUrl(page),
+        date,
+        summary: page.summary || '',
+        author: page.frontMatter.author,
+      });
+    });
+
+    return items
+      .sort((a, b) => b.date - a.date || a.url.localeCompare(b.url))
+      .slice(0, this.feedConfig.limit);
+  }
+
+  /**
+   * The feed is as up to date as its most recent item, so that rebuilding an unchanged site
+   * produces the same feed.
+   */
+  static getLastUpdated(items) {
+    return items.length ? items[0].date : new Date();
+  }
+
+  /**
+   * Renders the items in the RSS 2.0 format.
+   * See https://www.rssboard.org/rss-specification
+   * @param {Array<Object<string, any>>} items see {@link getItems}
+   * @returns {string}
+   */
+  renderRss(items) {
+    const { title, description } = this.feedConfig;
+    const renderedItems = items.map(item => '    <item>\n'
+      + `      <title>${_.escape(item.title)}</title>\n`
+      + `      <link>${_.escape(item.url)}</link>\n`
+      + `      <guid>${_.escape(item.url)}</guid>\n`
+      + `      <pubDate>${item.date.toUTCString()}</pubDate>\n`
+      + `      <description>${_.escape(item.summary)}</description>\n`
+      + '    </item>\n');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n'
+      + '  <channel>\n'
+      + `    <title>${_.escape(title)}</title>\n`
+      + `    <link>${_.escape(`${this.siteUrl}/`)}</link>\n`
+      + `    <description>${_.escape(description || title)}</description>\n`
+      + `    <atom:link href="${_.escape(this.getRssUrl())}" rel="self" type="application/rss+xml"/>\n`
+      + `    <lastBuildDate>${Feed.getLastUpdated(items).toUTCString()}</lastBuildDate>\n`
+      + `${renderedItems.join('')}`
+      + '  </channel>\n'
+      + '</rss>\n';
+  }
+
+  /**
+   * Renders the items in the Atom format.
+   * See https://tools.ietf.org/html/rfc4287
+   * @param {Array<Object<string, any>>} items see {@link getItems}
+   * @returns {string}
+   */
+  renderAtom(items) {
+    const { title, description, author } = this.feedConfig;
+    const renderedEntries = items.map((item) => {
+      const entryAuthor = item.author
+        ? `    <author><name>${_.escape(item.author)}</name></author>\n`
+        : '';
+      return '  <entry>\n'
+        + `    <title>${_.escape(item.title)}</title>\n`
+        + `    <link href="${_.escape(item.url)}"/>\n`
+        + `    <id>${_.escape(item.url)}</id>\n`
+        + `    <updated>${item.date.toISOString()}</updated>\n`
+        + `${entryAuthor}`
+        + `    <summary>${_.escape(item.summary)}</summary>\n`
+        + '  </entry>\n';
+    });
+    const subtitle = description ? `  <subtitle>${_.escape(description)}</subtitle>\n` : '';
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<feed xmlns="http://www.w3.org/2005/Atom">\n'
+      + `  <title>${_.escape(title)}</title>\n`
+      + `${subtitle}`
+      + `  <link href="${_.escape(`${this.siteUrl}/`)}"/>\n`
+      + `  <link href="${_.escape(this.getAtomUrl())}" rel="self"/>\n`
+      + `  <id>${_.escape(this.getAtomUrl())}</id>\n`
+      + `  <updated>${Feed.getLastUpdated(items).toISOString()}</updated>\n`
+      + `  <author><name>${_.escape(author || title)}</name></author>\n`
+      + `${renderedEntries.join('')}`
+      + '</feed>\n';
+  }
+}
+
+module.exports = {
+  Feed,
+};
@@ -0,0 +1,107 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const PAGE_WORKER_PATH = path.join(__dirname, 'pageWorker.js');
+
+/**
+ * A pool of worker threads that generate pages in parallel.
+ * Each worker sets up its own copy of the site wide managers from the site options given,
+ * and is sent one page at a time.
+ */
+class PageWorkerPool {
+  /**
+   * @param {number} numWorkers to start
+   * @param {Object<string, any>} siteOptions used by the workers to set up the site, see pageWorker.js
+   */
+  constructor(numWorkers, siteOptions) {
+    this.workers = [];
+    this.idleWorkers = [];
+    /**
+     * Pages waiting for an idle worker
+     * @type {Array<Object<string, any>>}
+     */
+    this.pendingTasks = [];
+    /**
+     * Map of workers to the page they are currently generating
+     * @type {Map<Worker, Object<string, any>>}
+     */
+    this.runningTasks = new Map();
+
+    for (let i = 0; i < numWorkers; i += 1) {
+      const worker = new Worker(PAGE_WORKER_PATH, { workerData: siteOptions });
+      worker.on('message', message => this.handleMessage(worker, message));
+      worker.on('error', err => this.handleError(worker, err));
+      this.workers.push(worker);
+      this.idleWorkers.push(worker);
+    }
+  }
+
+  /**
+   * Generates a page in the next available worker.
+   * @param {Object<string, any>} serializedPageConfig as returned by {@link PageConfig#toSerializable}
+   * @returns {Promise<Object<string, any>|null>} the page state collected during generation,
+   * which can be restored with {@link Page#restoreState}, or null if the generation was cancelled
+   */
+  generatePage(serializedPageConfig) {
+    return new Promise((resolve, reject) => {
+      this.pendingTasks.push({ serializedPageConfig, resolve, reject });
+      this.dispatchTasks();
+    });
+  }
+
+  /**
+   * Cancels the generation of the pages still waiting for an idle worker,
+   * whose promises resolve to null instead.
+   */
+  cancelPendingTasks() {
+    this.pendingTasks.forEach(task => task.resolve(null));
+    this.pendingTasks = [];
+  }
+
+  dispatchTasks() {
+    while (this.idleWorkers.length && this.pendingTasks.length) {
+      const worker = this.idleWorkers.pop();
+      const task = this.pendingTasks.shift();
+      this.runningTasks.set(worker, task);
+      worker.postMessage(task.serializedPageConfig);
+    }
+  }
+
+  handleMessage(worker, { error, pageState }) {
+    const task = this.runningTasks.get(worker);
+    this.runningTasks.delete(worker);
+    this.idleWorkers.push(worker);
+
+    if (error) {
+      task.reject(new Error(error));
+    } else {
+      task.resolve(pageState);
+    }
+    this.dispatchTasks();
+  }
+
+  /**
+   * Handles an uncaught error in a worker, which terminates the worker.
+   */
+  handleError(worker, err) {
+    const task = this.runningTasks.get(worker);
+    this.runningTasks.delete(worker);
+    this.workers = this.workers.filter(w => w !== worker);
+    if (task) {
+      task.reject(err);
+    }
+
+    if (this.workers.length === 0) {
+      this.pendingTasks.forEach(pendingTask => pendingTask.reject(err));
+      this.pendingTasks = [];
+    }
+  }
+
+  terminate() {
+    return Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = {
+  PageWorkerPool,
+};
@@ -0,0 +1,165 @@
+const _ = {};
+_.castArray = require('lodash/castArray');
+_.chunk = require('lodash/chunk');
+
+const INDEX_VERSION = 1;
+
+/**
+ * Weights of the terms in each part of a page, so that matches in titles rank above those in headings,
+ * then keywords, and then the text of the page.
+ */
+const TERM_WEIGHTS = {
+  title: 8,
+  heading: 4,
+  keyword: 2,
+  text: 1,
+};
+
+/**
+ * Splits text into lowercase terms of letters and numbers, without diacritics.
+ * The searchbar tokenizes queries in the same way, see vue-components/src/utils/fullTextSearch.js.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+  return text.toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * An inverted index of the text of the site's pages, split into sections at each indexed heading,
+ * for the searchbar's full text search.
+ *
+ * The index is written as several json files, so that the searchbar only loads the parts it needs:
+ * - index.json, containing the pages and sections (documents) of the index, and the ranges of its shards
+ * - terms-<n>.json, mapping a sorted range of terms to the documents they appear in, and their weights
+ * - text-<n>.json, containing the text of a range of documents, for showing snippets of results
+ */
+class SearchIndex {
+  /**
+   * @param {Object<string, number>} options the number of terms in each terms shard (termsPerShard),
+   *        and the number of documents in each text shard (documentsPerShard)
+   */
+  constructor({ termsPerShard, documentsPerShard }) {
+    this.termsPerShard = termsPerShard;
+    this.documentsPerShard = documentsPerShard;
+    /**
+     * @type {Array<Object<string, string>>}
+     */
+    this.pages = [];
+    /**
+     * Sections of the pages, each of which is a document of the index
+     * @type {Array<Object<string, any>>}
+     */
+    this.documents = [];
+    /**
+     * @type {Array<string>}
+     */
+    this.texts = [];
+    /**
+     * Map of terms to a map of the documents they appear in to the total weight of their occurrences
+     * @type {Map<string, Map<number, number>>}
+     */
+    this.postings = new Map();
+  }
+
+  _addTerms(text, docIndex, weight) {
+    tokenize(text).forEach((term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      const termPostings = this.postings.get(term);
+      termPostings.set(docIndex, (termPostings.get(docIndex) || 0) + weight);
+    });
+  }
+
+  /**
+   * Adds the search sections of a generated page to the index.
+   * Matches in a page are boosted by the searchBoost in its front matter,
+   * and the keywords in its front matter are indexed along with its title.
+   * @param {Page} page
+   */
+  addPage(page) {
+    const { src } = page.pageConfig;
+    const frontMatter = page.frontMatter || {};
+    const searchBoost = parseFloat(frontMatter.searchBoost);
+    const boost = searchBoost > 0 ? searchBoost : 1;
+    const pageIndex = this.pages.length;
+    this.pages.push({
+      src,
+      title: page.title || src,
+    });
+
+    const sections = page.searchSections.length ? page.searchSections : [{ id: '', heading: '', text: '' }];
+    sections.forEach((section, sectionIndex) => {
+      const docIndex = this.documents.length;
+      this.documents.push({
+        page: pageIndex,
+        id: section.id,
+        heading: section.heading,
+      });
+      this.texts.push(section.text);
+
+      if (sectionIndex === 0) {
+        this._addTerms(page.title, docIndex, TERM_WEIGHTS.title * boost);
+        _.castArray(frontMatter.keywords || [])
+          .forEach(keyword => this._addTerms(keyword, docIndex, TERM_WEIGHTS.keyword * boost));
+      }
+      this._addTerms(section.heading, docIndex, TERM_WEIGHTS.heading * boost);
+      ((page.keywords || {})[section.id] || [])
+        .forEach(keyword => this._addTerms(keyword, docIndex, TERM_WEIGHTS.keyword * boost));
+      this._addTerms(section.text, docIndex, TERM_WEIGHTS.text * boost);
+    });
+  }
+
+  /**
+   * Splits the index into the json files to be written.
+   * @returns {Object<string, any>} map of file names to their json content
+   */
+  build() {
+    const files = {};
+
+    const terms = Array.from(this.postings.keys()).sort();
+    const termShards = _.chunk(terms, this.termsPerShard).map((shardTerms, shardIndex) => {
+      const file = `terms-${shardIndex}.json`;
+      const shard = {};
+      shardTerms.forEach((term) => {
+        shard[term] = Array.from(this.postings.get(term).entries())
+          .map(([docIndex, weight]) => [docIndex, Math.round(weight * 100) / 100]);
+      });
+      files[file] = shard;
+      return {
+        file,
+        first: shardTerms[0],
+        last: shardTerms[shardTerms.length - 1],
+      };
+    });
+
+    const textShards = _.chunk(this.texts, this.documentsPerShard).map((shardTexts, shardIndex) => {
+      const file = `text-${shardIndex}.json`;
+      files[file] = shardTexts;
+      return file;
+    });
+
+    files['index.json'] = {
+      version: INDEX_VERSION,
+      pages: this.pages,
+      documents: this.documents,
+      termShards,
+      textShards,
+      documentsPerTextShard: this.documentsPerShard,
+    };
+    return files;
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+};
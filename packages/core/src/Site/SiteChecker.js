@@ -0,0 +1,253 @@
+const ignore = require('ignore');
+const path = require('path');
+const walkSync = require('walk-sync');
+
+const linkProcessor = require('../html/linkProcessor');
+
+const { sequentialAsyncForEach } = require('../utils/async');
+const fsUtil = require('../utils/fsUtil');
+const logger = require('../utils/logger');
+
+const _ = {};
+_.range = require('lodash/range');
+
+const {
+  CONFIG_FOLDER_NAME,
+  FAVICON_DEFAULT_PATH,
+} = require('./constants');
+
+const CHECK_TYPES = {
+  BROKEN_LINK: 'broken-link',
+  BROKEN_EXTERNAL_LINK: 'broken-external-link',
+  MISSING_ANCHOR: 'missing-anchor',
+  MISSING_INCLUDE: 'missing-include',
+  UNUSED_FILE: 'unused-file',
+};
+
+const CHECK_SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+/**
+ * Folders of the site and its subsites that are never reported as unused,
+ * as they hold site configuration or files that are not part of the site.
+ */
+const UNCHECKED_FOLDERS = [CONFIG_FOLDER_NAME, 'node_modules'];
+
+/**
+ * A problem found while checking the site.
+ * @typedef {Object<string, string>} CheckIssue
+ * @property {string} type one of {@link CHECK_TYPES}
+ * @property {string} severity one of {@link CHECK_SEVERITIES}
+ * @property {string} file the file the problem was found in, relative to the site root
+ * @property {string} [page] src of the page the problem was found in, if any
+ * @property {string} [target] the link or include src that the problem is about, if any
+ * @property {string} message
+ */
+
+/**
+ * Checks all pages of a site for broken intra-links, links to missing anchors and missing includes,
+ * and the site root for files that are not used by any page.
+ * External links are checked too if external link validation is enabled for the site.
+ */
+class SiteChecker {
+  /**
+   * @param {Site} site whose pages have been created but not generated
+   */
+  constructor(site) {
+    this.site = site;
+    /**
+     * @type {Array<CheckIssue>}
+     */
+    this.issues = [];
+    /**
+     * Keys of the issues found, to find duplicate issues without going through all issues
+     * @type {Set<string>}
+     */
+    this.issueKeys = new Set();
+  }
+
+  /**
+   * Returns the heading ids assigned by {@link setHeadingId}, given the resulting headerIdMap,
+   * where duplicate headings have their ids suffixed with -2, -3 and so on.
+   * @param {Object<string, number>} headerIdMap
+   * @returns {Array<string>}
+   */
+  static getHeadingIds(headerIdMap) {
+    const headingIds = [];
+    Object.entries(headerIdMap).forEach(([headingId, nextSuffix]) => {
+      headingIds.push(headingId);
+      _.range(2, nextSuffix).forEach(suffix => headingIds.push(`${headingId}-${suffix}`));
+    });
+    return headingIds;
+  }
+
+  toRelativePath(filePath) {
+    return fsUtil.ensurePosix(path.relative(this.site.rootPath, filePath));
+  }
+
+  addIssue(type, severity, issue) {
+    // The same file may be included multiple times, which should only be reported once
+    const issueKey = `${type}|${issue.file}|${issue.page}|${issue.target}`;
+    if (this.issueKeys.has(issueKey)) {
+      return;
+    }
+    this.issueKeys.add(issueKey);
+
+    this.issues.push({
+      type,
+      severity,
+      ...issue,
+    });
+  }
+
+  /**
+   * Processes all pages of the site and checks them.
+   * @returns {Promise<Object<string, any>>} the srcs of the pages checked and the issues found
+   */
+  async check() {
+    /*
+     Map of page sources (without extension, as in addressablePagesSource) to the processed pages,
+     so that links to other pages can be checked against the anchors in them.
+     */
+    const processedPages = new Map();
+    await sequentialAsyncForEach(this.site.pages, async (page) => {
+      const processed = await page.process();
+      SiteChecker.getHeadingIds(page.headerIdMap).forEach(headingId => processed.ids.add(headingId));
+      processedPages.set(fsUtil.removeExtensionPosix(page.pageConfig.src), { page, ...processed });
+    });
+
+    const usedFiles = new Set();
+    processedPages.forEach((processedPage) => {
+      const { page, pageSources } = processedPage;
+      page.includedFiles.forEach(filePath => usedFiles.add(filePath));
+      this.checkMissingIncludes(page, pageSources);
+      this.checkIntraLinks(processedPage, processedPages, usedFiles);
+    });
+    this.checkUnusedFiles(usedFiles);
+    await this.checkExternalLinks();
+
+    logger.info(`Checked ${processedPages.size} pages, found ${this.issues.length} issues`);
+    return {
+      pages: this.site.pages.map(page => page.pageConfig.src),
+      issues: this.issues,
+    };
+  }
+
+  checkMissingIncludes(page, pageSources) {
+    pageSources.missingIncludeSrc.forEach((dependency) => {
+      const target = this.toRelativePath(dependency.to);
+      this.addIssue(CHECK_TYPES.MISSING_INCLUDE, CHECK_SEVERITIES.ERROR, {
+        file: this.toRelativePath(dependency.from),
+        page: page.pageConfig.src,
+        target,
+        message: `Included file '${target}' does not exist`,
+      });
+    });
+  }
+
+  checkIntraLinks(processedPage, processedPages, usedFiles) {
+    const { page, intraLinks } = processedPage;
+    const { pageConfig } = page;
+
+    intraLinks.forEach(({ cwf, resourcePath }) => {
+      const issue = {
+        // Links generated by MarkBind (e.g. in page navigation menus) do not have a cwf
+        file: this.toRelativePath(cwf || pageConfig.sourcePath),
+        page: pageConfig.src,
+        target: resourcePath,
+      };
+
+      const resolved = linkProcessor.resolveIntraLink(resourcePath, pageConfig);
+      if (!resolved) {
+        this.addIssue(CHECK_TYPES.BROKEN_LINK, CHECK_SEVERITIES.ERROR, {
+          ...issue,
+          message: `'${resourcePath}' is neither a page nor a file in the site`,
+        });
+        return;
+      }
+
+      if (resolved.filePath) {
+        usedFiles.add(resolved.filePath);
+        return;
+      }
+
+      if (!resolved.hash) {
+        return;
+      }
+      const targetPage = resolved.pageSrc ? processedPages.get(resolved.pageSrc) : processedPage;
+      if (!targetPage || targetPage.ids.has(resolved.hash)) {
+        return;
+      }
+      this.addIssue(CHECK_TYPES.MISSING_ANCHOR, CHECK_SEVERITIES.ERROR, {
+        ...issue,
+        message: `Anchor '#${resolved.hash}' does not exist in page '${targetPage.page.pageConfig.src}'`,
+      });
+    });
+  }
+
+  async checkExternalLinks() {
+    const brokenLinks = await this.site.checkExternalLinks();
+    brokenLinks.forEach(({ link, reason, pages }) => {
+      pages.forEach((pageSrc) => {
+        this.addIssue(CHECK_TYPES.BROKEN_EXTERNAL_LINK, CHECK_SEVERITIES.ERROR, {
+          file: pageSrc,
+          page: pageSrc,
+          target: link,
+          message: `External link '${link}' is broken (${reason})`,
+        });
+      });
+    });
+  }
+
+  /**
+   * Checks for source files that are neither pages nor included in any page,
+   * and assets that are not linked to from any page.
+   * As links in assets themselves (e.g. stylesheets) are not followed, these are reported as warnings.
+   * @param {Set<string>} usedFiles full paths of the files used by the pages
+   */
+  checkUnusedFiles(usedFiles) {
+    const {
+      rootPath, outputPath, siteConfig, siteConfigPath,
+    } = this.site;
+    const fileIgnore = ignore().add(siteConfig.ignore);
+    const faviconPath = path.resolve(rootPath, siteConfig.faviconPath || FAVICON_DEFAULT_PATH);
+    const outputFolder = this.toRelativePath(outputPath);
+
+    walkSync(rootPath, { directories: false })
+      .filter((relativePath) => {
+        const segments = relativePath.split('/');
+        const isHidden = segments.some(segment => segment.startsWith('.'));
+        const isInUncheckedFolder = segments.some(segment => UNCHECKED_FOLDERS.includes(segment))
+          || relativePath.startsWith(`${outputFolder}/`);
+        return !isHidden && !isInUncheckedFolder && path.basename(relativePath) !== siteConfigPath;
+      })
+      .forEach((relativePath) => {
+        const filePath = path.resolve(rootPath, relativePath);
+        if (usedFiles.has(filePath) || filePath === faviconPath) {
+          return;
+        }
+
+        const ext = path.extname(relativePath);
+        const isSourceFile = fsUtil.isMarkdownFileExt(ext) || ext === '.html';
+        // Ignored assets are not copied into the site, hence are never unused
+        if (!isSourceFile && fileIgnore.ignores(relativePath)) {
+          return;
+        }
+
+        this.addIssue(CHECK_TYPES.UNUSED_FILE, CHECK_SEVERITIES.WARNING, {
+          file: relativePath,
+          message: isSourceFile
+            ? 'File is neither a page nor included in any page'
+            : 'File is not linked to from any page',
+        });
+      });
+  }
+}
+
+module.exports = {
+  CHECK_SEVERITIES,
+  CHECK_TYPES,
+  SiteChecker,
+};
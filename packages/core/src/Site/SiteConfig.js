@@ -1,7 +1,17 @@
 const logger = require('../utils/logger');
 
+const _ = {};
+_.isString = require('lodash/isString');
+
 const {
+  EXTERNAL_LINK_VALIDATION_CACHE_MAX_AGE_DEFAULT,
+  EXTERNAL_LINK_VALIDATION_CONCURRENCY_DEFAULT,
+  EXTERNAL_LINK_VALIDATION_TIMEOUT_DEFAULT,
+  FEED_LIMIT_DEFAULT,
+  FEED_NAME_DEFAULT,
   HEADING_INDEXING_LEVEL_DEFAULT,
+  SEARCH_PAGE_RESULTS_PER_PAGE_DEFAULT,
+  SEARCH_PAGE_TITLE_DEFAULT,
 } = require('./constants');
 
 /**
@@ -92,6 +102,15 @@ class SiteConfig {
      * @type {Object<string, Object<string, any>>}
      */
     this.pluginsContext = siteConfigJson.pluginsContext || {};
+    /**
+     * Additional highlight.js languages and language aliases for the syntax highlighting of code.
+     * @type {Object<string, Object<string, string>>}
+     */
+    this.highlight = {
+      languages: {},
+      aliases: {},
+      ...siteConfigJson.highlight,
+    };
 
     /**
      * @type {Object<string, Object<string, any>>}
@@ -102,6 +121,72 @@ class SiteConfig {
      */
     this.intrasiteLinkValidation = siteConfigJson.intrasiteLinkValidation || {};
     this.intrasiteLinkValidation.enabled = this.intrasiteLinkValidation.enabled !== false;
+    /**
+     * Configuration of the checks of external links done after the site is generated.
+     * @type {Object<string, any>}
+     */
+    this.externalLinkValidation = {
+      enabled: false,
+      concurrency: EXTERNAL_LINK_VALIDATION_CONCURRENCY_DEFAULT,
+      timeout: EXTERNAL_LINK_VALIDATION_TIMEOUT_DEFAULT,
+      cacheMaxAge: EXTERNAL_LINK_VALIDATION_CACHE_MAX_AGE_DEFAULT,
+      exclude: [],
+      ...siteConfigJson.externalLinkValidation,
+    };
+    const { exclude } = this.externalLinkValidation;
+    if (_.isString(exclude)) {
+      this.externalLinkValidation.exclude = [exclude];
+    } else if (!Array.isArray(exclude)) {
+      logger.warn("The 'externalLinkValidation.exclude' site configuration key should be an array of link"
+        + ' prefixes, ignoring it.');
+      this.externalLinkValidation.exclude = [];
+    }
+    /**
+     * The front matter properties of pages that searches can be scoped by, in addition to their tags.
+     * @type {Array<string>}
+     */
+    this.searchFacets = siteConfigJson.searchFacets || [];
+    /**
+     * Configuration of the search results page generated for the site.
+     * @type {Object<string, any>}
+     */
+    this.searchPage = {
+      enabled: false,
+      title: SEARCH_PAGE_TITLE_DEFAULT,
+      resultsPerPage: SEARCH_PAGE_RESULTS_PER_PAGE_DEFAULT,
+      ...siteConfigJson.searchPage,
+    };
+    /**
+     * Configuration of the sitemap.xml generated for the site.
+     * @type {Object<string, any>}
+     */
+    this.sitemap = {
+      enabled: false,
+      lastmod: true,
+      ...siteConfigJson.sitemap,
+    };
+    /**
+     * Configuration of the robots.txt generated for the site.
+     * @type {Object<string, any>}
+     */
+    this.robots = {
+      enabled: false,
+      ...siteConfigJson.robots,
+    };
+    /**
+     * Configurations of the RSS and Atom feeds generated from the site's pages.
+     * @type {Array<Object<string, any>>}
+     */
+    this.feeds = (siteConfigJson.feeds || []).map((feed) => {
+      const name = feed.name || FEED_NAME_DEFAULT;
+      return {
+        name,
+        title: name,
+        limit: FEED_LIMIT_DEFAULT,
+        globExclude: [],
+        ...feed,
+      };
+    });
   }
 }
 
@@ -0,0 +1,169 @@
+const logger = require('../utils/logger');
+const fsUtil = require('../utils/fsUtil');
+const { escapeXml } = require('../utils/xmlUtil');
+
+const { SITEMAP_FILE_NAME } = require('./constants');
+
+const _ = {};
+_.castArray = require('lodash/castArray');
+_.isNumber = require('lodash/isNumber');
+
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * Returns the dates each file under the working directory of the git instance was last committed,
+ * from a single traversal of the git history.
+ * @param simpleGit instance whose working directory is the root of the site
+ * @returns {Promise<Object<string, string>>} map of posix file paths relative to the site root
+ *          to the ISO 8601 date of their last commit, empty if the git history cannot be read
+ */
+async function getLastCommitDates(simpleGit) {
+  let log;
+  try {
+    log = await simpleGit.raw(
+      ['-c', 'core.quotepath=off', 'log', '--format=%x00%cI', '--name-only', '--relative', '--', '.']);
+  } catch (err) {
+    logger.warn(`Unable to read the git history of the site for the lastmod dates of the sitemap:\n${err}`);
+    return {};
+  }
+
+  const lastCommitDates = {};
+  (log || '').split('\0').forEach((commit) => {
+    const [date, ...files] = commit.split('\n').filter(line => line.trim());
+    files.forEach((file) => {
+      // The log lists the most recent commits first
+      if (!lastCommitDates[file]) {
+        lastCommitDates[file] = date;
+      }
+    });
+  });
+  return lastCommitDates;
+}
+
+/**
+ * Generates the sitemap.xml and robots.txt of a site from its pages,
+ * as configured in the sitemap and robots keys of the {@link SiteConfig}.
+ */
+class Sitemap {
+  /**
+   * @param {SiteConfig} siteConfig
+   */
+  constructor(siteConfig) {
+    this.siteConfig = siteConfig;
+  }
+
+  /**
+   * Returns the absolute url of the site, including its baseUrl.
+   */
+  getSiteUrl() {
+    const siteUrl = this.siteConfig.sitemap.siteUrl.replace(/\/+$/, '');
+    return `${siteUrl}${this.siteConfig.baseUrl}`;
+  }
+
+  /**
+   * Returns the sitemap entries of the pages that are not excluded with the sitemap front matter property.
+   * @param {Array<Page>} pages of the site, which have been generated
+   * @param {Object<string, string>} lastCommitDates see {@link getLastCommitDates}
+   * @returns {Array<Object<string, any>>} entries with the loc, and optionally the lastmod,
+   *          changefreq and priority of each page
+   */
+  getEntries(pages, lastCommitDates = {}) {
+    const { changefreq, priority } = this.siteConfig.sitemap;
+    const siteUrl = this.getSiteUrl();
+
+    return pages
+      .filter(page => !page.frontMatter || page.frontMatter.sitemap !== false)
+      .map((page) => {
+        const { src } = page.pageConfig;
+        const frontMatter = page.frontMatter || {};
+        const pageUrl = `${siteUrl}/${encodeURI(fsUtil.removeExtensionPosix(src))}.html`;
+        return {
+          loc: pageUrl,
+          lastmod: lastCommitDates[fsUtil.ensurePosix(src)],
+          changefreq: Sitemap.validateChangefreq(frontMatter.sitemapChangefreq || changefreq, src),
+          priority: Sitemap.validatePriority(frontMatter.sitemapPriority !== undefined
+            ? frontMatter.sitemapPriority
+            : priority, src),
+        };
+      })
+      .sort((a, b) => a.loc.localeCompare(b.loc));
+  }
+
+  static validateChangefreq(changefreq, src) {
+    if (changefreq === undefined || CHANGEFREQ_VALUES.includes(changefreq)) {
+      return changefreq;
+    }
+    logger.warn(`Invalid sitemap changefreq '${changefreq}' for ${src}, expected one of: `
+      + `${CHANGEFREQ_VALUES.join(', ')}`);
+    return undefined;
+  }
+
+  static validatePriority(priority, src) {
+    if (priority === undefined) {
+      return undefined;
+    }
+    const parsedPriority = _.isNumber(priority) ? priority : parseFloat(priority);
+    if (parsedPriority >= 0 && parsedPriority <= 1) {
+      return parsedPriority;
+    }
+    logger.warn(`Invalid sitemap priority '${priority}' for ${src}, expected a number from 0.0 to 1.0`);
+    return undefined;
+  }
+
+  /**
+   * Renders the sitemap entries in the sitemap protocol's xml format.
+   * See https://www.sitemaps.org/protocol.html
+   * @param {Array<Object<string, any>>} entries see {@link getEntries}
+   * @returns {string}
+   */
+  static renderSitemap(entries) {
+    const urls = entries.map((entry) => {
+      const tags = [`    <loc>${escapeXml(entry.loc)}</loc>`];
+      if (entry.lastmod) {
+        tags.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+      }
+      if (entry.changefreq) {
+        tags.push(`    <changefreq>${entry.changefreq}</changefreq>`);
+      }
+      if (entry.priority !== undefined) {
+        tags.push(`    <priority>${entry.priority.toFixed(1)}</priority>`);
+      }
+      return `  <url>\n${tags.join('\n')}\n  </url>\n`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+      + `${urls.join('')}</urlset>\n`;
+  }
+
+  /**
+   * Renders the robots.txt of the site from its configured rules,
+   * which allow all crawlers by default, followed by the location of the sitemap if it is generated.
+   * @param {boolean} hasSitemap whether a sitemap is generated for the site
+   * @returns {string}
+   */
+  renderRobotsTxt(hasSitemap) {
+    const rules = this.siteConfig.robots.rules || [{ userAgent: '*', allow: ['/'] }];
+    const groups = rules.map((rule) => {
+      const lines = _.castArray(rule.userAgent || '*').map(userAgent => `User-agent: ${userAgent}`);
+      _.castArray(rule.allow || []).forEach(allowedPath => lines.push(`Allow: ${allowedPath}`));
+      _.castArray(rule.disallow || []).forEach(disallowedPath => lines.push(`Disallow: ${disallowedPath}`));
+      return lines.join('\n');
+    });
+
+    const sitemapUrls = [..._.castArray(this.siteConfig.robots.sitemaps || [])];
+    if (hasSitemap) {
+      sitemapUrls.unshift(`${this.getSiteUrl()}/${SITEMAP_FILE_NAME}`);
+    }
+    if (sitemapUrls.length) {
+      groups.push(sitemapUrls.map(sitemapUrl => `Sitemap: ${sitemapUrl}`).join('\n'));
+    }
+
+    return `${groups.join('\n\n')}\n`;
+  }
+}
+
+module.exports = {
+  Sitemap,
+  getLastCommitDates,
+};
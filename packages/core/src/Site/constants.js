@@ -1,10 +1,19 @@
 module.exports = {
   CONFIG_FOLDER_NAME: '_markbind',
   HEADING_INDEXING_LEVEL_DEFAULT: 3,
+  EXTERNAL_LINK_VALIDATION_CACHE_MAX_AGE_DEFAULT: 86400, // seconds
+  EXTERNAL_LINK_VALIDATION_CONCURRENCY_DEFAULT: 4,
+  EXTERNAL_LINK_VALIDATION_TIMEOUT_DEFAULT: 10000, // milliseconds
+  FEED_LIMIT_DEFAULT: 20,
+  FEED_NAME_DEFAULT: 'feed',
   SITE_FOLDER_NAME: '_site',
   TEMP_FOLDER_NAME: '.temp',
   TEMPLATE_SITE_ASSET_FOLDER_NAME: 'markbind',
 
+  CACHE_FOLDER_PATH: '_markbind/cache',
+  BUILD_MANIFEST_PATH: '_markbind/cache/buildManifest.json',
+  EXTERNAL_LINK_CACHE_PATH: '_markbind/cache/externalLinks.json',
+
   ABOUT_MARKDOWN_FILE: 'about.md',
   FAVICON_DEFAULT_PATH: 'favicon.ico',
   INDEX_MARKDOWN_FILE: 'index.md',
@@ -13,6 +22,14 @@ module.exports = {
   PAGE_TEMPLATE_NAME: 'page.njk',
   SITE_CONFIG_NAME: 'site.json',
   SITE_DATA_NAME: 'siteData.json',
+  SEARCH_INDEX_FOLDER_NAME: 'search',
+  SEARCH_INDEX_DOCUMENTS_PER_SHARD: 200,
+  SEARCH_INDEX_TERMS_PER_SHARD: 2000,
+  SEARCH_PAGE_FILE: 'search.md',
+  SEARCH_PAGE_RESULTS_PER_PAGE_DEFAULT: 10,
+  SEARCH_PAGE_TITLE_DEFAULT: 'Search',
+  SITEMAP_FILE_NAME: 'sitemap.xml',
+  ROBOTS_TXT_FILE_NAME: 'robots.txt',
   LAYOUT_SITE_FOLDER_NAME: 'layouts',
   LAZY_LOADING_SITE_FILE_NAME: 'LazyLiveReloadLoadingSite.html',
   LAZY_LOADING_BUILD_TIME_RECOMMENDATION_LIMIT: 30000,
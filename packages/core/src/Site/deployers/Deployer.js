@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const walkSync = require('walk-sync');
+
+const gitUtil = require('../../utils/git');
+
+/**
+ * Returns the git blob hashes of the files in the directory, keyed by their posix paths relative to it.
+ * @param {string} directory
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getFileHashes(directory) {
+  if (!fs.existsSync(directory)) {
+    return new Map();
+  }
+  const filePaths = walkSync(directory, { directories: false });
+  const hashes = await Promise.all(filePaths.map(async filePath => gitUtil.getBlobHash(
+    await fs.readFile(path.join(directory, filePath)))));
+  return new Map(filePaths.map((filePath, i) => [filePath, hashes[i]]));
+}
+
+/**
+ * Returns whether the posix file path is one of the kept paths, or inside one of them.
+ */
+function isKept(filePath, keptPaths = []) {
+  return keptPaths.some(keptPath => filePath === keptPath || filePath.startsWith(`${keptPath}/`));
+}
+
+/**
+ * Base class of the deployers of the site, which publish the built site to where it is hosted.
+ * Deployers are selected by the provider in the deploy section of the site config,
+ * see {@link createDeployer}.
+ */
+class Deployer {
+  /**
+   * @param {string} rootPath of the site
+   * @param {Object<string, any>} deployConfig the deploy section of the site config
+   */
+  constructor(rootPath, deployConfig) {
+    this.rootPath = rootPath;
+    this.deployConfig = deployConfig;
+  }
+
+  /**
+   * Returns the repo to deploy to in CI environments, with the access token of the CI environment in it.
+   * Deployers that do not deploy to a repo return the configured repo as is.
+   * @param {string} repo configured in the site config, if any
+   * @param {Object<string, any>} ciProvider the CI environment, as detected by detectCiProvider()
+   * @param {string} token to access the repo with
+   * @returns {string}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  getCiRepo(repo, ciProvider, token) {
+    return repo;
+  }
+
+  /**
+   * Publishes the built site.
+   * @param {string} basePath of the built site
+   * @param {Object<string, any>} options the branch, message, repo, remote and user of the deployment,
+   *        and the directory in the deployment to deploy the site to (dest), of which deployers only use
+   *        the ones relevant to them. Only the contents of dest are replaced, if it is specified.
+   *        The files in the paths in keep, relative to the root of the deployment, are not removed.
+   * @returns {Promise<string|null>} the url the site was deployed to, or null if it is not known
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async deploy(basePath, options) {
+    throw new Error('Deployers must implement deploy()');
+  }
+
+  /**
+   * Returns the git blob hashes of the files currently deployed in dest, keyed by their posix paths
+   * relative to dest, which are compared with the built site to find the changes a deployment would make.
+   * @param {Object<string, any>} options of the deployment, as passed to deploy()
+   * @returns {Promise<Map<string, string>>}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async getDeployedFiles(options) {
+    throw new Error('Deployers must implement getDeployedFiles()');
+  }
+
+  /**
+   * Returns the files that deploying the built site would add, change and remove, without deploying it.
+   * @param {string} basePath of the built site
+   * @param {Object<string, any>} options of the deployment, as passed to deploy()
+   * @returns {Promise<Object<string, Array<string>>>} the sorted posix paths of the added, changed
+   *          and removed files, relative to dest
+   */
+  async diff(basePath, options) {
+    const [siteFiles, deployedFiles] = await Promise.all([
+      getFileHashes(basePath),
+      this.getDeployedFiles(options),
+    ]);
+    const added = [];
+    const changed = [];
+    siteFiles.forEach((hash, filePath) => {
+      if (!deployedFiles.has(filePath)) {
+        added.push(filePath);
+      } else if (deployedFiles.get(filePath) !== hash) {
+        changed.push(filePath);
+      }
+    });
+    const removed = Array.from(deployedFiles.keys())
+      .filter(filePath => !siteFiles.has(filePath) && !isKept(filePath, options.keep));
+    return {
+      added: added.sort(),
+      changed: changed.sort(),
+      removed: removed.sort(),
+    };
+  }
+}
+
+module.exports = {
+  Deployer,
+  getFileHashes,
+};
@@ -0,0 +1,83 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { Deployer, getFileHashes } = require('./Deployer');
+
+/**
+ * Returns whether the file path is the directory, or inside it.
+ */
+function isInDirectory(filePath, directory) {
+  const relativePath = path.relative(directory, filePath);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Removes the contents of the directory, except the kept paths and the directories they are in.
+ * @param {string} directory
+ * @param {Array<string>} keptPaths absolute paths
+ */
+async function emptyDirExcept(directory, keptPaths) {
+  await fs.ensureDir(directory);
+  const entries = await fs.readdir(directory);
+  await Promise.all(entries.map(async (entry) => {
+    const entryPath = path.join(directory, entry);
+    if (keptPaths.includes(entryPath)) {
+      return;
+    }
+    if (keptPaths.some(keptPath => isInDirectory(keptPath, entryPath))) {
+      await emptyDirExcept(entryPath, keptPaths);
+      return;
+    }
+    await fs.remove(entryPath);
+  }));
+}
+
+/**
+ * Deploys the site by copying it to a directory, such as the document root of a web server
+ * that is mounted locally, or a directory that is synced to the server by rsync or SFTP.
+ */
+class DirectoryDeployer extends Deployer {
+  /**
+   * Returns the directory to copy the site to, relative to the root of the site if it is not absolute.
+   */
+  getDirectory() {
+    if (!this.deployConfig.directory) {
+      throw new Error(
+        'The directory to deploy to is not specified in the deploy section of the site config.');
+    }
+    return path.resolve(this.rootPath, this.deployConfig.directory);
+  }
+
+  async deploy(basePath, options) {
+    const directory = path.join(this.getDirectory(), options.dest || '.');
+    const resolvedBasePath = path.resolve(basePath);
+    if (isInDirectory(path.resolve(this.rootPath), directory) || isInDirectory(resolvedBasePath, directory)
+      || isInDirectory(directory, resolvedBasePath)) {
+      throw new Error(`The site cannot be deployed to ${directory}, `
+        + 'as it contains, or is inside, the site or its built files.');
+    }
+
+    // Files from previous deployments that are no longer in the site are removed, unless configured not to
+    if (this.deployConfig.clean !== false) {
+      await emptyDirExcept(directory, (options.keep || []).map(keptPath => path.join(directory, keptPath)));
+    }
+    await fs.copy(basePath, directory);
+    return this.deployConfig.url || null;
+  }
+
+  async getDeployedFiles(options) {
+    return getFileHashes(path.join(this.getDirectory(), options.dest || '.'));
+  }
+
+  async diff(basePath, options) {
+    const changes = await super.diff(basePath, options);
+    if (this.deployConfig.clean === false) {
+      changes.removed = [];
+    }
+    return changes;
+  }
+}
+
+module.exports = {
+  DirectoryDeployer,
+};
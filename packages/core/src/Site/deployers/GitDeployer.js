@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const simpleGit = require('simple-git');
+
+const { Deployer } = require('./Deployer');
+const gitUtil = require('../../utils/git');
+const logger = require('../../utils/logger');
+
+const DEPLOY_REMOTE = 'deploy';
+
+/**
+ * Deploys the site to a branch of any git repo, such as a self hosted GitLab or Gitea repo.
+ *
+ * The branch is fetched into a temporary repo, where its contents are replaced by the built site,
+ * and the changes are committed and pushed on top of it. The branch is created if it does not exist yet.
+ */
+class GitDeployer extends Deployer {
+  /**
+   * Adds the token to the https url of the repo, which is the repo being built if none is configured,
+   * with the token username of the CI environment. Other urls, such as ssh urls, are returned as is,
+   * as they are authenticated by the keys of the CI environment instead.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getCiRepo(repo, ciProvider, token) {
+    const ciRepo = repo || ciProvider.repoUrl;
+    if (!ciRepo) {
+      throw new Error(`-c/--ci could not find the repo being built by ${ciProvider.name}. `
+        + 'Please specify the repo to deploy to.');
+    }
+    if (!/^https?:\/\//.test(ciRepo)) {
+      return ciRepo;
+    }
+    const repoUrl = new URL(ciRepo);
+    repoUrl.username = ciProvider.tokenUsername;
+    repoUrl.password = token;
+    return repoUrl.toString();
+  }
+
+  async deploy(basePath, options) {
+    const repo = await this.getRepo(options);
+    const dest = options.dest || '.';
+    const workPath = await fs.mkdtemp(path.join(os.tmpdir(), 'markbind-deploy-'));
+    try {
+      const git = simpleGit({ baseDir: workPath });
+      await GitDeployer.checkoutBranch(git, repo, options.branch);
+      await fs.copy(basePath, path.join(workPath, dest), {
+        filter: src => path.basename(src) !== '.git',
+      });
+      // Only the files in dest are staged, so that the rest of the branch is kept as it is,
+      // as are the kept paths, which are not in the copied site
+      const keptPathspecs = (options.keep || []).map(keptPath => `:(exclude)${keptPath}`);
+      await git.add(['--all', '--', dest, ...keptPathspecs]);
+
+      const status = await git.status();
+      if (status.isClean()) {
+        logger.info(`${options.branch} is already up to date with the site.`);
+      } else {
+        if (options.user) {
+          await git.addConfig('user.name', options.user.name);
+          await git.addConfig('user.email', options.user.email);
+        }
+        await git.commit(options.message);
+        await git.push(DEPLOY_REMOTE, options.branch);
+      }
+    } finally {
+      await fs.remove(workPath);
+    }
+    return this.deployConfig.url || null;
+  }
+
+  async getDeployedFiles(options) {
+    const repo = await this.getRepo(options);
+    const workPath = await fs.mkdtemp(path.join(os.tmpdir(), 'markbind-deploy-'));
+    try {
+      const git = simpleGit({ baseDir: workPath });
+      await git.init(true);
+      const hasBranch = await gitUtil.fetchRemoteBranch(git, repo, options.branch);
+      return hasBranch
+        ? await gitUtil.getTreeFileHashes(git, 'FETCH_HEAD', options.dest || '.')
+        : new Map();
+    } finally {
+      await fs.remove(workPath);
+    }
+  }
+
+  /**
+   * Returns the repo to deploy to, which is the repo of the site itself if it is not specified.
+   */
+  async getRepo(options) {
+    if (options.repo) {
+      return options.repo;
+    }
+    const remoteUrl = await gitUtil.getRemoteUrl(simpleGit({ baseDir: this.rootPath }), options.remote);
+    if (!remoteUrl) {
+      throw new Error(
+        `The repo to deploy to is not specified, and the site has no ${options.remote} remote.`);
+    }
+    return remoteUrl.trim();
+  }
+
+  /**
+   * Initializes a repo on the branch, with the latest commit of the branch in the remote repo as its head
+   * and index if the branch exists, but with none of its files checked out.
+   */
+  static async checkoutBranch(git, repo, branch) {
+    await git.init();
+    await git.addRemote(DEPLOY_REMOTE, repo);
+    await git.raw(['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+    if (await gitUtil.fetchRemoteBranch(git, DEPLOY_REMOTE, branch)) {
+      await git.reset(['FETCH_HEAD']);
+    }
+  }
+}
+
+module.exports = {
+  GitDeployer,
+};
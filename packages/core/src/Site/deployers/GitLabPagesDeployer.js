@@ -0,0 +1,47 @@
+const path = require('path');
+const simpleGit = require('simple-git');
+
+const { DirectoryDeployer } = require('./DirectoryDeployer');
+const gitUtil = require('../../utils/git');
+
+const GITLAB_PAGES_DIRECTORY = 'public';
+
+/**
+ * Deploys the site in the layout GitLab Pages expects, by copying it to the public directory
+ * of the project, which the pages job of the GitLab CI pipeline publishes as its artifact.
+ */
+class GitLabPagesDeployer extends DirectoryDeployer {
+  getDirectory() {
+    return path.resolve(this.rootPath, this.deployConfig.directory || GITLAB_PAGES_DIRECTORY);
+  }
+
+  async deploy(basePath, options) {
+    await super.deploy(basePath, options);
+    // GitLab CI provides the url of the site, including custom domains, to its jobs
+    const url = this.deployConfig.url || process.env.CI_PAGES_URL;
+    if (url) {
+      return url;
+    }
+    const git = simpleGit({ baseDir: this.rootPath });
+    const remoteUrl = options.repo || await gitUtil.getRemoteUrl(git, options.remote);
+    return GitLabPagesDeployer.constructGitLabPagesUrl(remoteUrl);
+  }
+
+  /**
+   * Returns the default url of the GitLab Pages site of a gitlab.com project,
+   * https://<namespace>.gitlab.io/<project path in the namespace>, or null if it is not on gitlab.com.
+   */
+  static constructGitLabPagesUrl(remoteUrl) {
+    const projectRegex = /[@/.]gitlab\.com[:/]([\w.-]+)\/([\w./-]+?)(\.git)?\/?$/;
+    const projectMatch = projectRegex.exec((remoteUrl || '').trim());
+    if (!projectMatch) {
+      return null;
+    }
+    const [, namespace, projectPath] = projectMatch;
+    return `https://${namespace.toLowerCase()}.gitlab.io/${projectPath}`;
+  }
+}
+
+module.exports = {
+  GitLabPagesDeployer,
+};
@@ -0,0 +1,185 @@
+const DEFAULT_TOKEN_USERNAME = 'x-access-token';
+
+/**
+ * Returns the https url of a repo on a host.
+ */
+function getHttpsRepoUrl(host, repoSlug) {
+  return `https://${host}/${repoSlug}.git`;
+}
+
+/**
+ * Returns the repo slug (owner/repo) in the url of a repo, undefined if there is none.
+ */
+function extractRepoSlug(repoUrl) {
+  const repoSlugMatch = /^(?:\w+:\/\/[^/]+\/|[^@/]+@[^:/]+:)(.+?)(?:\.git)?\/?$/.exec(repoUrl || '');
+  return repoSlugMatch ? repoSlugMatch[1] : undefined;
+}
+
+/**
+ * The CI environments deploy -c/--ci can be run in, in the order they are detected in. Each provider has
+ * - name: of the CI environment
+ * - isActive(env): whether the CI environment is the one running, from its environment variables
+ * - getRepoSlug(env): the slug (owner/repo) of the repo being built
+ * - getRepoUrl(env): the https url of the repo being built
+ * - user: the identity of the deployment commits
+ * - tokenUsername: the username that the access token is used with in the https url of repos
+ *   on the host of the CI environment, as hosts use different schemes
+ * @type {Array<Object<string, any>>}
+ */
+const CI_PROVIDERS = [
+  {
+    name: 'Travis CI',
+    isActive: env => !!env.TRAVIS,
+    getRepoSlug: env => env.TRAVIS_REPO_SLUG,
+    getRepoUrl: env => getHttpsRepoUrl('github.com', env.TRAVIS_REPO_SLUG),
+    user: {
+      name: 'Deployment Bot',
+      email: 'deploy@travis-ci.org',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'AppVeyor',
+    isActive: env => !!env.APPVEYOR,
+    getRepoSlug: env => env.APPVEYOR_REPO_NAME,
+    getRepoUrl: env => getHttpsRepoUrl('github.com', env.APPVEYOR_REPO_NAME),
+    user: {
+      name: 'AppVeyorBot',
+      email: 'deploy@appveyor.com',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'GitHub Actions',
+    isActive: env => !!env.GITHUB_ACTIONS,
+    getRepoSlug: env => env.GITHUB_REPOSITORY,
+    getRepoUrl: env => `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}.git`,
+    user: {
+      name: 'github-actions',
+      email: 'github-actions@github.com',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'CircleCI',
+    isActive: env => !!env.CIRCLECI,
+    getRepoSlug: env => `${env.CIRCLE_PROJECT_USERNAME}/${env.CIRCLE_PROJECT_REPONAME}`,
+    getRepoUrl: env => getHttpsRepoUrl('github.com',
+                                       `${env.CIRCLE_PROJECT_USERNAME}/${env.CIRCLE_PROJECT_REPONAME}`),
+    user: {
+      name: 'circleci-bot',
+      email: 'deploy@circleci.com',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'GitLab CI',
+    isActive: env => !!env.GITLAB_CI,
+    getRepoSlug: env => env.CI_PROJECT_PATH,
+    getRepoUrl: env => getHttpsRepoUrl(env.CI_SERVER_HOST || 'gitlab.com', env.CI_PROJECT_PATH),
+    user: {
+      name: 'gitlab-ci',
+      email: 'deploy@gitlab.com',
+    },
+    // Project and personal access tokens of GitLab are used with any username, such as oauth2
+    tokenUsername: 'oauth2',
+  },
+  {
+    name: 'Azure Pipelines',
+    isActive: env => !!env.TF_BUILD,
+    getRepoSlug: env => env.BUILD_REPOSITORY_NAME,
+    getRepoUrl: env => env.BUILD_REPOSITORY_URI,
+    user: {
+      name: 'Azure Pipelines',
+      email: 'deploy@dev.azure.com',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'Bitbucket Pipelines',
+    isActive: env => !!env.BITBUCKET_BUILD_NUMBER,
+    getRepoSlug: env => env.BITBUCKET_REPO_FULL_NAME,
+    getRepoUrl: env => getHttpsRepoUrl('bitbucket.org', env.BITBUCKET_REPO_FULL_NAME),
+    user: {
+      name: 'bitbucket-pipelines',
+      email: 'deploy@bitbucket.org',
+    },
+    // Repository access tokens of Bitbucket are used with the x-token-auth username
+    tokenUsername: 'x-token-auth',
+  },
+  {
+    name: 'Jenkins',
+    isActive: env => !!env.JENKINS_URL,
+    getRepoSlug: env => extractRepoSlug(env.GIT_URL),
+    getRepoUrl: env => env.GIT_URL,
+    user: {
+      name: 'Jenkins',
+      email: 'deploy@jenkins.io',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'Drone',
+    isActive: env => !!env.DRONE,
+    getRepoSlug: env => env.DRONE_REPO,
+    getRepoUrl: env => env.DRONE_GIT_HTTP_URL,
+    user: {
+      name: 'drone',
+      email: 'deploy@drone.io',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+  {
+    name: 'MARKBIND_DEPLOY_REPO',
+    isActive: env => !!env.MARKBIND_DEPLOY_REPO,
+    getRepoSlug: env => extractRepoSlug(env.MARKBIND_DEPLOY_REPO),
+    getRepoUrl: env => env.MARKBIND_DEPLOY_REPO,
+    user: {
+      name: 'Deployment Bot',
+      email: 'deploy@markbind.org',
+    },
+    tokenUsername: DEFAULT_TOKEN_USERNAME,
+  },
+];
+
+/**
+ * Parses the identity of deployment commits in MARKBIND_DEPLOY_USER, in the format "name <email>".
+ */
+function parseUser(user) {
+  const userMatch = /^(.+?)\s*<(.+)>$/.exec(user.trim());
+  if (!userMatch) {
+    throw new Error(`MARKBIND_DEPLOY_USER should be in the format "name <email>", but is "${user}".`);
+  }
+  return {
+    name: userMatch[1],
+    email: userMatch[2],
+  };
+}
+
+/**
+ * Detects the CI environment deploy -c/--ci is run in from the environment variables, and resolves
+ * the repo being built, the identity of deployment commits, and the token scheme of the host of the repo.
+ * MARKBIND_DEPLOY_USER and MARKBIND_DEPLOY_TOKEN_USERNAME override the identity and token scheme
+ * of any CI environment.
+ * @param {Object<string, string>} env the environment variables
+ * @returns {Object<string, any>} the name, repoSlug, repoUrl, user and tokenUsername of the CI environment,
+ *          or null if it is not run in a CI environment
+ */
+function detectCiProvider(env) {
+  const provider = CI_PROVIDERS.find(ciProvider => ciProvider.isActive(env));
+  if (!provider) {
+    return null;
+  }
+  return {
+    name: provider.name,
+    repoSlug: provider.getRepoSlug(env),
+    repoUrl: provider.getRepoUrl(env),
+    user: env.MARKBIND_DEPLOY_USER ? parseUser(env.MARKBIND_DEPLOY_USER) : provider.user,
+    tokenUsername: env.MARKBIND_DEPLOY_TOKEN_USERNAME || provider.tokenUsername,
+  };
+}
+
+module.exports = {
+  CI_PROVIDERS,
+  detectCiProvider,
+};
@@ -0,0 +1,38 @@
+const { DirectoryDeployer } = require('./DirectoryDeployer');
+const { GhPagesDeployer } = require('./GhPagesDeployer');
+const { GitDeployer } = require('./GitDeployer');
+const { GitLabPagesDeployer } = require('./GitLabPagesDeployer');
+
+const DEFAULT_DEPLOY_PROVIDER = 'gh-pages';
+
+/**
+ * Deployers of each deploy provider that can be specified in the deploy section of the site config.
+ * @type {Object<string, Function>}
+ */
+const DEPLOYERS = {
+  directory: DirectoryDeployer,
+  'gh-pages': GhPagesDeployer,
+  git: GitDeployer,
+  'gitlab-pages': GitLabPagesDeployer,
+};
+
+/**
+ * Creates the deployer of the provider specified in the deploy section of the site config.
+ * @param {string} rootPath of the site
+ * @param {Object<string, any>} deployConfig the deploy section of the site config
+ * @returns {Deployer}
+ */
+function createDeployer(rootPath, deployConfig) {
+  const provider = deployConfig.provider || DEFAULT_DEPLOY_PROVIDER;
+  const DeployerClass = DEPLOYERS[provider];
+  if (!DeployerClass) {
+    throw new Error(`Unknown deploy provider "${provider}". `
+      + `The supported providers are: ${Object.keys(DEPLOYERS).join(', ')}.`);
+  }
+  return new DeployerClass(rootPath, deployConfig);
+}
+
+module.exports = {
+  createDeployer,
+  DEPLOYERS,
+};
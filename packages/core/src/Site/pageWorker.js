@@ -0,0 +1,58 @@
+/*
+ * Entry point of the worker threads of a PageWorkerPool.
+ * The site wide managers are set up once per worker,
+ * after which the worker generates the pages it is sent one at a time.
+ */
+const { parentPort, workerData } = require('worker_threads');
+
+const Site = require('./index');
+const Page = require('../Page');
+const { PageConfig } = require('../Page/PageConfig');
+
+/**
+ * Sets up a site with the same configuration and variables as the site in the main thread.
+ * Unlike {@link Site#generate}, no assets are built, and the output folder is left untouched.
+ * Site level plugin hooks such as beforeSiteGenerate are only run in the main thread.
+ */
+async function setUpSite(siteOptions) {
+  const site = new Site(siteOptions.rootPath, siteOptions.outputPath, undefined, false,
+                        siteOptions.siteConfigPath);
+  await site.readSiteConfig(siteOptions.baseUrl);
+  site.addressablePagesSource = siteOptions.addressablePagesSource;
+  site.collectBaseUrl();
+  site.collectUserDefinedVariablesMap();
+  site.variableProcessor.addUserDefinedVariableForAllSites('timestamp', siteOptions.timestamp);
+  return site;
+}
+
+const sitePromise = setUpSite(workerData);
+
+parentPort.on('message', async (serializedPageConfig) => {
+  try {
+    const site = await sitePromise;
+    const pageConfig = PageConfig.fromSerializable(serializedPageConfig, {
+      layoutManager: site.layoutManager,
+      pluginManager: site.pluginManager,
+      template: site.pageTemplate,
+      variableProcessor: site.variableProcessor,
+    });
+    const page = new Page(pageConfig);
+    await page.generate(site.externalManager);
+
+    parentPort.postMessage({
+      pageState: {
+        title: page.title,
+        frontMatter: page.frontMatter,
+        headings: page.headings,
+        keywords: page.keywords,
+        summary: page.summary,
+        searchSections: page.searchSections,
+        includedFiles: Array.from(page.includedFiles),
+        externalLinks: page.externalLinks,
+        unknownLanguages: page.unknownLanguages,
+      },
+    });
+  } catch (err) {
+    parentPort.postMessage({ error: err.stack || err.message });
+  }
+});
@@ -11,5 +11,11 @@ module.exports = {
   // packages/core/src/plugins/algolia.js
   ALGOLIA_CSS_URL: 'https://cdn.jsdelivr.net/npm/docsearch.js@2/dist/cdn/docsearch.min.css',
   ALGOLIA_JS_URL: 'https://cdn.jsdelivr.net/npm/docsearch.js@2/dist/cdn/docsearch.min.js',
+  // The local search redirects the queries of this exact version of DocSearch, see buildAlgoliaInitScript
+  ALGOLIA_LOCAL_SEARCH_JS_URL: 'https://cdn.jsdelivr.net/npm/docsearch.js@2.6.3/dist/cdn/docsearch.min.js',
   ALGOLIA_INPUT_SELECTOR: '#algolia-search-input',
+  // Path of the local DocSearch query endpoint, relative to the baseUrl of the site
+  ALGOLIA_LOCAL_SEARCH_PATH: 'markbind/docsearch',
+  // Folder the records of the local DocSearch index are written to, relative to the root of the site
+  ALGOLIA_LOCAL_INDEX_FOLDER_PATH: '_markbind/cache/docsearch',
 };
@@ -0,0 +1,10 @@
+/**
+ * Error in the parameters of a search query, which the Algolia search API responds to with a 400 status.
+ */
+class InvalidQueryParamsError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+module.exports = InvalidQueryParamsError;
@@ -1,5 +1,7 @@
 const CyclicReferenceError = require('./CyclicReferenceError');
+const InvalidQueryParamsError = require('./InvalidQueryParamsError');
 
 module.exports = {
   CyclicReferenceError,
+  InvalidQueryParamsError,
 };
@@ -1,25 +1,36 @@
-const md = require('../lib/markdown-it');
-
 const _ = {};
 _.has = require('lodash/has');
 
 class MarkdownProcessor {
-  constructor(docId) {
+  /**
+   * @param {MarkdownIt} markdownIt instance of the site, see {@link PluginManager#markdownIt}
+   * @param {string} docId
+   */
+  constructor(markdownIt, docId) {
+    this.markdownIt = markdownIt;
     // markdown-it-footnotes state
     this.baseDocId = docId; // encapsulates footnotes in externals (<panel src="...">)
     this.docId = 0; // encapsulates footnotes in <include>s
+    /**
+     * Languages of code blocks that are not known to highlight.js, and so are not highlighted
+     * @type {Array<string>}
+     */
+    this.unknownLanguages = [];
+  }
+
+  _getEnv() {
+    return {
+      docId: this.docId ? `${this.baseDocId}${this.docId}` : this.baseDocId,
+      unknownLanguages: this.unknownLanguages,
+    };
   }
 
   renderMd(text) {
-    return md.render(text, this.docId
-      ? { docId: `${this.baseDocId}${this.docId}` }
-      : { docId: this.baseDocId });
+    return this.markdownIt.render(text, this._getEnv());
   }
 
   renderMdInline(text) {
-    return md.renderInline(text, this.docId
-      ? { docId: `${this.baseDocId}${this.docId}` }
-      : { docId: this.baseDocId });
+    return this.markdownIt.renderInline(text, this._getEnv());
   }
 }
 
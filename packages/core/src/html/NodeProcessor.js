@@ -15,7 +15,7 @@ const { PageNavProcessor, renderSiteNav, addSitePageNavPortal } = require('./sit
 const { processInclude, processPanelSrc } = require('./includePanelProcessor');
 const { Context } = require('./Context');
 const linkProcessor = require('./linkProcessor');
-const { highlightCodeBlock } = require('./codeblockProcessor');
+const { highlightCodeBlock, transformCodeGroup } = require('./codeblockProcessor');
 const { setHeadingId, assignPanelId } = require('./headerProcessor');
 const { MarkdownProcessor } = require('./MarkdownProcessor');
 const { FootnoteProcessor } = require('./FootnoteProcessor');
@@ -30,6 +30,7 @@ const { warnConflictingAtributesMap, warnDeprecatedAtributesMap } = require('./w
 const { processScriptAndStyleTag } = require('./scriptAndStyleTagProcessor');
 const { createErrorNode } = require('./elements');
 
+const { sequentialAsyncForEach } = require('../utils/async');
 const fsUtil = require('../utils/fsUtil');
 const logger = require('../utils/logger');
 
@@ -52,10 +53,20 @@ class NodeProcessor {
     this.userScriptsAndStyles = userScriptsAndStyles;
 
     this.pageSources = pageSources;
+    /**
+     * Intra-links found while processing, for site wide link checks
+     * @type {Array<Object<string, string>>}
+     */
+    this.intraLinks = [];
+    /**
+     * External links found while processing, collected only if external link validation is enabled
+     * @type {Array<string>}
+     */
+    this.externalLinks = [];
     this.variableProcessor = variableProcessor;
     this.pluginManager = pluginManager;
 
-    this.markdownProcessor = new MarkdownProcessor(docId);
+    this.markdownProcessor = new MarkdownProcessor(pluginManager.markdownIt, docId);
 
     this.footnoteProcessor = new FootnoteProcessor();
     this.mdAttributeRenderer = new MdAttributeRenderer(this.markdownProcessor);
@@ -172,6 +183,9 @@ class NodeProcessor {
         this.mdAttributeRenderer.processModalAttributes(node);
         transformBootstrapVueModalAttributes(node);
         break;
+      case 'code-group':
+        transformCodeGroup(node);
+        break;
       case 'tab':
       case 'tab-group':
         this.mdAttributeRenderer.processTabAttributes(node);
@@ -189,7 +203,7 @@ class NodeProcessor {
         this.pageNavProcessor.renderPageNav(node);
         break;
       case 'site-nav':
-        renderSiteNav(node);
+        renderSiteNav(node, this.markdownProcessor.markdownIt);
         break;
       case 'mb-temp-footnotes':
         this.footnoteProcessor.processMbTempFootnotes(node);
@@ -251,9 +265,29 @@ class NodeProcessor {
     }
   }
 
-  _process(node, context) {
+  /**
+   * Replaces the links of the node that are resolved by the resolveLink hooks of plugins,
+   * such as links with custom schemes (e.g. 'issue:123'), before they are converted and validated.
+   */
+  async _resolvePluginLinks(node, cwf) {
+    if (!node.attribs) {
+      return;
+    }
+    await sequentialAsyncForEach(linkProcessor.getLinkAttributeNames(node), async (attribute) => {
+      const link = node.attribs[attribute];
+      if (!link) {
+        return;
+      }
+      const resolvedLink = await this.pluginManager.resolveLink(link, { tagName: node.name, attribute, cwf });
+      if (resolvedLink !== undefined) {
+        node.attribs[attribute] = resolvedLink;
+      }
+    });
+  }
+
+  async _process(node, context) {
     if (_.isArray(node)) {
-      return node.map(el => this._process(el, context));
+      return Promise.mapSeries(node, el => this._process(el, context));
     }
     if (NodeProcessor._isText(node)) {
       return node;
@@ -262,12 +296,17 @@ class NodeProcessor {
       node.name = node.name.toLowerCase();
     }
     if (linkProcessor.hasTagLink(node)) {
+      await this._resolvePluginLinks(node, context.cwf);
       linkProcessor.convertRelativeLinks(node, context.cwf, this.config.rootPath, this.config.baseUrl);
       linkProcessor.convertMdAndMbdExtToHtmlExt(node);
       if (this.config.intrasiteLinkValidation.enabled) {
         linkProcessor.validateIntraLink(node, context.cwf, this.config);
       }
       linkProcessor.collectSource(node, this.config.rootPath, this.config.baseUrl, this.pageSources);
+      linkProcessor.collectIntraLink(node, context.cwf, this.intraLinks);
+      if (this.config.externalLinkValidation && this.config.externalLinkValidation.enabled) {
+        linkProcessor.collectExternalLink(node, this.externalLinks);
+      }
     }
 
     const isHeadingTag = (/^h[1-6]$/).test(node.name);
@@ -293,12 +332,10 @@ class NodeProcessor {
 
     // eslint-disable-next-line no-param-reassign
     context = this.processNode(node, context);
-    this.pluginManager.processNode(node, this.config);
+    await this.pluginManager.processNode(node, this.config);
 
     if (node.children) {
-      node.children.forEach((child) => {
-        this._process(child, context);
-      });
+      await Promise.mapSeries(node.children, child => this._process(child, context));
     }
 
     this.postProcessNode(node);
@@ -318,34 +355,42 @@ class NodeProcessor {
     return node;
   }
 
-  process(file, content, cwf = file, extraVariables = {}) {
+  async process(file, content, cwf = file, extraVariables = {}) {
     const context = new Context(cwf, [], extraVariables, {});
 
+    const dom = await this._parse(file, content);
+    const mainHtmlNodes = await Promise.mapSeries(dom, async (d) => {
+      let processed;
+      try {
+        processed = await this._process(d, context);
+      } catch (err) {
+        err.message += `\nError while rendering '${file}'`;
+        logger.error(err);
+        processed = createErrorNode(d, err);
+      }
+      return processed;
+    });
+    mainHtmlNodes.forEach(d => NodeProcessor._trimNodes(d));
+
+    const footnotesHtml = this.footnoteProcessor.combineFootnotes(node => this.processNode(node));
+    const mainHtml = cheerio(mainHtmlNodes).html();
+    const mainHtmlWithUniqPageNavUuid = this.pageNavProcessor.finalizePageNavUuid(
+      mainHtml, mainHtmlNodes, footnotesHtml);
+
+    return mainHtmlWithUniqPageNavUuid + footnotesHtml;
+  }
+
+  /**
+   * Renders the file's content as markdown if necessary, then parses it into a dom.
+   */
+  _parse(file, content) {
     return new Promise((resolve, reject) => {
       const handler = new htmlparser.DomHandler((error, dom) => {
         if (error) {
           reject(error);
           return;
         }
-        const mainHtmlNodes = dom.map((d) => {
-          let processed;
-          try {
-            processed = this._process(d, context);
-          } catch (err) {
-            err.message += `\nError while rendering '${file}'`;
-            logger.error(err);
-            processed = createErrorNode(d, err);
-          }
-          return processed;
-        });
-        mainHtmlNodes.forEach(d => NodeProcessor._trimNodes(d));
-
-        const footnotesHtml = this.footnoteProcessor.combineFootnotes(node => this.processNode(node));
-        const mainHtml = cheerio(mainHtmlNodes).html();
-        const mainHtmlWithUniqPageNavUuid = this.pageNavProcessor.finalizePageNavUuid(
-          mainHtml, mainHtmlNodes, footnotesHtml);
-
-        resolve(mainHtmlWithUniqPageNavUuid + footnotesHtml);
+        resolve(dom);
       });
       const parser = new htmlparser.Parser(handler);
       const fileExt = path.extname(file);
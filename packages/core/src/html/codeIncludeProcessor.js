@@ -0,0 +1,208 @@
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const hljs = require('highlight.js');
+const path = require('path');
+
+const { createErrorNode } = require('./elements');
+const { escapeFenceAttribute } = require('../lib/markdown-it/utils');
+const logger = require('../utils/logger');
+
+const _ = {};
+_.has = require('lodash/has');
+
+// Attributes of <include>s that select the part of a source file to include as code
+const SNIPPET_ATTRIBUTES = ['lines', 'region', 'symbol'];
+// Attributes of <include>s that are passed on to the code block of included code
+const CODE_BLOCK_ATTRIBUTES = ['callouts', 'heading', 'highlight-lines'];
+
+const LINES_REGEX = /^\s*(\d*)\s*(-?)\s*(\d*)\s*$/;
+const REGION_START_REGEX = /\bregion:\s*([\w.-]+)/;
+const REGION_END_REGEX = /\bendregion\b(?::\s*([\w.-]+))?/;
+const DOC_COMMENT_OR_ANNOTATION_REGEX = /^\s*(?:@|\/\*|\*|\/\/|#)/;
+const INDENTATION_LANGS = ['python', 'yaml', 'coffeescript'];
+
+/**
+ * Returns the language of the code in a file, from its extension, or undefined if it is not known.
+ */
+function _getFileLanguage(filePath) {
+  const ext = path.extname(filePath).substring(1);
+  const language = hljs.getLanguage(ext);
+  return language ? ext : undefined;
+}
+
+/**
+ * Returns whether an <include> includes a source file as code,
+ * which is the case if a part of the file is selected, or if the language of the code is specified.
+ * Other <include>s include their files as content.
+ */
+function isCodeInclude(node) {
+  return [...SNIPPET_ATTRIBUTES, 'lang'].some(attribute => _.has(node.attribs, attribute));
+}
+
+/**
+ * Selects the lines in a one-based range, such as 10-30, 10- (from line 10), -30 (up to line 30) or 10.
+ * @returns {number[]} the zero-based start and end (exclusive) indices of the lines
+ */
+function _selectLines(lines, rangeStr) {
+  const rangeMatch = LINES_REGEX.exec(rangeStr);
+  if (!rangeMatch || (!rangeMatch[1] && !rangeMatch[3])) {
+    throw new Error(`Invalid lines "${rangeStr}", expected a range of lines such as "10-30".`);
+  }
+  const [, startStr, dash, endStr] = rangeMatch;
+  const start = startStr ? parseInt(startStr, 10) : 1;
+  let end = start;
+  if (dash) {
+    end = endStr ? parseInt(endStr, 10) : lines.length;
+  }
+  if (start < 1 || start > end || start > lines.length) {
+    throw new Error(`Invalid lines "${rangeStr}", the file has ${lines.length} lines.`);
+  }
+  return [start - 1, Math.min(end, lines.length)];
+}
+
+/**
+ * Selects the lines between the "region: name" and "endregion" markers of a region,
+ * excluding the marker lines. Markers of nested regions are kept, so that the lines stay contiguous.
+ */
+function _selectRegion(lines, region) {
+  const startIndex = lines.findIndex((line) => {
+    const startMatch = REGION_START_REGEX.exec(line);
+    return startMatch && startMatch[1] === region;
+  });
+  if (startIndex === -1) {
+    throw new Error(`No such region "${region}".`);
+  }
+
+  let depth = 0;
+  for (let i = startIndex + 1; i < lines.length; i += 1) {
+    const endMatch = REGION_END_REGEX.exec(lines[i]);
+    if (endMatch && (endMatch[1] === region || (!endMatch[1] && depth === 0))) {
+      return [startIndex + 1, i];
+    }
+    if (endMatch) {
+      depth -= 1;
+    } else if (REGION_START_REGEX.test(lines[i])) {
+      depth += 1;
+    }
+  }
+  throw new Error(`The region "${region}" has no "endregion" marker.`);
+}
+
+/**
+ * Selects the declaration of a symbol, such as a class, method or function, along with the doc comment
+ * and annotations before it. The declaration ends when its braces are balanced, or for languages
+ * which use indentation for blocks, before the next line that is not indented more than the declaration.
+ */
+function _selectSymbol(lines, symbol, language) {
+  const escapedSymbol = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const declarationRegex = new RegExp(
+    `\\b(?:class|interface|enum|struct|record|trait|def|fun|func|function)\\s+${escapedSymbol}\\b`
+    + `|\\b${escapedSymbol}\\s*(?:=\\s*(?:async\\s*)?(?:function\\b|\\([^)]*\\)\\s*=>)|\\([^;]*$)`);
+  let startIndex = lines.findIndex(line => declarationRegex.test(line));
+  if (startIndex === -1) {
+    throw new Error(`No such symbol "${symbol}".`);
+  }
+
+  const declarationIndex = startIndex;
+  while (startIndex > 0 && DOC_COMMENT_OR_ANNOTATION_REGEX.test(lines[startIndex - 1])) {
+    startIndex -= 1;
+  }
+
+  const hljsLanguage = hljs.getLanguage(language || '');
+  if (hljsLanguage && INDENTATION_LANGS.includes(hljsLanguage.name.toLowerCase())) {
+    const indentation = lines[declarationIndex].search(/\S/);
+    let endIndex = declarationIndex + 1;
+    while (endIndex < lines.length
+      && (lines[endIndex].trim() === '' || lines[endIndex].search(/\S/) > indentation)) {
+      endIndex += 1;
+    }
+    while (endIndex > declarationIndex + 1 && lines[endIndex - 1].trim() === '') {
+      endIndex -= 1; // exclude blank lines after the declaration
+    }
+    return [startIndex, endIndex];
+  }
+
+  let depth = 0;
+  let hasOpened = false;
+  for (let i = declarationIndex; i < lines.length; i += 1) {
+    const openingBraces = (lines[i].match(/{/g) || []).length;
+    depth += openingBraces - (lines[i].match(/}/g) || []).length;
+    hasOpened = hasOpened || openingBraces > 0;
+    const isDeclarationEnd = hasOpened ? depth <= 0 : lines[i].trim().endsWith(';');
+    if (isDeclarationEnd) {
+      return [startIndex, i + 1];
+    }
+  }
+  return [startIndex, lines.length];
+}
+
+/**
+ * Removes the indentation common to all non-blank lines.
+ */
+function _dedent(lines) {
+  const indentations = lines.filter(line => line.trim() !== '').map(line => line.search(/\S/));
+  const commonIndentation = indentations.length > 0 ? Math.min(...indentations) : 0;
+  return lines.map(line => line.substring(commonIndentation));
+}
+
+/**
+ * Renders the code of a source file as a code block in its language,
+ * or the part of it selected by the lines, region or symbol attribute of the include.
+ * The code block's line numbers match those of the source file. The code is dedented, unless lines are
+ * highlighted, so that the highlighted lines are as they are in the source file.
+ */
+function _renderCodeBlock(node, filePath, renderMd) {
+  const language = node.attribs.lang || _getFileLanguage(filePath) || '';
+  const lines = fs.readFileSync(filePath, 'utf8').replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+
+  let [start, end] = [0, lines.length];
+  if (_.has(node.attribs, 'lines')) {
+    [start, end] = _selectLines(lines, node.attribs.lines);
+  } else if (_.has(node.attribs, 'region')) {
+    [start, end] = _selectRegion(lines, node.attribs.region);
+  } else if (_.has(node.attribs, 'symbol')) {
+    [start, end] = _selectSymbol(lines, node.attribs.symbol, language);
+  }
+  const selectedLines = lines.slice(start, end);
+  const code = (_.has(node.attribs, 'highlight-lines') ? selectedLines : _dedent(selectedLines)).join('\n');
+
+  const fenceAttributes = [`start-from="${start + 1}"`];
+  CODE_BLOCK_ATTRIBUTES.forEach((attribute) => {
+    if (_.has(node.attribs, attribute)) {
+      const value = node.attribs[attribute];
+      fenceAttributes.push(value ? `${attribute}="${escapeFenceAttribute(value)}"` : attribute);
+    }
+  });
+  // the fence has to be longer than any backtick fences in the code
+  const backtickRuns = code.match(/`{3,}/g) || [];
+  const fence = '`'.repeat(Math.max(3, ...backtickRuns.map(run => run.length + 1)));
+
+  return renderMd(`${fence}${language} {${fenceAttributes.join(' ')}}\n${code}\n${fence}\n`);
+}
+
+/**
+ * Replaces the content of an include of a source file as code with the code block of the file,
+ * or with an error node if the part of the file to include could not be found.
+ */
+function processCodeInclude(node, context, filePath, renderMd) {
+  let codeBlock;
+  try {
+    codeBlock = _renderCodeBlock(node, filePath, renderMd);
+  } catch (err) {
+    const error = new Error(`${err.message}\nIn the include of ${filePath} in ${context.cwf}`);
+    logger.error(error);
+    createErrorNode(node, error);
+    return;
+  }
+
+  node.name = 'div';
+  cheerio(node).empty().append(codeBlock);
+  [...SNIPPET_ATTRIBUTES, ...CODE_BLOCK_ATTRIBUTES, 'lang'].forEach((attribute) => {
+    delete node.attribs[attribute];
+  });
+}
+
+module.exports = {
+  isCodeInclude,
+  processCodeInclude,
+};
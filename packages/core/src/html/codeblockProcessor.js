@@ -1,16 +1,19 @@
 const cheerio = require('cheerio');
+const hljs = require('highlight.js');
 const lodashHas = require('lodash/has');
-const md = require('../lib/markdown-it');
+const { escapeHtml } = require('markdown-it/lib/common/utils');
 const util = require('../lib/markdown-it/utils');
+const { getHighlightClass } = require('../lib/markdown-it/highlight/helper');
 
 /**
  * Traverses a line part and applies highlighting if necessary.
  * @param node The node of the line part to be traversed
  * @param hlStart The highlight start position, relative to the start of the line part
  * @param hlEnd The highlight end position, relative to the start of the line part
+ * @param hlClass The classes of the highlight to apply
  * @returns {object} An object that contains data to be used by the node's parent.
  */
-function traverseLinePart(node, hlStart, hlEnd) {
+function traverseLinePart(node, hlStart, hlEnd, hlClass) {
   const resData = {
     numCharsTraversed: 0,
     shouldParentHighlight: false,
@@ -54,11 +57,16 @@ function traverseLinePart(node, hlStart, hlEnd) {
    * The remaining possibility is that node is a tag node.
    * It has at least one child (to contain the text content).
    * It may have more children, such as inner tag nodes.
+   * Tag nodes without children, such as code callouts, have no text to highlight.
    */
 
+  if (node.children.length === 0) {
+    return resData;
+  }
+
   const highlightData = node.children.map((child) => {
     const [relativeHlStart, relativeHlEnd] = [hlStart, hlEnd].map(x => x - resData.numCharsTraversed);
-    const data = traverseLinePart(child, relativeHlStart, relativeHlEnd);
+    const data = traverseLinePart(child, relativeHlStart, relativeHlEnd, hlClass);
     resData.numCharsTraversed += data.numCharsTraversed;
     return data;
   });
@@ -85,18 +93,18 @@ function traverseLinePart(node, hlStart, hlEnd) {
     }
 
     if (child.type === 'tag') {
-      child.attribs.class = child.attribs.class ? `${child.attribs.class} highlighted` : 'highlighted';
+      child.attribs.class = child.attribs.class ? `${child.attribs.class} ${hlClass}` : hlClass;
       return;
     }
 
     if (!data.highlightRange) {
-      cheerio(child).wrap('<span class="highlighted"></span>');
+      cheerio(child).wrap(`<span class="${hlClass}"></span>`);
     } else {
       const [start, end] = data.highlightRange;
       const cleaned = util.unescapeHtml(child.data);
       const split = [cleaned.substring(0, start), cleaned.substring(start, end), cleaned.substring(end)];
-      const [pre, highlighted, post] = split.map(md.utils.escapeHtml);
-      const newElement = cheerio(`<span>${pre}<span class="highlighted">${highlighted}</span>${post}</span>`);
+      const [pre, highlighted, post] = split.map(escapeHtml);
+      const newElement = cheerio(`<span>${pre}<span class="${hlClass}">${highlighted}</span>${post}</span>`);
       cheerio(child).replaceWith(newElement);
     }
   });
@@ -123,12 +131,62 @@ function highlightCodeBlock(node) {
     }
 
     const bounds = lineNode.attribs['hl-data'].split(',').map(boundStr => boundStr.split('-').map(Number));
-    bounds.forEach(([start, end]) => traverseLinePart(lineNode, start, end));
+    const hlClass = getHighlightClass(lineNode.attribs['hl-style']);
+    bounds.forEach(([start, end]) => traverseLinePart(lineNode, start, end, hlClass));
 
     delete lineNode.attribs['hl-data'];
+    delete lineNode.attribs['hl-style'];
+  });
+}
+
+/**
+ * Returns the code element of a code block, which is either a 'pre' node,
+ * or a 'div' node with the 'code-block' class if the code block has a heading.
+ */
+function _getCodeNode(node) {
+  if (node.name === 'pre') {
+    return node.children.find(child => child.name === 'code');
+  }
+  if (node.name === 'div' && node.attribs.class && node.attribs.class.split(' ').includes('code-block')) {
+    const $code = cheerio(node).find('pre > code').first();
+    return $code.length ? $code[0] : undefined;
+  }
+  return undefined;
+}
+
+/**
+ * Returns the tab label of a code block in a code group, which is the title attribute of the code block
+ * if specified, or the name of its language.
+ */
+function _getCodeGroupLabel(codeNode) {
+  if (codeNode.attribs.title) {
+    const { title } = codeNode.attribs;
+    delete codeNode.attribs.title;
+    return title;
+  }
+  const lang = (codeNode.attribs.class || '').split(' ').find(className => className && className !== 'hljs');
+  const language = lang && hljs.getLanguage(lang);
+  return language ? language.name : 'Code';
+}
+
+/**
+ * Transforms the code blocks in a <code-group> into tabs of the code-group component,
+ * labelled by their title attribute or language.
+ * @param node The <code-group> node
+ */
+function transformCodeGroup(node) {
+  node.children.forEach((child) => {
+    const codeNode = _getCodeNode(child);
+    if (!codeNode) {
+      return;
+    }
+    const label = _getCodeGroupLabel(codeNode);
+    const $tab = cheerio('<tab></tab>').attr('header', label);
+    cheerio(child).wrap($tab);
   });
 }
 
 module.exports = {
   highlightCodeBlock,
+  transformCodeGroup,
 };
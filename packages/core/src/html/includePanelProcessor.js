@@ -3,6 +3,7 @@ const path = require('path');
 const url = require('url');
 
 const { createErrorNode, createEmptyNode } = require('./elements');
+const { isCodeInclude, processCodeInclude } = require('./codeIncludeProcessor');
 const { CyclicReferenceError } = require('../errors');
 
 const fsUtil = require('../utils/fsUtil');
@@ -200,6 +201,12 @@ function processInclude(node, context, pageSources, variableProcessor, renderMd,
     to: actualFilePath,
   });
 
+  if (isCodeInclude(node)) {
+    processCodeInclude(node, context, actualFilePath, renderMd);
+    _deleteIncludeAttributes(node);
+    return context;
+  }
+
   const {
     nunjucksProcessed,
     childContext,
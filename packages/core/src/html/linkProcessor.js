@@ -10,6 +10,7 @@ const urlUtil = require('../utils/urlUtil');
 const { PluginManager } = require('../plugins/PluginManager');
 
 const pluginTagConfig = PluginManager.tagConfig;
+const pluginTagLinkAttributes = PluginManager.tagLinkAttributes;
 
 const defaultTagLinkMap = {
   img: 'src',
@@ -23,13 +24,42 @@ const defaultTagLinkMap = {
 };
 
 function hasTagLink(node) {
-  return node.name in defaultTagLinkMap || node.name in pluginTagConfig;
+  return node.name in defaultTagLinkMap
+    || node.name in pluginTagConfig
+    || node.name in pluginTagLinkAttributes;
 }
 
-function getDefaultTagsResourcePath(node) {
-  const linkAttribName = defaultTagLinkMap[node.name];
-  const resourcePath = node.attribs && node.attribs[linkAttribName];
-  return resourcePath;
+/**
+ * Returns the names of the attributes of the node that contain links,
+ * which are those of {@link defaultTagLinkMap} and those registered by plugins in their linkAttributes.
+ * @param {Object<any, any>} node from the dom traversal
+ * @returns {Array<string>}
+ */
+function getLinkAttributeNames(node) {
+  const linkAttribNames = [];
+  if (node.name in defaultTagLinkMap) {
+    linkAttribNames.push(defaultTagLinkMap[node.name]);
+  }
+  (pluginTagLinkAttributes[node.name] || []).forEach((linkAttribName) => {
+    if (!linkAttribNames.includes(linkAttribName)) {
+      linkAttribNames.push(linkAttribName);
+    }
+  });
+  return linkAttribNames;
+}
+
+/**
+ * Returns the links in the attributes returned by {@link getLinkAttributeNames}.
+ * @param {Object<any, any>} node from the dom traversal
+ * @returns {Array<string>}
+ */
+function getResourcePaths(node) {
+  if (!node.attribs) {
+    return [];
+  }
+  return getLinkAttributeNames(node)
+    .map(linkAttribName => node.attribs[linkAttribName])
+    .filter(resourcePath => resourcePath);
 }
 
 function getResourcePathFromRoot(rootPath, fullResourcePath) {
@@ -58,7 +88,8 @@ function _convertRelativeLink(node, cwf, rootPath, baseUrl, resourcePath, linkAt
  * This is needed because a relative link may have been from an included file (through <include>, etc.),
  * hence we need to rewrite the link accordingly.
  *
- * TODO allow plugins to tap into this process / extend {@link defaultTagLinkMap}
+ * Besides the links of {@link defaultTagLinkMap}, the link attributes registered by plugins,
+ * and the attributes of plugin tags configured with isRelative are converted.
  *
  * @param {Object<any, any>} node from the dom traversal
  * @param {string} cwf as flagged from {@link NodeProcessor}
@@ -66,10 +97,11 @@ function _convertRelativeLink(node, cwf, rootPath, baseUrl, resourcePath, linkAt
  * @param {string} baseUrl
  */
 function convertRelativeLinks(node, cwf, rootPath, baseUrl) {
-  if (node.name in defaultTagLinkMap) {
-    const resourcePath = getDefaultTagsResourcePath(node);
-    const linkAttribName = defaultTagLinkMap[node.name];
-    _convertRelativeLink(node, cwf, rootPath, baseUrl, resourcePath, linkAttribName);
+  if (node.attribs) {
+    getLinkAttributeNames(node).forEach((linkAttribName) => {
+      const resourcePath = node.attribs[linkAttribName];
+      _convertRelativeLink(node, cwf, rootPath, baseUrl, resourcePath, linkAttribName);
+    });
   }
 
   if (node.name in pluginTagConfig && pluginTagConfig[node.name].attributes && node.attribs) {
@@ -138,25 +170,59 @@ function isValidFileAsset(resourcePath, config) {
 }
 
 /**
- * Serves as an internal intra-link validator. Checks if the intra-links are valid.
- * If the intra-links are suspected to be invalid and they do not have the no-validation
- * attribute, a warning message will be logged.
+ * Finds the page source or file asset that the path of an intra-link points to.
+ * Paths ending with "/" or without a file extension point to the index.html of the directory,
+ * though paths without a file extension can point to a file asset too.
  *
- * @param {Object<any, any>} node from the dom traversal
- * @param {string} cwf as flagged from {@link NodePreprocessor}
+ * @param {string} resourcePath of the intra-link, without the baseUrl and url fragment
  * @param {Object<any, any>} config passed for page metadata access
- * @returns {string} these string return values are for unit testing purposes only
+ * @returns {Object<string, any>} the {@code linkType} describing the path, which is empty for paths that
+ * can only point to file assets, and the {@code target} pointed to (if any), which has either the
+ * {@code pageSourcePath} or the {@code fileAssetPath} pointed to.
  */
-function validateIntraLink(node, cwf, config) {
-  if (node.attribs) {
-    const hasIntralinkValidationDisabled = lodashHas(node.attribs, 'no-validation');
-    if (hasIntralinkValidationDisabled) {
-      return 'Intralink validation disabled';
-    }
+function findIntraLinkTarget(resourcePath, config) {
+  const findFileAsset = assetPath => (isValidFileAsset(assetPath, config)
+    ? { fileAssetPath: assetPath }
+    : undefined);
+  const findPageOrFileAsset = implicitResourcePath => (isValidPageSource(implicitResourcePath, config)
+    ? { pageSourcePath: implicitResourcePath }
+    : findFileAsset(implicitResourcePath));
+
+  if (resourcePath.endsWith('/')) {
+    // append index.html to e.g. /userGuide/
+    return {
+      linkType: 'Intralink ending with "/"',
+      target: findPageOrFileAsset(`${resourcePath}index.html`),
+    };
+  }
+
+  const hasNoFileExtension = path.posix.extname(resourcePath) === '';
+  if (hasNoFileExtension) {
+    // does not end with '/' and no file ext (e.g. /userGuide)
+    return {
+      linkType: 'Intralink with no extension',
+      target: findPageOrFileAsset(`${resourcePath}/index.html`) || findFileAsset(resourcePath),
+    };
+  }
+
+  const hasHtmlExt = resourcePath.slice(-5) === '.html';
+  if (hasHtmlExt) {
+    return {
+      linkType: 'Intralink with ".html" extension',
+      target: findPageOrFileAsset(resourcePath),
+    };
   }
 
-  let resourcePath = getDefaultTagsResourcePath(node);
-  if (!resourcePath || urlUtil.isUrl(resourcePath) || resourcePath.startsWith('#')) {
+  // basic asset check
+  return {
+    linkType: '',
+    target: findFileAsset(resourcePath),
+  };
+}
+
+function validateIntraLinkPath(intraLinkPath, cwf, config) {
+  let resourcePath = intraLinkPath;
+  if (urlUtil.isUrl(resourcePath) || resourcePath.startsWith('#')) {
     return 'Not Intralink';
   }
 
@@ -171,44 +237,132 @@ function validateIntraLink(node, cwf, config) {
     resourcePath = resourcePathUrl.path;
   }
 
-  if (resourcePath.endsWith('/')) {
-    // append index.html to e.g. /userGuide/
-    const implicitResourcePath = `${resourcePath}index.html`;
-    if (!isValidPageSource(implicitResourcePath, config) && !isValidFileAsset(implicitResourcePath, config)) {
+  const { linkType, target } = findIntraLinkTarget(resourcePath, config);
+  if (!linkType) {
+    if (!target) {
       logger.warn(err);
-      return 'Intralink ending with "/" is neither a Page Source nor File Asset';
+      return 'Intralink is not a File Asset';
     }
-    return 'Intralink ending with "/" is a valid Page Source or File Asset';
+    return 'Intralink is a valid File Asset';
   }
 
-  const hasNoFileExtension = path.posix.extname(resourcePath) === '';
-  if (hasNoFileExtension) {
-    // does not end with '/' and no file ext (e.g. /userGuide)
-    const implicitResourcePath = `${resourcePath}/index.html`;
-    const asFileAsset = resourcePath;
-    if (!isValidPageSource(implicitResourcePath, config) && !isValidFileAsset(implicitResourcePath, config)
-      && !isValidFileAsset(asFileAsset, config)) {
-      logger.warn(err);
-      return 'Intralink with no extension is neither a Page Source nor File Asset';
-    }
-    return 'Intralink with no extension is a valid Page Source or File Asset';
+  if (!target) {
+    logger.warn(err);
+    return `${linkType} is neither a Page Source nor File Asset`;
   }
+  return `${linkType} is a valid Page Source or File Asset`;
+}
 
-  const hasHtmlExt = resourcePath.slice(-5) === '.html';
-  if (hasHtmlExt) {
-    if (!isValidPageSource(resourcePath, config) && !isValidFileAsset(resourcePath, config)) {
-      logger.warn(err);
-      return 'Intralink with ".html" extension is neither a Page Source nor File Asset';
+/**
+ * Serves as an internal intra-link validator. Checks if the intra-links are valid.
+ * If the intra-links are suspected to be invalid and they do not have the no-validation
+ * attribute, a warning message will be logged.
+ *
+ * @param {Object<any, any>} node from the dom traversal
+ * @param {string} cwf as flagged from {@link NodePreprocessor}
+ * @param {Object<any, any>} config passed for page metadata access
+ * @returns {string} these string return values are for unit testing purposes only,
+ * with one line for each link of the node
+ */
+function validateIntraLink(node, cwf, config) {
+  if (node.attribs) {
+    const hasIntralinkValidationDisabled = lodashHas(node.attribs, 'no-validation');
+    if (hasIntralinkValidationDisabled) {
+      return 'Intralink validation disabled';
     }
-    return 'Intralink with ".html" extension is a valid Page Source or File Asset';
   }
 
-  // basic asset check
-  if (!isValidFileAsset(resourcePath, config)) {
-    logger.warn(err);
-    return 'Intralink is not a File Asset';
+  const resourcePaths = getResourcePaths(node);
+  if (resourcePaths.length === 0) {
+    return 'Not Intralink';
+  }
+  return resourcePaths.map(resourcePath => validateIntraLinkPath(resourcePath, cwf, config)).join('\n');
+}
+
+/**
+ * Resolves an intra-link to the page or file asset it points to,
+ * which is found in the same way as in {@link validateIntraLink}.
+ *
+ * @param {string} resourcePath of the intra-link, which may include the baseUrl and a url fragment
+ * @param {Object<any, any>} config passed for page metadata access
+ * @returns {Object<string, string>|undefined} an object containing the url fragment (if any) and either the
+ * {@code pageSrc} (as in addressablePagesSource) or the full {@code filePath} of the file asset pointed to.
+ * An empty object with only the url fragment is returned for links to the current page.
+ * Returns undefined if the intra-link is invalid.
+ */
+function resolveIntraLink(resourcePath, config) {
+  const resourcePathUrl = url.parse(urlUtil.stripBaseUrl(resourcePath, config.baseUrl));
+  const hash = resourcePathUrl.hash ? resourcePathUrl.hash.substring(1) : '';
+  const pathName = decodeURIComponent(resourcePathUrl.pathname || '');
+
+  if (!pathName) {
+    return { hash };
   }
-  return 'Intralink is a valid File Asset';
+
+  const { target } = findIntraLinkTarget(pathName, config);
+  if (!target) {
+    return undefined;
+  }
+  const { pageSourcePath, fileAssetPath } = target;
+  const relativePath = (pageSourcePath || fileAssetPath).replace(/^\//, '');
+  return pageSourcePath
+    ? { hash, pageSrc: fsUtil.removeExtensionPosix(relativePath) }
+    : { hash, filePath: path.join(config.rootPath, relativePath) };
+}
+
+/**
+ * Collects the intra-links of a node, after they have been converted by {@link convertRelativeLinks},
+ * for site wide link checks. Links to be included (<include>, <panel src>) are not collected,
+ * as these are tracked as page sources instead.
+ *
+ * @param {Object<any, any>} node from the dom traversal
+ * @param {string} cwf as flagged from {@link NodeProcessor}
+ * @param {Array<Object<string, string>>} intraLinks to add the intra-link to
+ */
+function collectIntraLink(node, cwf, intraLinks) {
+  if (node.name === 'include' || node.name === 'panel' || lodashHas(node.attribs, 'no-validation')) {
+    return;
+  }
+
+  getResourcePaths(node)
+    .filter(resourcePath => !urlUtil.isUrl(resourcePath))
+    .forEach((resourcePath) => {
+      intraLinks.push({
+        cwf,
+        tagName: node.name,
+        resourcePath,
+      });
+    });
+}
+
+/**
+ * Collects the external links (http or https urls) of a node,
+ * to be checked by the {@link ExternalLinkChecker}.
+ * Url fragments are removed, as only the page pointed to is checked.
+ *
+ * @param {Object<any, any>} node from the dom traversal
+ * @param {Array<string>} externalLinks to add the external link to
+ */
+function collectExternalLink(node, externalLinks) {
+  if (lodashHas(node.attribs, 'no-validation')) {
+    return;
+  }
+
+  getResourcePaths(node)
+    .filter(resourcePath => urlUtil.isUrl(resourcePath))
+    .forEach((resourcePath) => {
+      // Protocol-relative urls are checked over https
+      const externalLink = resourcePath.startsWith('//') ? `https:${resourcePath}` : resourcePath;
+      const { protocol } = url.parse(externalLink);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        return;
+      }
+
+      const linkWithoutFragment = externalLink.split('#')[0];
+      if (!externalLinks.includes(linkWithoutFragment)) {
+        externalLinks.push(linkWithoutFragment);
+      }
+    });
 }
 
 /**
@@ -249,8 +403,12 @@ function collectSource(node, rootPath, baseUrl, pageSources) {
 
 module.exports = {
   hasTagLink,
+  getLinkAttributeNames,
   convertRelativeLinks,
   convertMdAndMbdExtToHtmlExt,
   validateIntraLink,
+  resolveIntraLink,
+  collectIntraLink,
+  collectExternalLink,
   collectSource,
 };
@@ -1,6 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
 const cheerio = require('cheerio'); require('../patches/htmlparser2');
-const md = require('../lib/markdown-it');
 
 const {
   SITE_NAV_EMPTY_LINE_REGEX,
@@ -61,7 +60,7 @@ class PageNavProcessor {
   }
 }
 
-function renderSiteNav(node) {
+function renderSiteNav(node, markdownIt) {
   const $original = cheerio(node);
   const siteNavText = $original.text().trim();
   if (siteNavText === '') {
@@ -69,7 +68,7 @@ function renderSiteNav(node) {
   }
 
   // collapse into tight list
-  const siteNavHtml = md.render(siteNavText.replace(SITE_NAV_EMPTY_LINE_REGEX, '\n'));
+  const siteNavHtml = markdownIt.render(siteNavText.replace(SITE_NAV_EMPTY_LINE_REGEX, '\n'));
   const $ = cheerio.load(`<site-nav>${siteNavHtml}</site-nav>`);
 
   $('ul').each((i1, ulElem) => {
@@ -1,16 +1,41 @@
 const { HighlightRuleComponent } = require('./HighlightRuleComponent');
-const { splitCodeAndIndentation } = require('./helper');
+const { HIGHLIGHT_STYLES, getHighlightClass, splitCodeAndIndentation } = require('./helper');
+
+const STYLE_SUFFIX_REGEX = new RegExp('^(.*?)(?:@(\\w+))?$');
+const REGEX_RULE_REGEX = new RegExp('^/((?:\\\\.|[^\\\\])+)/([a-z]*)$');
 
 class HighlightRule {
-  constructor(ruleComponents) {
+  constructor(ruleComponents, style = undefined, regexBounds = undefined) {
     /**
      * @type Array<HighlightRuleComponent>
      */
     this.ruleComponents = ruleComponents;
+    /**
+     * One of HIGHLIGHT_STYLES, or undefined for the default highlight
+     * @type {string|undefined}
+     */
+    this.style = style;
+    /**
+     * For regex rules, the bounds of the matches of the regex, keyed by the line numbers of matching lines
+     * @type {Map<number, Array<[number, number]>>|undefined}
+     */
+    this.regexBounds = regexBounds;
   }
 
   static parseRule(ruleString, lineOffset, lines) {
-    const components = ruleString.split('-')
+    const [, rule, style] = ruleString.trim().match(STYLE_SUFFIX_REGEX);
+    if (style && !HIGHLIGHT_STYLES.includes(style)) {
+      return null;
+    }
+
+    const regexRuleMatch = rule.match(REGEX_RULE_REGEX);
+    if (regexRuleMatch) {
+      const [, pattern, flags] = regexRuleMatch;
+      const regexBounds = HighlightRule.computeRegexBounds(pattern, flags, lines);
+      return regexBounds ? new HighlightRule([], style, regexBounds) : null;
+    }
+
+    const components = rule.split('-')
       .map(compString => HighlightRuleComponent.parseRuleComponent(compString, lineOffset, lines));
 
     if (components.some(c => !c)) {
@@ -19,10 +44,43 @@ class HighlightRule {
       return null;
     }
 
-    return new HighlightRule(components);
+    return new HighlightRule(components, style);
+  }
+
+  /**
+   * Computes the bounds of all matches of a regex in each line.
+   *
+   * @param pattern The pattern of the regex
+   * @param flags The flags of the regex
+   * @param lines The lines of the code block
+   * @returns {Map<number, Array<[number, number]>>|null} The bounds of the matches keyed by the line numbers
+   *  of the lines with matches, or null if the regex is invalid
+   */
+  static computeRegexBounds(pattern, flags, lines) {
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+    } catch (err) {
+      return null;
+    }
+
+    const regexBounds = new Map();
+    lines.forEach((line, index) => {
+      const bounds = Array.from(line.matchAll(regex))
+        .filter(match => match[0] !== '') // empty matches have nothing to highlight
+        .map(match => [match.index, match.index + match[0].length]);
+      if (bounds.length > 0) {
+        regexBounds.set(index + 1, bounds);
+      }
+    });
+    return regexBounds;
   }
 
   shouldApplyHighlight(lineNumber) {
+    if (this.isRegex()) {
+      return this.regexBounds.has(lineNumber);
+    }
+
     const compares = this.ruleComponents.map(comp => comp.compareLine(lineNumber));
     if (this.isLineRange()) {
       const withinRangeStart = compares[0] <= 0;
@@ -35,6 +93,11 @@ class HighlightRule {
   }
 
   applyHighlight(line, lineNumber) {
+    const highlightClass = getHighlightClass(this.style);
+    if (this.isRegex()) {
+      return HighlightRule._highlightPartOfText(line, this.regexBounds.get(lineNumber), this.style);
+    }
+
     // Applied rule is the first component until deduced otherwise
     let [appliedRule] = this.ruleComponents;
 
@@ -43,13 +106,13 @@ class HighlightRule {
       // across all the ranges
       const shouldWholeLine = this.ruleComponents.some(comp => comp.isUnboundedSlice());
       if (shouldWholeLine) {
-        return HighlightRule._highlightWholeLine(line);
+        return HighlightRule._highlightWholeLine(line, highlightClass);
       }
 
       const [startCompare, endCompare] = this.ruleComponents.map(comp => comp.compareLine(lineNumber));
       if (startCompare < 0 && endCompare > 0) {
         // In-between range
-        return HighlightRule._highlightWholeText(line);
+        return HighlightRule._highlightWholeText(line, highlightClass);
       }
 
       // At the range boundaries
@@ -59,31 +122,36 @@ class HighlightRule {
 
     if (appliedRule.isSlice) {
       return appliedRule.isUnboundedSlice()
-        ? HighlightRule._highlightWholeLine(line)
-        : HighlightRule._highlightPartOfText(line, appliedRule.bounds);
+        ? HighlightRule._highlightWholeLine(line, highlightClass)
+        : HighlightRule._highlightPartOfText(line, appliedRule.bounds, this.style);
     }
 
     // Line number only
-    return HighlightRule._highlightWholeText(line);
+    return HighlightRule._highlightWholeText(line, highlightClass);
   }
 
-  static _highlightWholeLine(codeStr) {
-    return `<span class="highlighted">${codeStr}\n</span>`;
+  static _highlightWholeLine(codeStr, highlightClass) {
+    return `<span class="${highlightClass}">${codeStr}\n</span>`;
   }
 
-  static _highlightWholeText(codeStr) {
+  static _highlightWholeText(codeStr, highlightClass) {
     const [indents, content] = splitCodeAndIndentation(codeStr);
-    return `<span>${indents}<span class="highlighted">${content}</span>\n</span>`;
+    return `<span>${indents}<span class="${highlightClass}">${content}</span>\n</span>`;
   }
 
-  static _highlightPartOfText(codeStr, bounds) {
+  static _highlightPartOfText(codeStr, bounds, style) {
     /*
      * Note: As part-of-text highlighting requires walking over the node of the generated
      * html by highlight.js, highlighting will be applied in NodeProcessor instead.
-     * hl-data is used to pass over the bounds.
+     * hl-data is used to pass over the bounds, and hl-style the highlight style, if any.
      */
     const dataStr = bounds.map(bound => bound.join('-')).join(',');
-    return `<span hl-data=${dataStr}>${codeStr}\n</span>`;
+    const styleAttr = style ? ` hl-style=${style}` : '';
+    return `<span hl-data=${dataStr}${styleAttr}>${codeStr}\n</span>`;
+  }
+
+  isRegex() {
+    return this.regexBounds !== undefined;
   }
 
   isLineRange() {
@@ -0,0 +1,127 @@
+const { escapeHtml } = require('markdown-it/lib/common/utils');
+
+/*
+ * Matches the callout markers (e.g. <1>) at the end of a line, along with the comment they are in, if any.
+ * There are four capturing groups, one for the markers in each form:
+ * line comments (// <1>), block comments (/* <1> *\/), html comments (<!-- <1> -->), and bare markers (<1>)
+ */
+const CALLOUT_MARKERS_REGEX = new RegExp('(?:(?:^|\\s+)(?://|#|--|;|%)\\s*((?:<\\d+>\\s*)+)'
+  + '|\\s*/\\*\\s*((?:<\\d+>\\s*)+)\\*/'
+  + '|\\s*<!--\\s*((?:<\\d+>\\s*)+)-->'
+  + '|\\s*((?:<\\d+>\\s*)+))\\s*$');
+const CALLOUT_NUMBER_REGEX = /<(\d+)>/g;
+
+/**
+ * Strips the callout markers at the end of the lines of a code block.
+ *
+ * @param code The code in the code block
+ * @returns {[string, Array<Array<number>|undefined>]} The code without the markers, and the callout numbers
+ *  of each line of it, which is undefined for lines without markers
+ */
+function stripCalloutMarkers(code) {
+  const lineCallouts = [];
+  const strippedLines = code.split('\n').map((line) => {
+    const markersMatch = line.match(CALLOUT_MARKERS_REGEX);
+    if (!markersMatch) {
+      lineCallouts.push(undefined);
+      return line;
+    }
+    const markers = markersMatch.slice(1).find(group => group !== undefined);
+    lineCallouts.push(Array.from(markers.matchAll(CALLOUT_NUMBER_REGEX), match => parseInt(match[1], 10)));
+    return line.substring(0, markersMatch.index);
+  });
+  return [strippedLines.join('\n'), lineCallouts];
+}
+
+/**
+ * Returns the plain text of an inline token, for use in attributes.
+ */
+function getPlainText(inlineToken) {
+  return inlineToken.children
+    .map((child) => {
+      if (child.type === 'text' || child.type === 'code_inline') {
+        return child.content;
+      }
+      return child.type === 'softbreak' || child.type === 'hardbreak' ? ' ' : '';
+    })
+    .join('');
+}
+
+/**
+ * Links the items of the ordered list right after a code block to its callouts,
+ * by numbering the items with their callout numbers.
+ *
+ * @param tokens The tokens of the document
+ * @param listIndex The index of the token right after the code block
+ * @returns {Object<number, string>} The plain text explanations of the callouts in the list items,
+ *  keyed by their callout numbers, which is empty if there is no list after the code block
+ */
+function linkCalloutList(tokens, listIndex) {
+  const listToken = tokens[listIndex];
+  const explanations = {};
+  if (!listToken || listToken.type !== 'ordered_list_open') {
+    return explanations;
+  }
+
+  listToken.attrJoin('class', 'code-callouts');
+  let calloutNumber = parseInt(listToken.attrGet('start'), 10) || 1;
+  let index = listIndex + 1;
+  while (tokens[index].type !== 'ordered_list_close' || tokens[index].level !== listToken.level) {
+    if (tokens[index].type === 'list_item_open' && tokens[index].level === listToken.level + 1) {
+      tokens[index].attrSet('data-callout', calloutNumber);
+      const inlineToken = tokens.slice(index).find(token => token.type === 'inline');
+      explanations[calloutNumber] = inlineToken ? getPlainText(inlineToken) : '';
+      calloutNumber += 1;
+    }
+    index += 1;
+  }
+  return explanations;
+}
+
+/**
+ * Core rule that strips the callout markers of code blocks with the callouts attribute,
+ * and links them to the explanations in the ordered list right after the code block, if any.
+ * The callouts are stored in the meta of the code block's token, for the fence renderer to render.
+ */
+function processCodeCallouts(state) {
+  const { tokens } = state;
+  tokens.forEach((token, index) => {
+    const calloutsAttrIndex = token.type === 'fence' ? token.attrIndex('callouts') : -1;
+    if (calloutsAttrIndex === -1) {
+      return;
+    }
+    token.attrs.splice(calloutsAttrIndex, 1);
+
+    const [content, lineCallouts] = stripCalloutMarkers(token.content);
+    token.content = content;
+    token.meta = {
+      ...token.meta,
+      lineCallouts,
+      calloutExplanations: linkCalloutList(tokens, index + 1),
+    };
+  });
+}
+
+/**
+ * Adds the callout badges to the end of a rendered line of a code block.
+ * The callout numbers are shown with css, so that they are not copied along with the code.
+ *
+ * @param lineHtml The rendered line, ending with a newline in its outermost span
+ * @param calloutNumbers The callout numbers of the line
+ * @param explanations The explanations of the callouts, keyed by their callout numbers
+ * @returns {string}
+ */
+function addCalloutBadges(lineHtml, calloutNumbers, explanations) {
+  const badges = calloutNumbers.map((calloutNumber) => {
+    const explanation = explanations[calloutNumber];
+    const titleAttr = explanation ? ` title="${escapeHtml(explanation)}"` : '';
+    return `<span class="code-callout" data-callout="${calloutNumber}"${titleAttr}></span>`;
+  }).join('');
+  return lineHtml.replace(/\n<\/span>$/, `${badges}\n</span>`);
+}
+
+module.exports = {
+  addCalloutBadges,
+  processCodeCallouts,
+  stripCalloutMarkers,
+};
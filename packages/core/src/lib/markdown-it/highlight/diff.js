@@ -0,0 +1,31 @@
+const DIFF_MARKER_STYLES = {
+  '+': 'add',
+  '-': 'remove',
+};
+
+/**
+ * Strips the +/- markers of added and removed lines in a code block in diff mode,
+ * as well as the leading space of unchanged lines if all lines are marked in the unified diff format.
+ *
+ * @param code The code in the code block, ending with a newline
+ * @returns {[string, Array<string|undefined>]} The code without the markers, and the highlight style
+ *  of each line of it, which is undefined for unchanged lines
+ */
+function stripDiffMarkers(code) {
+  const lines = code.split('\n');
+  const contentLines = lines.slice(0, -1); // last line is always empty, as the code ends with a newline
+  const isUnifiedFormat = contentLines.every(line => line === '' || /^[+\- ]/.test(line));
+
+  const lineStyles = contentLines.map(line => DIFF_MARKER_STYLES[line.charAt(0)]);
+  const strippedLines = lines.map((line, index) => {
+    const isMarked = lineStyles[index] !== undefined;
+    const hasContextMarker = isUnifiedFormat && line.startsWith(' ');
+    return isMarked || hasContextMarker ? line.substring(1) : line;
+  });
+
+  return [strippedLines.join('\n'), lineStyles];
+}
+
+module.exports = {
+  stripDiffMarkers,
+};
@@ -1,5 +1,8 @@
 // Common helper functions to be used in HighlightRule or HighlightRuleComponent
 
+const HIGHLIGHT_CLASS = 'highlighted';
+const HIGHLIGHT_STYLES = ['add', 'remove', 'emphasis'];
+
 function splitCodeAndIndentation(codeStr) {
   const codeStartIdx = codeStr.search(/\S|$/);
   const indents = codeStr.substring(0, codeStartIdx);
@@ -7,6 +10,18 @@ function splitCodeAndIndentation(codeStr) {
   return [indents, content];
 }
 
+/**
+ * Returns the classes of a highlight in the given highlight style,
+ * or of the default highlight if no style is given.
+ * @param {string} [style] One of HIGHLIGHT_STYLES
+ * @returns {string}
+ */
+function getHighlightClass(style) {
+  return style ? `${HIGHLIGHT_CLASS} ${HIGHLIGHT_CLASS}-${style}` : HIGHLIGHT_CLASS;
+}
+
 module.exports = {
+  HIGHLIGHT_STYLES,
+  getHighlightClass,
   splitCodeAndIndentation,
 };
@@ -0,0 +1,60 @@
+const hljs = require('highlight.js');
+const path = require('path');
+
+const _ = {};
+_.isFunction = require('lodash/isFunction');
+
+const logger = require('../../../utils/logger');
+
+/**
+ * Loads a highlight.js language definition from a file of the site,
+ * which exports a function that returns the definition, as with the languages bundled in highlight.js.
+ * The file is reloaded on each call, so that changes to it are picked up on live reload.
+ * @returns {Object|undefined} the language definition, or undefined if it could not be loaded
+ */
+function loadLanguageDefinition(rootPath, name, file) {
+  const filePath = path.resolve(rootPath, file);
+  try {
+    delete require.cache[require.resolve(filePath)];
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const defineLanguage = require(filePath);
+    if (!_.isFunction(defineLanguage)) {
+      throw new Error('The file should export a function that returns the language definition.');
+    }
+    return defineLanguage(hljs);
+  } catch (err) {
+    logger.warn(`Unable to load the highlight language '${name}' from ${file}, skipping\n${err.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Registers the additional languages and language aliases of a site with highlight.js,
+ * for the syntax highlighting of code blocks and inline code.
+ * @param {string} rootPath of the site
+ * @param {Object<string, any>} highlightConfig the highlight site configuration, where
+ *  languages maps language names to the files of their definitions, relative to the root of the site, and
+ *  aliases maps aliases to the names of the languages they stand for
+ */
+function registerHighlightLanguages(rootPath, highlightConfig) {
+  const { languages = {}, aliases = {} } = highlightConfig;
+
+  Object.entries(languages).forEach(([name, file]) => {
+    const languageDefinition = loadLanguageDefinition(rootPath, name, file);
+    if (languageDefinition) {
+      hljs.registerLanguage(name, () => languageDefinition);
+    }
+  });
+
+  Object.entries(aliases).forEach(([alias, languageName]) => {
+    if (!hljs.getLanguage(languageName)) {
+      logger.warn(`Unable to alias '${alias}' to the unknown highlight language '${languageName}', skipping`);
+      return;
+    }
+    hljs.registerAliases(alias, { languageName });
+  });
+}
+
+module.exports = {
+  registerHighlightLanguages,
+};
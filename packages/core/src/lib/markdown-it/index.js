@@ -1,46 +1,39 @@
 const katex = require('katex');
 const hljs = require('highlight.js');
-const markdownIt = require('markdown-it')({
-  html: true,
-  linkify: true,
-});
+const MarkdownIt = require('markdown-it');
+const markdownItEmoji = require('markdown-it-emoji');
+const markdownItImsize = require('markdown-it-imsize');
+const markdownItLinkifyImages = require('markdown-it-linkify-images');
+const markdownItMark = require('markdown-it-mark');
+const markdownItSub = require('markdown-it-sub');
+const markdownItSup = require('markdown-it-sup');
+const markdownItTableOfContents = require('markdown-it-table-of-contents');
+const markdownItTaskLists = require('markdown-it-task-lists');
+const markdownItTexmath = require('markdown-it-texmath');
 
 const _ = {};
 _.constant = require('lodash/constant');
 
 const logger = require('../../utils/logger');
+const { unescapeFenceAttribute } = require('./utils');
 
 const { HighlightRule } = require('./highlight/HighlightRule');
+const { HighlightRuleComponent } = require('./highlight/HighlightRuleComponent');
+const { stripDiffMarkers } = require('./highlight/diff');
+const { addCalloutBadges, processCodeCallouts } = require('./highlight/callouts');
 
-const HIGHLIGHT_LINES_DELIMITER_REGEX = new RegExp(',(?![^\\[\\]]*])');
+// Highlight rules are separated by commas, except for commas in regex rules and in brackets
+const REGEX_RULE_PATTERN = '\\s*/(?:\\\\.|[^\\\\/])+/[a-z]*(?:@\\w+)?(?=,|$)';
+const LINE_RULE_PATTERN = '(?:[^,[]|\\[[^\\]]*])+';
+const HIGHLIGHT_RULE_REGEX = new RegExp(`${REGEX_RULE_PATTERN}|${LINE_RULE_PATTERN}`, 'g');
 
 const createDoubleDelimiterInlineRule = require('./plugins/markdown-it-double-delimiter');
-
-// markdown-it plugins
-
-markdownIt.use(createDoubleDelimiterInlineRule('%%', 'dimmed', 'emphasis'))
-  .use(createDoubleDelimiterInlineRule('!!', 'underline', 'dimmed'))
-  .use(createDoubleDelimiterInlineRule('++', 'large', 'underline'))
-  .use(createDoubleDelimiterInlineRule('--', 'small', 'large'));
-
-markdownIt.use(require('markdown-it-mark'))
-  .use(require('markdown-it-sub'))
-  .use(require('markdown-it-sup'))
-  .use(require('markdown-it-imsize'), { autofill: false })
-  .use(require('markdown-it-table-of-contents'))
-  .use(require('markdown-it-task-lists'), { enabled: true })
-  .use(require('markdown-it-linkify-images'), { imgClass: 'img-fluid' })
-  .use(require('markdown-it-texmath'), { engine: katex, delimiters: 'brackets' })
-  .use(require('./patches/markdown-it-attrs-nunjucks'))
-  .use(require('./plugins/markdown-it-radio-button'))
-  .use(require('./plugins/markdown-it-block-embed'))
-  .use(require('./plugins/markdown-it-icons'))
-  .use(require('./plugins/markdown-it-footnotes'));
-
-// fix table style
-markdownIt.renderer.rules.table_open = _.constant(
-  '<div class="table-responsive"><table class="markbind-table table table-bordered table-striped">');
-markdownIt.renderer.rules.table_close = _.constant('</table></div>');
+const markdownItBlockEmbed = require('./plugins/markdown-it-block-embed');
+const markdownItFootnotes = require('./plugins/markdown-it-footnotes');
+const markdownItIcons = require('./plugins/markdown-it-icons');
+const markdownItRadioButton = require('./plugins/markdown-it-radio-button');
+const markdownItAttrsNunjucks = require('./patches/markdown-it-attrs-nunjucks');
+const fixedNumberEmojiDefs = require('./patches/markdown-it-emoji-fixed');
 
 function getAttributeAndDelete(token, attr) {
   const index = token.attrIndex(attr);
@@ -54,127 +47,201 @@ function getAttributeAndDelete(token, attr) {
   return value;
 }
 
-// syntax highlight code fences and add line numbers
-markdownIt.renderer.rules.fence = (tokens, idx, options, env, slf) => {
-  const token = tokens[idx];
-  const lang = token.info || '';
-  let str = token.content;
-  const strArray = str.split('\n');
-  let highlighted = false;
-  let lines;
-
-  const startFromOneBased = Math.max(1, parseInt(getAttributeAndDelete(token, 'start-from'), 10) || 1);
-  const startFromZeroBased = startFromOneBased - 1;
-
-  if (startFromOneBased > 1) {
-    // counter is incremented on each span, so we need to subtract 1
-    token.attrJoin('style', `counter-reset: line ${startFromZeroBased};`);
-  }
+/**
+ * Creates a markdown-it instance with MarkBind's markdown syntax and rendering rules.
+ * Each site has its own instance, which the site's plugins may extend with their own syntax.
+ * @returns {MarkdownIt}
+ */
+function createMarkdownIt() {
+  const markdownIt = new MarkdownIt({
+    html: true,
+    linkify: true,
+  });
+
+  // markdown-it plugins
+
+  markdownIt.use(createDoubleDelimiterInlineRule('%%', 'dimmed', 'emphasis'))
+    .use(createDoubleDelimiterInlineRule('!!', 'underline', 'dimmed'))
+    .use(createDoubleDelimiterInlineRule('++', 'large', 'underline'))
+    .use(createDoubleDelimiterInlineRule('--', 'small', 'large'));
+
+  markdownIt.use(markdownItMark)
+    .use(markdownItSub)
+    .use(markdownItSup)
+    .use(markdownItImsize, { autofill: false })
+    .use(markdownItTableOfContents)
+    .use(markdownItTaskLists, { enabled: true })
+    .use(markdownItLinkifyImages, { imgClass: 'img-fluid' })
+    .use(markdownItTexmath, { engine: katex, delimiters: 'brackets' })
+    .use(markdownItAttrsNunjucks)
+    .use(markdownItRadioButton)
+    .use(markdownItBlockEmbed)
+    .use(markdownItIcons)
+    .use(markdownItFootnotes);
+
+  // fix table style
+  markdownIt.renderer.rules.table_open = _.constant(
+    '<div class="table-responsive"><table class="markbind-table table table-bordered table-striped">');
+  markdownIt.renderer.rules.table_close = _.constant('</table></div>');
+
+  // syntax highlight code fences and add line numbers
+  markdownIt.renderer.rules.fence = (tokens, idx, options, env, slf) => {
+    const token = tokens[idx];
+    const lang = token.info || '';
+    const { lineCallouts, calloutExplanations } = token.meta || {};
+    let str = token.content;
+    let diffLineStyles = [];
+    if (getAttributeAndDelete(token, 'diff') !== undefined) {
+      [str, diffLineStyles] = stripDiffMarkers(str);
+    }
+    const strArray = str.split('\n');
+    let highlighted = false;
+    let lines;
 
-  const highlightLinesInput = getAttributeAndDelete(token, 'highlight-lines');
-  let highlightRules = [];
-  if (highlightLinesInput) {
-    const highlightLines = highlightLinesInput.split(HIGHLIGHT_LINES_DELIMITER_REGEX);
-    highlightRules = highlightLines
-      .map(ruleStr => HighlightRule.parseRule(ruleStr, -startFromZeroBased, strArray))
-      .filter(rule => rule); // discards invalid rules
-  }
+    const startFromOneBased = Math.max(1, parseInt(getAttributeAndDelete(token, 'start-from'), 10) || 1);
+    const startFromZeroBased = startFromOneBased - 1;
 
-  if (lang && hljs.getLanguage(lang)) {
-    try {
-      /* With highlightjs version >= v10.7.0, usage of continuation is deprecated
-
-      For the purposes of line-by-line highlighting, we have to first highlight the
-      whole block, then split the resulting html string according to '\n', and add
-      the corresponding opening and closing tags for the html string to be well-formed and
-      maintain the correct state per line.
-
-      Ref: https://github.com/MarkBind/markbind/pull/1521
-      */
-      lines = hljs.highlight(str, { language: lang, ignoreIllegals: true }).value.split('\n');
-      const tokenStack = [];
-
-      lines = lines.map((line) => {
-        const prepend = tokenStack.map(tok => `<span class="${tok}">`).join('');
-        const re = /<span class="(.*?)">|<\/span>/g; // match all (<span class="xyz"> and </span>)
-        let matchArr = re.exec(line);
-        while (matchArr !== null) {
-          const [match, captureGrp] = matchArr;
-          if (match === '</span>') {
-            // pop from stack
-            tokenStack.shift();
-          } else {
-            // push to stack
-            tokenStack.unshift(captureGrp);
-          }
-          matchArr = re.exec(line);
-        }
-        const append = '</span>'.repeat(tokenStack.length);
-        return prepend + line + append;
-      });
-      highlighted = true;
-    } catch (ex) {
-      logger.error(`Error processing code block line ${ex}`);
+    if (startFromOneBased > 1) {
+      // counter is incremented on each span, so we need to subtract 1
+      token.attrJoin('style', `counter-reset: line ${startFromZeroBased};`);
     }
-  }
-  if (!highlighted) {
-    lines = markdownIt.utils.escapeHtml(str).split('\n');
-  }
 
-  lines.pop(); // last line is always a single '\n' newline, so we remove it
-  // wrap all lines with <span> so we can number them
-  str = lines.map((line, index) => {
-    const currentLineNumber = index + 1;
-    const rule = highlightRules.find(highlightRule => highlightRule.shouldApplyHighlight(currentLineNumber));
-    if (rule) {
-      return rule.applyHighlight(line, currentLineNumber);
+    const highlightLinesInput = getAttributeAndDelete(token, 'highlight-lines');
+    let highlightRules = [];
+    if (highlightLinesInput) {
+      const highlightLines = unescapeFenceAttribute(highlightLinesInput).match(HIGHLIGHT_RULE_REGEX) || [];
+      highlightRules = highlightLines
+        .map(ruleStr => HighlightRule.parseRule(ruleStr, -startFromZeroBased, strArray))
+        .filter(rule => rule); // discards invalid rules
+    }
+    // added and removed lines of diffs are highlighted as whole lines, unless highlighted by the rules above
+    diffLineStyles.forEach((style, index) => {
+      if (style) {
+        const lineComponent = new HighlightRuleComponent(index + 1, true, []);
+        highlightRules.push(new HighlightRule([lineComponent], style));
+      }
+    });
+
+    if (lang && hljs.getLanguage(lang)) {
+      try {
+        /* With highlightjs version >= v10.7.0, usage of continuation is deprecated
+
+        For the purposes of line-by-line highlighting, we have to first highlight the
+        whole block, then split the resulting html string according to '\n', and add
+        the corresponding opening and closing tags for the html string to be well-formed and
+        maintain the correct state per line.
+
+        Ref: https://github.com/MarkBind/markbind/pull/1521
+        */
+        lines = hljs.highlight(str, { language: lang, ignoreIllegals: true }).value.split('\n');
+        const tokenStack = [];
+
+        lines = lines.map((line) => {
+          const prepend = tokenStack.map(tok => `<span class="${tok}">`).join('');
+          const re = /<span class="(.*?)">|<\/span>/g; // match all (<span class="xyz"> and </span>)
+          let matchArr = re.exec(line);
+          while (matchArr !== null) {
+            const [match, captureGrp] = matchArr;
+            if (match === '</span>') {
+              // pop from stack
+              tokenStack.shift();
+            } else {
+              // push to stack
+              tokenStack.unshift(captureGrp);
+            }
+            matchArr = re.exec(line);
+          }
+          const append = '</span>'.repeat(tokenStack.length);
+          return prepend + line + append;
+        });
+        highlighted = true;
+      } catch (ex) {
+        logger.error(`Error processing code block line ${ex}`);
+      }
+    }
+    // collect the languages not known to highlight.js, for a warning at the end of the build
+    if (lang && !hljs.getLanguage(lang) && env.unknownLanguages && !env.unknownLanguages.includes(lang)) {
+      env.unknownLanguages.push(lang);
+    }
+    if (!highlighted) {
+      lines = markdownIt.utils.escapeHtml(str).split('\n');
     }
 
-    // not highlighted
-    return `<span>${line}\n</span>`;
-  }).join('');
-
-  token.attrJoin('class', 'hljs');
-  if (highlighted) {
-    token.attrJoin('class', lang);
-  }
-
-  const heading = token.attrGet('heading');
-  const codeBlockContent = `<pre><code ${slf.renderAttrs(token)}>${str}</code></pre>`;
-  if (heading) {
-    const renderedHeading = markdownIt.renderInline(heading);
-    const headingStyle = (renderedHeading === heading)
-      ? 'code-block-heading'
-      : 'code-block-heading inline-markdown-heading';
-    return '<div class="code-block">'
-      + `<div class="${headingStyle}"><span>${renderedHeading}</span></div>`
-      + `<div class="code-block-content">${codeBlockContent}</div>`
-      + '</div>';
-  }
-  return codeBlockContent;
-};
-
-// highlight inline code
-markdownIt.renderer.rules.code_inline = (tokens, idx, options, env, slf) => {
-  const token = tokens[idx];
-  const lang = token.attrGet('class');
-  const inlineClass = 'hljs inline';
+    lines.pop(); // last line is always a single '\n' newline, so we remove it
+    // wrap all lines with <span> so we can number them
+    str = lines.map((line, index) => {
+      const currentLineNumber = index + 1;
+      const rule = highlightRules.find(
+        highlightRule => highlightRule.shouldApplyHighlight(currentLineNumber));
+      const lineHtml = rule
+        ? rule.applyHighlight(line, currentLineNumber)
+        : `<span>${line}\n</span>`; // not highlighted
+
+      const calloutNumbers = lineCallouts && lineCallouts[index];
+      return calloutNumbers
+        ? addCalloutBadges(lineHtml, calloutNumbers, calloutExplanations)
+        : lineHtml;
+    }).join('');
+
+    token.attrJoin('class', 'hljs');
+    if (highlighted) {
+      token.attrJoin('class', lang);
+    }
 
-  if (lang && hljs.getLanguage(lang)) {
-    token.attrSet('class', `${inlineClass} ${lang}`);
+    const escapedHeading = token.attrGet('heading');
+    const heading = escapedHeading && unescapeFenceAttribute(escapedHeading);
+    if (heading) {
+      token.attrSet('heading', heading);
+    }
+    const codeBlockContent = `<pre><code ${slf.renderAttrs(token)}>${str}</code></pre>`;
+    if (heading) {
+      // the heading is in the curly attributes of the fence, so braces in it are never curly attributes
+      markdownIt.disable('curly_attributes');
+      let renderedHeading;
+      try {
+        renderedHeading = markdownIt.renderInline(heading);
+      } finally {
+        markdownIt.enable('curly_attributes');
+      }
+      const headingStyle = (renderedHeading === heading)
+        ? 'code-block-heading'
+        : 'code-block-heading inline-markdown-heading';
+      return '<div class="code-block">'
+        + `<div class="${headingStyle}"><span>${renderedHeading}</span></div>`
+        + `<div class="code-block-content">${codeBlockContent}</div>`
+        + '</div>';
+    }
+    return codeBlockContent;
+  };
+
+  // strip the callout markers of code blocks and link them to the list after the code block
+  markdownIt.core.ruler.push('code_callouts', processCodeCallouts);
+
+  // highlight inline code
+  markdownIt.renderer.rules.code_inline = (tokens, idx, options, env, slf) => {
+    const token = tokens[idx];
+    const lang = token.attrGet('class');
+    const inlineClass = 'hljs inline';
+
+    if (lang && hljs.getLanguage(lang)) {
+      token.attrSet('class', `${inlineClass} ${lang}`);
+      return `<code${slf.renderAttrs(token)}>${
+        hljs.highlight(lang, token.content, true).value
+      }</code>`;
+    }
+    token.attrSet('class', `${inlineClass} no-lang`);
     return `<code${slf.renderAttrs(token)}>${
-      hljs.highlight(lang, token.content, true).value
+      markdownIt.utils.escapeHtml(token.content)
     }</code>`;
-  }
-  token.attrSet('class', `${inlineClass} no-lang`);
-  return `<code${slf.renderAttrs(token)}>${
-    markdownIt.utils.escapeHtml(token.content)
-  }</code>`;
-};
+  };
 
-const fixedNumberEmojiDefs = require('./patches/markdown-it-emoji-fixed');
-markdownIt.use(require('markdown-it-emoji'), {
-  defs: fixedNumberEmojiDefs,
-});
+  markdownIt.use(markdownItEmoji, {
+    defs: fixedNumberEmojiDefs,
+  });
 
-module.exports = markdownIt;
+  return markdownIt;
+}
+
+module.exports = {
+  createMarkdownIt,
+};
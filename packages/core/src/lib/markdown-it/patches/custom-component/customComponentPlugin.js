@@ -8,8 +8,6 @@
  * <include>, <script>, <style>. 
  */
 
-const markdownIt = require('../../index');
-
 const initCustomComponentHtmlBlockRule = require('./htmlBlockRule');
 const htmlInlineRule = require('./htmlInlineRule');
 
@@ -34,10 +32,10 @@ function customComponentPlugin(md, tagsToIgnore) {
 };
 
 /**
- * Sets up the plugin with the provided tag names to ignore.
+ * Sets up the plugin on the markdown-it instance with the provided tag names to ignore.
  * Replaces any previously injected tags.
  */
-function injectTags(tagsToIgnore) {
+function injectTags(markdownIt, tagsToIgnore) {
   markdownIt.use(customComponentPlugin, tagsToIgnore);
 }
 
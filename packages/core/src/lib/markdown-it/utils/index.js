@@ -4,6 +4,9 @@
   below are additional functions that can be used as helpers alongside markdown-it/utils
  */
 
+const _ = {};
+_.invert = require('lodash/invert');
+
 // This mapping is taken from markdown-it/utils, just flipped.
 // Refer to the original file at markdown-it/lib/common/utils.js
 const htmlUnescapedMapping = {
@@ -24,6 +27,29 @@ function unescapeHtml(str) {
   return unescaped;
 }
 
+// Characters that markdown-it-attrs does not allow in attribute values, even in quotes,
+// which are replaced with character references in the attributes of code block fences
+const fenceAttributeEscapedMapping = {
+  '&': '&amp;',
+  '"': '&quot;',
+  '{': '&#123;',
+  '}': '&#125;',
+};
+const fenceAttributeUnescapedMapping = _.invert(fenceAttributeEscapedMapping);
+
+/**
+ * Escapes a value to be used as an attribute of a code block fence, e.g. ```js {heading="value"}
+ */
+function escapeFenceAttribute(str) {
+  return str.replace(/[&"{}]/g, char => fenceAttributeEscapedMapping[char]);
+}
+
+function unescapeFenceAttribute(str) {
+  return str.replace(/&(?:amp|quot|#123|#125);/g, entity => fenceAttributeUnescapedMapping[entity]);
+}
+
 module.exports = {
+  escapeFenceAttribute,
+  unescapeFenceAttribute,
   unescapeHtml,
 };
@@ -2,9 +2,9 @@ const htmlparser2patch = require('./htmlparser2');
 const markdownItCustomComponent
   = require('../lib/markdown-it/patches/custom-component/customComponentPlugin');
 
-function ignoreTags(tagsToIgnore) {
+function ignoreTags(tagsToIgnore, markdownIt) {
   htmlparser2patch.injectIgnoreTags(tagsToIgnore);
-  markdownItCustomComponent.injectTags(tagsToIgnore);
+  markdownItCustomComponent.injectTags(markdownIt, tagsToIgnore);
 }
 
 module.exports = {
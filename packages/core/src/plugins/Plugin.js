@@ -2,6 +2,9 @@ const path = require('path');
 const fs = require('fs-extra');
 const cheerio = require('cheerio'); require('../patches/htmlparser2');
 
+const _ = {};
+_.castArray = require('lodash/castArray');
+
 const PLUGIN_OUTPUT_SITE_ASSET_FOLDER_NAME = 'plugins';
 
 const logger = require('../utils/logger');
@@ -38,6 +41,24 @@ class Plugin {
     }
   }
 
+  async executeAfterSiteGenerate(siteModel) {
+    if (this.plugin.afterSiteGenerate) {
+      await this.plugin.afterSiteGenerate(this.pluginOptions, siteModel);
+    }
+  }
+
+  async executeBeforePageGenerate(pageModel) {
+    if (this.plugin.beforePageGenerate) {
+      await this.plugin.beforePageGenerate(this.pluginOptions, pageModel);
+    }
+  }
+
+  async executeAfterPageGenerate(pageModel) {
+    if (this.plugin.afterPageGenerate) {
+      await this.plugin.afterPageGenerate(this.pluginOptions, pageModel);
+    }
+  }
+
   /**
    * Resolves a resource specified as an attribute in a html asset tag
    * (eg. '<script>' or '<link>') provided by a plugin, and copies said asset
@@ -79,17 +100,17 @@ class Plugin {
   /**
    * Collect page content inserted by plugins
    */
-  getPageNjkLinksAndScripts(frontMatter, content, baseUrl) {
+  async getPageNjkLinksAndScripts(frontMatter, content, baseUrl) {
     let links = [];
     let scripts = [];
 
     if (this.plugin.getLinks) {
-      const pluginLinks = this.plugin.getLinks(this.pluginOptions, frontMatter, content);
+      const pluginLinks = await this.plugin.getLinks(this.pluginOptions, frontMatter, content);
       links = pluginLinks.map(linkHtml => this._getResolvedAssetElement(linkHtml, 'link', 'href', baseUrl));
     }
 
     if (this.plugin.getScripts) {
-      const pluginScripts = this.plugin.getScripts(this.pluginOptions, frontMatter, content);
+      const pluginScripts = await this.plugin.getScripts(this.pluginOptions, frontMatter, content);
       scripts = pluginScripts.map(scriptHtml => this._getResolvedAssetElement(scriptHtml, 'script',
                                                                               'src', baseUrl));
     }
@@ -107,17 +128,47 @@ class Plugin {
     return content;
   }
 
-  processNode(node, config) {
+  async processNode(node, config) {
     if (!this.plugin.processNode) {
       return;
     }
 
-    this.plugin.processNode(this.pluginOptions, node, config);
+    await this.plugin.processNode(this.pluginOptions, node, config);
+  }
+
+  /**
+   * Adds the markdown-it plugins of the plugin to the site's markdown-it instance.
+   * Each of the plugin's markdownItPlugins is either a markdown-it plugin,
+   * or an array of a markdown-it plugin followed by its options, as passed to markdownIt.use(...).
+   * Plugins may also extend the instance directly in extendMarkdown.
+   * @param {MarkdownIt} markdownIt
+   */
+  extendMarkdown(markdownIt) {
+    if (this.plugin.markdownItPlugins) {
+      this.plugin.markdownItPlugins.forEach((markdownItPlugin) => {
+        markdownIt.use(..._.castArray(markdownItPlugin));
+      });
+    }
+
+    if (this.plugin.extendMarkdown) {
+      this.plugin.extendMarkdown(this.pluginOptions, markdownIt);
+    }
   }
 
   getTagConfig() {
     return this.plugin.tagConfig;
   }
+
+  getLinkAttributes() {
+    return this.plugin.linkAttributes;
+  }
+
+  async resolveLink(link, linkContext, config) {
+    if (!this.plugin.resolveLink) {
+      return undefined;
+    }
+    return this.plugin.resolveLink(this.pluginOptions, link, { ...linkContext, config });
+  }
 }
 
 module.exports = {
@@ -3,14 +3,18 @@ const fs = require('fs-extra');
 const walkSync = require('walk-sync');
 
 const { ignoreTags } = require('../patches');
+const { createMarkdownIt } = require('../lib/markdown-it');
 
 const { Plugin } = require('./Plugin');
+const { sequentialAsyncForEach } = require('../utils/async');
 
 const _ = {};
+_.castArray = require('lodash/castArray');
 _.flatMap = require('lodash/flatMap');
 _.get = require('lodash/get');
 _.includes = require('lodash/includes');
 _.merge = require('lodash/merge');
+_.union = require('lodash/union');
 
 const logger = require('../utils/logger');
 
@@ -43,12 +47,20 @@ class PluginManager {
     // Plugin special tags may modify this
     this.htmlBeautifyOptions = {};
 
+    /**
+     * The markdown-it instance of the site, which plugins may extend with their own markdown syntax
+     * @type {MarkdownIt}
+     */
+    this.markdownIt = createMarkdownIt();
+
     this._setup();
   }
 
   _setup() {
     this._collectPlugins();
     this._collectPluginTagConfigs();
+    this._collectPluginLinkAttributes();
+    this._collectPluginMarkdownExtensions();
   }
 
   /**
@@ -150,7 +162,7 @@ class PluginManager {
       _.merge(PluginManager.tagConfig, pluginTagConfig);
     });
 
-    ignoreTags(specialTags);
+    ignoreTags(specialTags, this.markdownIt);
 
     this.htmlBeautifyOptions = {
       indent_size: 2,
@@ -158,38 +170,151 @@ class PluginManager {
     };
   }
 
+  /**
+   * Collects the element and attribute pairs registered by the site's plugins as containing links,
+   * so that these links are converted and validated by linkProcessor as with those of <a> or <img> tags.
+   */
+  _collectPluginLinkAttributes() {
+    Object.values(this.plugins).forEach((plugin) => {
+      const pluginLinkAttributes = plugin.getLinkAttributes();
+      if (!pluginLinkAttributes) {
+        return;
+      }
+
+      Object.entries(pluginLinkAttributes).forEach(([tagName, linkAttribNames]) => {
+        const normalizedTagName = tagName.toLowerCase();
+        PluginManager.tagLinkAttributes[normalizedTagName] = _.union(
+          PluginManager.tagLinkAttributes[normalizedTagName], _.castArray(linkAttribNames));
+      });
+    });
+  }
+
+  /**
+   * Extends the site's markdown-it instance with the markdown-it plugins of the site's plugins.
+   * Plugins whose extensions fail to be added are skipped, as with plugins that fail to load.
+   */
+  _collectPluginMarkdownExtensions() {
+    Object.values(this.plugins).forEach((plugin) => {
+      try {
+        plugin.extendMarkdown(this.markdownIt);
+      } catch (err) {
+        logger.warn(`Unable to add the markdown extensions of plugin ${plugin.pluginName}, skipping\n${err}`);
+      }
+    });
+  }
+
+  static _logHookError(plugin, hookName, err) {
+    logger.error(`Plugin ${plugin.pluginName} failed in ${hookName}, skipping it:\n${err.stack || err}`);
+  }
+
+  /**
+   * Runs a lifecycle hook of each plugin in turn.
+   * Errors thrown by a plugin are logged instead, so that a failing plugin does not stop the build.
+   * @param {string} hookName
+   * @param {function(Plugin): Promise<void>} runHook that runs the hook of the given plugin
+   */
+  async _runLifecycleHook(hookName, runHook) {
+    await sequentialAsyncForEach(Object.values(this.plugins), async (plugin) => {
+      try {
+        await runHook(plugin);
+      } catch (err) {
+        PluginManager._logHookError(plugin, hookName, err);
+      }
+    });
+  }
+
   /**
    * Run the beforeSiteGenerate hooks
    */
   beforeSiteGenerate() {
-    Object.values(this.plugins).forEach(plugin => plugin.executeBeforeSiteGenerate());
+    Object.values(this.plugins).forEach((plugin) => {
+      try {
+        plugin.executeBeforeSiteGenerate();
+      } catch (err) {
+        PluginManager._logHookError(plugin, 'beforeSiteGenerate', err);
+      }
+    });
+  }
+
+  /**
+   * Run the afterSiteGenerate hooks
+   * @param {Object<string, any>} siteModel read-only model of the generated site, see {@link createSiteModel}
+   */
+  afterSiteGenerate(siteModel) {
+    return this._runLifecycleHook('afterSiteGenerate', plugin => plugin.executeAfterSiteGenerate(siteModel));
   }
 
   /**
-   * Run getLinks and getScripts hooks
+   * Run the beforePageGenerate hooks
+   * @param {Object<string, any>} pageModel read-only model of the page, see {@link createPageModel}
    */
-  collectPluginPageNjkAssets(frontMatter, content, pageAsset) {
-    const pluginLinksAndScripts = Object.values(this.plugins)
-      .map(plugin => plugin.getPageNjkLinksAndScripts(frontMatter, content, this.config.baseUrl));
+  beforePageGenerate(pageModel) {
+    return this._runLifecycleHook('beforePageGenerate',
+                                  plugin => plugin.executeBeforePageGenerate(pageModel));
+  }
+
+  /**
+   * Run the afterPageGenerate hooks
+   * @param {Object<string, any>} pageModel read-only model of the generated page, see {@link createPageModel}
+   */
+  afterPageGenerate(pageModel) {
+    return this._runLifecycleHook('afterPageGenerate',
+                                  plugin => plugin.executeAfterPageGenerate(pageModel));
+  }
+
+  /**
+   * Run getLinks and getScripts hooks, which may return promises
+   */
+  async collectPluginPageNjkAssets(frontMatter, content, pageAsset) {
+    const pluginLinksAndScripts = await Promise.all(Object.values(this.plugins)
+      .map(plugin => plugin.getPageNjkLinksAndScripts(frontMatter, content, this.config.baseUrl)));
 
     pageAsset.pluginLinks = _.flatMap(pluginLinksAndScripts, pluginResult => pluginResult.links);
     pageAsset.pluginScripts = _.flatMap(pluginLinksAndScripts, pluginResult => pluginResult.scripts);
   }
 
-  postRender(frontMatter, content) {
-    return Object.values(this.plugins)
-      .reduce((renderedContent, plugin) => plugin.postRender(frontMatter, renderedContent), content);
+  /**
+   * Run the postRender hooks in turn, each of which may return a promise of the rendered content
+   */
+  async postRender(frontMatter, content) {
+    let renderedContent = content;
+    await sequentialAsyncForEach(Object.values(this.plugins), async (plugin) => {
+      renderedContent = await plugin.postRender(frontMatter, renderedContent);
+    });
+    return renderedContent;
   }
 
-  processNode(node) {
-    Object.values(this.plugins).forEach((plugin) => {
-      plugin.processNode(node, this.config);
+  /**
+   * Run the processNode hooks in turn, waiting for any promise returned by a plugin
+   * before the node is passed to the next one.
+   */
+  async processNode(node) {
+    await sequentialAsyncForEach(Object.values(this.plugins),
+                                 plugin => plugin.processNode(node, this.config));
+  }
+
+  /**
+   * Run the resolveLink hooks in turn, until a plugin resolves the link.
+   * @param {string} link as written in the source file, e.g. 'issue:123'
+   * @param {Object<string, any>} linkContext the tagName and attribute of the link,
+   *        and the cwf (current working file) it is in
+   * @returns {Promise<string|undefined>} the url the link is resolved to,
+   *          or undefined if no plugin resolves the link
+   */
+  async resolveLink(link, linkContext) {
+    let resolvedLink;
+    await sequentialAsyncForEach(Object.values(this.plugins), async (plugin) => {
+      if (resolvedLink === undefined) {
+        resolvedLink = await plugin.resolveLink(link, linkContext, this.config);
+      }
     });
+    return resolvedLink;
   }
 }
 
-// Static property for easy access in linkProcessor
+// Static properties for easy access in linkProcessor
 PluginManager.tagConfig = {};
+PluginManager.tagLinkAttributes = {};
 
 module.exports = {
   PluginManager,
@@ -0,0 +1,65 @@
+const fsUtil = require('../utils/fsUtil');
+
+const _ = {};
+_.cloneDeep = require('lodash/cloneDeep');
+_.isObject = require('lodash/isObject');
+
+/*
+ * Read-only views of the site and its pages, which are passed to the site and page lifecycle hooks
+ * of plugins, so that plugins cannot modify the site while it is being generated.
+ */
+
+function deepFreeze(obj) {
+  Object.values(obj).forEach((value) => {
+    if (_.isObject(value)) {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(obj);
+}
+
+function getPageModel(page) {
+  const {
+    baseUrl, src, sourcePath, resultPath,
+  } = page.pageConfig;
+  return {
+    src,
+    sourcePath,
+    outputPath: resultPath,
+    url: `${baseUrl}/${fsUtil.removeExtensionPosix(src)}.html`,
+    title: page.title,
+    frontMatter: _.cloneDeep(page.frontMatter),
+    headings: _.cloneDeep(page.headings),
+    keywords: _.cloneDeep(page.keywords),
+  };
+}
+
+/**
+ * Creates the read-only model of a page passed to the beforePageGenerate and afterPageGenerate hooks.
+ * Before the page is generated, only its src, paths and url are available.
+ * @param {Page} page
+ * @returns {Object<string, any>}
+ */
+function createPageModel(page) {
+  return deepFreeze(getPageModel(page));
+}
+
+/**
+ * Creates the read-only model of the site passed to the afterSiteGenerate hook.
+ * @param {Site} site
+ * @returns {Object<string, any>}
+ */
+function createSiteModel(site) {
+  return deepFreeze({
+    rootPath: site.rootPath,
+    outputPath: site.outputPath,
+    baseUrl: site.siteConfig.baseUrl,
+    siteConfig: _.cloneDeep(site.siteConfig),
+    pages: site.pages.map(getPageModel),
+  });
+}
+
+module.exports = {
+  createPageModel,
+  createSiteModel,
+};
@@ -1,20 +1,41 @@
 const cheerio = module.parent.require('cheerio');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { DocSearchIndex } = require('../Site/DocSearchIndex');
 
 const {
   ALGOLIA_CSS_URL,
   ALGOLIA_JS_URL,
   ALGOLIA_INPUT_SELECTOR,
+  ALGOLIA_LOCAL_INDEX_FOLDER_PATH,
+  ALGOLIA_LOCAL_SEARCH_JS_URL,
+  ALGOLIA_LOCAL_SEARCH_PATH,
 } = require('../constants');
 
 function buildAlgoliaInitScript(pluginContext) {
-  return `<script>
-    docsearch({
+  const docsearchOptions = `{
       apiKey: "${pluginContext.apiKey}",
       indexName: "${pluginContext.indexName}",
       inputSelector: "${ALGOLIA_INPUT_SELECTOR}",
       algoliaOptions: ${JSON.stringify(pluginContext.algoliaOptions || {})},
       debug: ${pluginContext.debug || false},
-    });
+    }`;
+  if (!pluginContext.localSearch) {
+    return `<script>
+    docsearch(${docsearchOptions});
+  </script>`;
+  }
+  /*
+   Sends the queries of DocSearch to the local index served by markbind serve instead of Algolia.
+   DocSearch has no option for the hosts queried, so this replaces the hosts of its internal algoliasearch
+   client, which is only known to work with the version of DocSearch in ALGOLIA_LOCAL_SEARCH_JS_URL.
+   */
+  return `<script>
+    (function () {
+      var search = docsearch(${docsearchOptions});
+      search.client.hosts.read = [window.location.origin + baseUrl + "/${ALGOLIA_LOCAL_SEARCH_PATH}"];
+    })();
   </script>`;
 }
 
@@ -35,11 +56,28 @@ function addNoIndexClasses(content) {
   return $.html();
 }
 
+/**
+ * Writes the DocSearch records of the built pages, so that the index can be checked without serving the site.
+ * The records are written outside the output folder, so that they are not deployed with the site.
+ */
+async function writeLocalIndex(pluginContext, site) {
+  const { indexName, localSearch } = pluginContext;
+  const docSearchIndex = new DocSearchIndex(localSearch === true ? {} : localSearch);
+  await docSearchIndex.update(site.pages);
+  const indexPath = path.join(site.rootPath, ALGOLIA_LOCAL_INDEX_FOLDER_PATH, `${indexName}.json`);
+  await fs.outputJson(indexPath, docSearchIndex.getRecords());
+}
+
 module.exports = {
   getLinks: () => [`<link rel="stylesheet" href="${ALGOLIA_CSS_URL}">`],
   getScripts: pluginContext => [
-    `<script src="${ALGOLIA_JS_URL}"></script>`,
+    `<script src="${pluginContext.localSearch ? ALGOLIA_LOCAL_SEARCH_JS_URL : ALGOLIA_JS_URL}"></script>`,
     buildAlgoliaInitScript(pluginContext),
   ],
   postRender: (pluginContext, frontMatter, content) => addNoIndexClasses(content),
+  afterSiteGenerate: async (pluginContext, site) => {
+    if (pluginContext.localSearch) {
+      await writeLocalIndex(pluginContext, site);
+    }
+  },
 };
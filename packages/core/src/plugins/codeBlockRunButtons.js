@@ -0,0 +1,147 @@
+const cheerio = module.parent.require('cheerio');
+
+const RUN_TIMEOUT_DEFAULT = 5000;
+
+/*
+ * Runs the JavaScript code sent to it and sends back its console output,
+ * then "done" once the code, and the promise it evaluates to if any, completes.
+ */
+const JAVASCRIPT_WORKER_SCRIPT = `
+  function send(type, args) {
+    postMessage({
+      type: type,
+      text: Array.prototype.map.call(args, function (arg) {
+        return typeof arg === 'string' ? arg : JSON.stringify(arg);
+      }).join(' '),
+    });
+  }
+  console.log = console.info = console.debug = function () { send('stdout', arguments); };
+  console.error = console.warn = function () { send('stderr', arguments); };
+  onmessage = function (event) {
+    Promise.resolve()
+      .then(function () { return (0, eval)(event.data); })
+      .catch(function (err) { send('stderr', [String(err)]); })
+      .then(function () { postMessage({ type: 'done' }); });
+  };`;
+
+function getButtonsHtml() {
+  return '<div class="code-run-buttons">'
+    + '<button onclick="runCodeBlock(this)" class="code-run-btn">&#9654; Run</button>'
+    + '<button onclick="resetCodeBlock(this)" class="code-reset-btn">&#8634; Reset</button>'
+    + '</div>'
+    + '<div class="code-output"></div>';
+}
+
+function getRunCodeBlockScript(timeout) {
+  return `<script>
+    (function () {
+      const workerUrl = URL.createObjectURL(new Blob([${JSON.stringify(JAVASCRIPT_WORKER_SCRIPT)}]));
+
+      // Runs JavaScript in a web worker, which has no access to the page and is stopped if it runs too long
+      function runJavaScript(code, output) {
+        return new Promise(function (resolve) {
+          const worker = new Worker(workerUrl);
+          const timer = setTimeout(function () {
+            worker.terminate();
+            output.stderr('The code was stopped as it ran for more than ${timeout / 1000}s.');
+            resolve();
+          }, ${timeout});
+          worker.onmessage = function (event) {
+            if (event.data.type !== 'done') {
+              output[event.data.type](event.data.text);
+              return;
+            }
+            clearTimeout(timer);
+            worker.terminate();
+            resolve();
+          };
+          worker.postMessage(code);
+        });
+      }
+
+      // Runners of other languages can be added to this by site plugins, keyed by language
+      window.markbindCodeRunners = window.markbindCodeRunners || {};
+      ['js', 'javascript'].forEach(function (language) {
+        window.markbindCodeRunners[language] = window.markbindCodeRunners[language] || runJavaScript;
+      });
+    })();
+
+    function saveCodeBlock(codeElement) {
+      if (codeElement.originalHtml === undefined) {
+        codeElement.originalHtml = codeElement.innerHTML;
+      }
+    }
+
+    function runCodeBlock(button) {
+      const pre = button.closest('pre');
+      const codeElement = pre.querySelector('code');
+      const outputElement = pre.querySelector('.code-output');
+      const language = codeElement.getAttribute('runnable');
+      const runner = window.markbindCodeRunners[language];
+
+      function append(text, className) {
+        const line = document.createElement('span');
+        line.className = className;
+        line.textContent = text + '\\n';
+        outputElement.appendChild(line);
+      }
+      const output = {
+        stdout: function (text) { append(text, 'code-output-stdout'); },
+        stderr: function (text) { append(text, 'code-output-stderr'); },
+      };
+
+      outputElement.innerHTML = '';
+      if (!runner) {
+        output.stderr('There is no runner for ' + (language || 'code without a language') + '.');
+        return;
+      }
+      button.disabled = true;
+      Promise.resolve()
+        .then(function () { return runner(codeElement.textContent, output); })
+        .catch(function (err) { output.stderr(String(err)); })
+        .then(function () { button.disabled = false; });
+    }
+
+    function resetCodeBlock(button) {
+      const pre = button.closest('pre');
+      const codeElement = pre.querySelector('code');
+      if (codeElement.originalHtml !== undefined) {
+        codeElement.innerHTML = codeElement.originalHtml;
+      }
+      pre.querySelector('.code-output').innerHTML = '';
+    }
+    </script>`;
+}
+
+/**
+ * Sets the value of the runnable attribute of code blocks to their language, if it is not specified,
+ * so that they are run by the runner of their language.
+ */
+function setRunnableLanguages(state) {
+  state.tokens.forEach((token) => {
+    if (token.type === 'fence' && token.attrIndex('runnable') !== -1 && !token.attrGet('runnable')) {
+      token.attrSet('runnable', token.info.trim());
+    }
+  });
+}
+
+module.exports = {
+  getScripts: pluginContext => [getRunCodeBlockScript(pluginContext.timeout || RUN_TIMEOUT_DEFAULT)],
+  extendMarkdown: (pluginContext, markdownIt) => {
+    markdownIt.core.ruler.push('runnable_code', setRunnableLanguages);
+  },
+  processNode: (pluginContext, node) => {
+    if (node.name !== 'pre') {
+      return;
+    }
+    const codeNode = node.children.find(child => child.name === 'code');
+    if (!codeNode || codeNode.attribs.runnable === undefined) {
+      return;
+    }
+
+    codeNode.attribs.contenteditable = 'plaintext-only';
+    codeNode.attribs.spellcheck = 'false';
+    codeNode.attribs.onfocus = 'saveCodeBlock(this)';
+    cheerio(node).append(getButtonsHtml());
+  },
+};
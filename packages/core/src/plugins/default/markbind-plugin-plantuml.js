@@ -15,53 +15,74 @@ const urlUtil = require('../../utils/urlUtil');
 
 const JAR_PATH = path.resolve(__dirname, 'plantuml.jar');
 
-const processedDiagrams = new Set();
+/**
+ * Map of the output paths of the diagrams processed to the promises of their generation
+ * @type {Map<string, Promise<void>>}
+ */
+const processedDiagrams = new Map();
 
 /**
- * Generates diagram and returns the file name of the diagram
+ * Generates the diagram by running the JAR executable
  * @param imageOutputPath output path of the diagram to be generated
  * @param content puml dsl used to generate the puml diagram
+ * @returns {Promise<void>} that resolves once the diagram is generated, or has failed to generate
  */
-function generateDiagram(imageOutputPath, content) {
-  // Avoid generating twice
-  if (processedDiagrams.has(imageOutputPath)) { return; }
-  processedDiagrams.add(imageOutputPath);
-
+function runPlantUml(imageOutputPath, content) {
   // Creates output dir if it doesn't exist
   const outputDir = path.dirname(imageOutputPath);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Java command to launch PlantUML jar
-  const cmd = `java -jar "${JAR_PATH}" -nometadata -pipe > "${imageOutputPath}"`;
-  const childProcess = exec(cmd);
-
-  let errorLog = '';
-  childProcess.stdin.write(
-    content,
-    (e) => {
-      if (e) {
-        logger.debug(e);
-        logger.error(`Error generating ${imageOutputPath}`);
-      }
-      childProcess.stdin.end();
-    },
-  );
-
-  childProcess.on('error', (error) => {
-    logger.debug(error);
-    logger.error(`Error generating ${imageOutputPath}`);
-  });
-
-  childProcess.stderr.on('data', (errorMsg) => {
-    errorLog += errorMsg;
+  return new Promise((resolve) => {
+    // Java command to launch PlantUML jar
+    const cmd = `java -jar "${JAR_PATH}" -nometadata -pipe > "${imageOutputPath}"`;
+    const childProcess = exec(cmd);
+
+    let errorLog = '';
+    // The write may also fail asynchronously (e.g. with EPIPE) if java exits before reading the input
+    childProcess.stdin.on('error', error => logger.debug(error));
+    childProcess.stdin.write(
+      content,
+      (e) => {
+        if (e) {
+          logger.debug(e);
+          logger.error(`Error generating ${imageOutputPath}`);
+        }
+        childProcess.stdin.end();
+      },
+    );
+
+    childProcess.on('error', (error) => {
+      logger.debug(error);
+      logger.error(`Error generating ${imageOutputPath}`);
+      resolve();
+    });
+
+    childProcess.stderr.on('data', (errorMsg) => {
+      errorLog += errorMsg;
+    });
+
+    childProcess.on('close', () => {
+      // This goes to the log file, but not shown on the console
+      logger.debug(errorLog);
+      resolve();
+    });
   });
+}
 
-  childProcess.on('exit', () => {
-    // This goes to the log file, but not shown on the console
-    logger.debug(errorLog);
-  });
+/**
+ * Generates the diagram, unless it is already being generated for another page
+ * @param imageOutputPath output path of the diagram to be generated
+ * @param content puml dsl used to generate the puml diagram
+ * @returns {Promise<void>} that resolves once the diagram is generated
+ */
+function generateDiagram(imageOutputPath, content) {
+  // Avoid generating twice
+  if (!processedDiagrams.has(imageOutputPath)) {
+    processedDiagrams.set(imageOutputPath, runPlantUml(imageOutputPath, content));
+  }
+  return processedDiagrams.get(imageOutputPath);
 }
 
 module.exports = {
@@ -86,7 +107,7 @@ module.exports = {
     processedDiagrams.clear();
   },
 
-  processNode: (pluginContext, node, config) => {
+  processNode: async (pluginContext, node, config) => {
     if (node.name !== 'puml') {
       return;
     }
@@ -134,6 +155,6 @@ module.exports = {
     delete node.children;
 
     const imageOutputPath = path.resolve(config.outputPath, pathFromRootToImage);
-    generateDiagram(imageOutputPath, pumlContent);
+    await generateDiagram(imageOutputPath, pumlContent);
   },
 };
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 /**
  * Contains methods using simple-git to perform commands relating to git.
  */
@@ -24,4 +26,45 @@ module.exports = {
       return undefined;
     }
   },
+  /**
+   * Fetches the latest commit of a branch of a repo (url or remote name) into FETCH_HEAD.
+   * Returns false if the branch does not exist, and throws if the repo cannot be reached.
+   */
+  async fetchRemoteBranch(simpleGit, repo, branch) {
+    const remoteBranches = await simpleGit.listRemote(['--heads', repo, branch]);
+    if (!remoteBranches.trim()) {
+      return false;
+    }
+    await simpleGit.fetch(['--depth', '1', repo, branch]);
+    return true;
+  },
+  /**
+   * Returns the blob hashes of the files in a tree, or in a directory of it, keyed by their paths
+   * relative to the directory.
+   * See: https://git-scm.com/docs/git-ls-tree
+   */
+  async getTreeFileHashes(simpleGit, treeish, directory = '.') {
+    const entries = await simpleGit.raw(['ls-tree', '-r', '-z', '--full-tree', treeish, '--', directory]);
+    const prefix = directory === '.' ? '' : `${directory.replace(/\/$/, '')}/`;
+    const fileHashes = new Map();
+    entries.split('\0').filter(entry => entry).forEach((entry) => {
+      // <mode> SP <type> SP <object> TAB <file>
+      const [info, filePath] = entry.split('\t');
+      const [, type, hash] = info.split(' ');
+      if (type === 'blob') {
+        fileHashes.set(filePath.substring(prefix.length), hash);
+      }
+    });
+    return fileHashes;
+  },
+  /**
+   * Returns the hash git gives to a file with the content, as computed by git hash-object.
+   * @param {Buffer} content
+   */
+  getBlobHash(content) {
+    return crypto.createHash('sha1')
+      .update(`blob ${content.length}\0`)
+      .update(content)
+      .digest('hex');
+  },
 };
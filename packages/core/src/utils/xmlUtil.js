@@ -0,0 +1,17 @@
+/**
+ * Escapes the characters of a string that are special in xml text and attribute values.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  escapeXml,
+};
@@ -160,6 +160,22 @@ class VariableProcessor {
     }, pageSources);
   }
 
+  /**
+   * Renders content with the variables of the site containing the given path,
+   * for content that does not have a source file.
+   * @param {string} contentFilePath the content is treated as if it was at
+   * @param {string} content to render
+   * @param {PageSources} pageSources to add dependencies found during nunjucks rendering to
+   * @return {String} nunjucks processed content
+   */
+  renderStringWithSiteVariables(contentFilePath, content, pageSources) {
+    const userDefinedVariables = this.getParentSiteVariables(contentFilePath);
+    const parentSitePath = urlUtil.getParentSiteAbsolutePath(contentFilePath, this.rootPath,
+                                                             this.baseUrlMap);
+
+    return this.variableRendererMap[parentSitePath].renderString(content, userDefinedVariables, pageSources);
+  }
+
   /*
    * --------------------------------------------------
    * Page level variable storage methods
@@ -0,0 +1,28 @@
+const { PageConfig } = require('../../../src/Page/PageConfig');
+
+test('PageConfig can be serialized and restored with the site wide instances', () => {
+  const siteContext = {
+    layoutManager: {},
+    pluginManager: {},
+    template: {},
+    variableProcessor: {},
+  };
+  const pageConfig = new PageConfig({
+    ...siteContext,
+    baseUrl: '/base',
+    baseUrlMap: new Set(['/root', '/root/sub']),
+    sourcePath: '/root/index.md',
+    src: 'index.md',
+    searchable: true,
+  });
+
+  const serializedConfig = pageConfig.toSerializable();
+  expect(serializedConfig.baseUrlMap).toEqual(['/root', '/root/sub']);
+  expect(serializedConfig).not.toHaveProperty('pluginManager');
+  expect(serializedConfig).not.toHaveProperty('variableProcessor');
+
+  const postedConfig = JSON.parse(JSON.stringify(serializedConfig));
+  const restoredConfig = PageConfig.fromSerializable(postedConfig, siteContext);
+  expect(restoredConfig).toEqual(pageConfig);
+  expect(restoredConfig.pluginManager).toBe(siteContext.pluginManager);
+});
@@ -0,0 +1,129 @@
+const path = require('path');
+const fs = require('fs');
+const { BuildManifest } = require('../../../src/Site/BuildManifest');
+
+jest.mock('fs');
+
+const ROOT_PATH = path.resolve('');
+const OUTPUT_PATH = path.resolve('_site');
+const MANIFEST_PATH = path.resolve('_markbind/cache/buildManifest.json');
+
+function getMockPage(src, includedFiles) {
+  return {
+    pageConfig: {
+      src,
+      resultPath: path.join(OUTPUT_PATH, src.replace('.md', '.html')),
+    },
+    includedFiles: new Set(includedFiles.map(file => path.resolve(file))),
+    title: 'Title',
+    frontMatter: { title: 'Title' },
+    headings: { heading: 'Heading' },
+    keywords: {},
+    restoreState: jest.fn(),
+  };
+}
+
+afterEach(() => fs.vol.reset());
+
+test('BuildManifest marks unrecorded pages as outdated', () => {
+  fs.vol.fromJSON({ 'index.md': 'content' }, '');
+
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.load();
+
+  expect(manifest.isPageOutdated(getMockPage('index.md', ['index.md']), 'fingerprint')).toEqual(true);
+});
+
+test('BuildManifest marks pages recorded by an older version of the manifest as outdated', () => {
+  fs.vol.fromJSON({
+    'index.md': 'content',
+    '_site/index.html': 'output',
+    '_markbind/cache/buildManifest.json': JSON.stringify({
+      version: 3,
+      fingerprint: 'fingerprint',
+      pages: { 'index.md': { resultPath: 'index.html', dependencies: {} } },
+    }),
+  }, '');
+
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.load();
+
+  expect(manifest.isPageOutdated(getMockPage('index.md', ['index.md']), 'fingerprint')).toEqual(true);
+});
+
+test('BuildManifest only marks pages with changed dependencies as outdated', async () => {
+  fs.vol.fromJSON({
+    'index.md': 'content',
+    'other.md': 'other content',
+    'include.md': 'included content',
+    '_site/index.html': '',
+    '_site/other.html': '',
+  }, '');
+
+  const indexPage = getMockPage('index.md', ['index.md', 'include.md']);
+  const otherPage = getMockPage('other.md', ['other.md']);
+
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.load();
+  manifest.recordPage(indexPage);
+  manifest.recordPage(otherPage);
+  manifest.fingerprint = 'fingerprint';
+  await manifest.save();
+
+  fs.writeFileSync(path.resolve('include.md'), 'changed included content');
+
+  const nextManifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  nextManifest.load();
+  expect(nextManifest.isPageOutdated(indexPage, 'fingerprint')).toEqual(true);
+  expect(nextManifest.isPageOutdated(otherPage, 'fingerprint')).toEqual(false);
+  expect(nextManifest.isPageOutdated(otherPage, 'changed fingerprint')).toEqual(true);
+});
+
+test('BuildManifest marks pages with missing output as outdated', () => {
+  fs.vol.fromJSON({ 'index.md': 'content' }, '');
+
+  const page = getMockPage('index.md', ['index.md']);
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.recordPage(page);
+  manifest.fingerprint = 'fingerprint';
+
+  expect(manifest.isPageOutdated(page, 'fingerprint')).toEqual(true);
+});
+
+test('BuildManifest restores recorded page state', () => {
+  fs.vol.fromJSON({ 'index.md': 'content', 'include.md': 'included content' }, '');
+
+  const page = getMockPage('index.md', ['index.md', 'include.md']);
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.recordPage(page);
+  manifest.restorePage(page);
+
+  expect(page.restoreState).toHaveBeenCalledWith(expect.objectContaining({
+    title: 'Title',
+    headings: { heading: 'Heading' },
+    includedFiles: [path.resolve('index.md'), path.resolve('include.md')],
+  }));
+});
+
+test('BuildManifest removes pages no longer in the site', () => {
+  fs.vol.fromJSON({ 'index.md': 'content', 'removed.md': 'content' }, '');
+
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.recordPage(getMockPage('index.md', ['index.md']));
+  manifest.recordPage(getMockPage('removed.md', ['removed.md']));
+
+  expect(manifest.removeStalePages(['index.md'])).toEqual([path.join(OUTPUT_PATH, 'removed.html')]);
+  expect(Object.keys(manifest.pages)).toEqual(['index.md']);
+});
+
+test('BuildManifest removes the recorded state of pages', () => {
+  fs.vol.fromJSON({ 'index.md': 'content' }, '');
+  const page = getMockPage('index.md', ['index.md']);
+
+  const manifest = new BuildManifest(MANIFEST_PATH, ROOT_PATH, OUTPUT_PATH);
+  manifest.recordPage(page);
+  manifest.removePage(page);
+
+  expect(manifest.isPageOutdated(page, manifest.fingerprint)).toEqual(true);
+  expect(manifest.pages).toEqual({});
+});
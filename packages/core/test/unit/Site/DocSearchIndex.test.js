@@ -0,0 +1,173 @@
+const path = require('path');
+const fs = require('fs');
+const { DocSearchIndex } = require('../../../src/Site/DocSearchIndex');
+const { InvalidQueryParamsError } = require('../../../src/errors');
+
+jest.mock('fs');
+
+const GUIDE_HTML = '<html><head><title>User Guide</title></head><body>'
+  + '<nav><p>Site navigation</p></nav>'
+  + '<div id="content-wrapper">'
+  + '<h1 id="installing">Installing</h1>'
+  + '<p>Install <b>Node.js</b> first &amp; then MarkBind.</p>'
+  + '<ul><li><p>Run npm install</p></li></ul>'
+  + '<h2 id="using-npm">Using npm</h2>'
+  + '<p>Run the install command in a terminal window to install the markbind cli globally.</p>'
+  + '<div class="algolia-no-index"><p>Hidden install notes</p></div>'
+  + '<h2>Troubleshooting</h2>'
+  + '<p>Check the permissions.</p>'
+  + '<script>const install = true;</script>'
+  + '</div></body></html>';
+
+const OTHER_HTML = '<html><head><title>Install Extras</title></head><body>'
+  + '<div id="content-wrapper"><p>Nothing here.</p></div></body></html>';
+
+afterEach(() => fs.vol.reset());
+
+test('DocSearchIndex crawls the content of pages into records with the hierarchy of headings', () => {
+  const records = new DocSearchIndex().crawl(GUIDE_HTML, '/guide.html');
+
+  expect(records.map(record => [record.type, record.content, record.url])).toEqual([
+    ['lvl0', null, '/guide.html'],
+    ['lvl1', null, '/guide.html#installing'],
+    ['content', 'Install Node.js first & then MarkBind.', '/guide.html#installing'],
+    ['content', 'Run npm install', '/guide.html#installing'],
+    ['lvl2', null, '/guide.html#using-npm'],
+    [
+      'content',
+      'Run the install command in a terminal window to install the markbind cli globally.',
+      '/guide.html#using-npm',
+    ],
+    ['lvl2', null, '/guide.html#using-npm'],
+    ['content', 'Check the permissions.', '/guide.html#using-npm'],
+  ]);
+  expect(records[7]).toEqual({
+    objectID: '/guide.html-7',
+    url: '/guide.html#using-npm',
+    url_without_anchor: '/guide.html',
+    anchor: 'using-npm',
+    type: 'content',
+    hierarchy: {
+      lvl0: 'User Guide',
+      lvl1: 'Installing',
+      lvl2: 'Troubleshooting',
+      lvl3: null,
+      lvl4: null,
+      lvl5: null,
+      lvl6: null,
+    },
+    content: 'Check the permissions.',
+    weight: { level: 0, position: 7, page_rank: 0 },
+  });
+});
+
+test('DocSearchIndex crawls with the configured selectors', () => {
+  const docSearchIndex = new DocSearchIndex({
+    selectors: { lvl0: 'h1', lvl1: 'h2', text: 'p' },
+    contentSelector: 'body',
+    selectorsExclude: ['nav'],
+  });
+
+  const records = docSearchIndex.crawl(GUIDE_HTML, '/guide.html');
+
+  expect(records.map(record => [record.type, record.hierarchy.lvl0, record.hierarchy.lvl1])).toEqual([
+    ['lvl0', 'Installing', null],
+    ['content', 'Installing', null],
+    ['content', 'Installing', null],
+    ['lvl1', 'Installing', 'Using npm'],
+    ['content', 'Installing', 'Using npm'],
+    ['lvl1', 'Installing', 'Troubleshooting'],
+    ['content', 'Installing', 'Troubleshooting'],
+  ]);
+});
+
+test('DocSearchIndex only crawls pages again when they are rebuilt', async () => {
+  fs.vol.fromJSON({ '_site/guide.html': GUIDE_HTML, '_site/other.html': OTHER_HTML }, '');
+  const pages = [
+    { url: '/other.html', outputPath: path.resolve('_site/other.html') },
+    { url: '/guide.html', outputPath: path.resolve('_site/guide.html') },
+    { url: '/unbuilt.html', outputPath: path.resolve('_site/unbuilt.html') },
+  ];
+  const docSearchIndex = new DocSearchIndex();
+  const crawlSpy = jest.spyOn(docSearchIndex, 'crawl');
+
+  await docSearchIndex.update(pages);
+  await docSearchIndex.update(pages);
+
+  expect(crawlSpy).toHaveBeenCalledTimes(2);
+  expect(docSearchIndex.getRecords().map(record => record.objectID)).toEqual([
+    '/other.html-0', '/other.html-1',
+    '/guide.html-0', '/guide.html-1', '/guide.html-2', '/guide.html-3',
+    '/guide.html-4', '/guide.html-5', '/guide.html-6', '/guide.html-7',
+  ]);
+});
+
+test('DocSearchIndex searches records like the Algolia search API', () => {
+  const docSearchIndex = new DocSearchIndex();
+  docSearchIndex.pageRecords.set('guide', { records: docSearchIndex.crawl(GUIDE_HTML, '/guide.html') });
+  docSearchIndex.pageRecords.set('other', { records: docSearchIndex.crawl(OTHER_HTML, '/other.html') });
+
+  const result = docSearchIndex.search('query=install%20mark&hitsPerPage=5', 'markbind');
+
+  expect(result).toEqual(expect.objectContaining({
+    nbHits: 2,
+    page: 0,
+    nbPages: 1,
+    hitsPerPage: 5,
+    query: 'install mark',
+    params: 'query=install%20mark&hitsPerPage=5',
+    index: 'markbind',
+  }));
+  const [hit] = result.hits;
+  expect(hit.objectID).toEqual('/guide.html-2');
+  expect(hit._highlightResult.hierarchy.lvl1).toEqual({
+    value: 'Installing',
+    matchLevel: 'none',
+    matchedWords: [],
+  });
+  expect(hit._highlightResult.content).toEqual({
+    value: '<span class="algolia-docsearch-suggestion--highlight">Install</span> Node.js first &amp; then '
+      + '<span class="algolia-docsearch-suggestion--highlight">MarkBind</span>.',
+    matchLevel: 'full',
+    matchedWords: ['install', 'mark'],
+  });
+});
+
+test('DocSearchIndex rejects queries with invalid array parameters', () => {
+  const docSearchIndex = new DocSearchIndex();
+
+  expect(() => docSearchIndex.search('query=site&facetFilters=[oops', 'markbind'))
+    .toThrow(InvalidQueryParamsError);
+});
+
+test('DocSearchIndex ranks matches in the hierarchy first, and pages through the results', () => {
+  const docSearchIndex = new DocSearchIndex();
+  docSearchIndex.pageRecords.set('guide', { records: docSearchIndex.crawl(GUIDE_HTML, '/guide.html') });
+  docSearchIndex.pageRecords.set('other', { records: docSearchIndex.crawl(OTHER_HTML, '/other.html') });
+
+  const firstPage = docSearchIndex.search({ query: 'install', hitsPerPage: 2 }, 'markbind');
+  const secondPage = docSearchIndex.search({ query: 'install', hitsPerPage: 2, page: 1 }, 'markbind');
+
+  expect(firstPage.nbHits).toEqual(9);
+  expect(firstPage.nbPages).toEqual(5);
+  expect(firstPage.hits.map(hit => hit.objectID)).toEqual(['/other.html-0', '/guide.html-1']);
+  expect(secondPage.hits.map(hit => hit.objectID)).toEqual(['/guide.html-4', '/guide.html-6']);
+});
+
+test('DocSearchIndex snippets the content around the first match', () => {
+  const docSearchIndex = new DocSearchIndex();
+  docSearchIndex.pageRecords.set('guide', { records: docSearchIndex.crawl(GUIDE_HTML, '/guide.html') });
+
+  const result = docSearchIndex.search({
+    query: 'globally',
+    attributesToSnippet: ['hierarchy.lvl1:10', 'content:4'],
+    highlightPreTag: '<em>',
+    highlightPostTag: '</em>',
+  }, 'markbind');
+
+  expect(result.hits[0]._snippetResult.content).toEqual({
+    value: 'the markbind cli <em>globally</em>.',
+    matchLevel: 'full',
+    matchedWords: ['globally'],
+  });
+});
@@ -0,0 +1,164 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { ExternalLinkChecker, fetchLinkStatus } = require('../../../src/Site/ExternalLinkChecker');
+const { ExternalLinkRegistry } = require('../../../src/Site/ExternalLinkRegistry');
+const SiteConfig = require('../../../src/Site/SiteConfig');
+
+jest.mock('fs');
+
+const CACHE_PATH = path.resolve('_markbind/cache/externalLinks.json');
+const OPTIONS = {
+  enabled: true,
+  concurrency: 2,
+  timeout: 1000,
+  cacheMaxAge: 60,
+  exclude: [],
+};
+
+function getMockFetcher(statuses) {
+  return jest.fn(async (link) => {
+    if (statuses[link] === undefined) {
+      throw new Error('Timed out after 1000ms');
+    }
+    return { status: statuses[link] };
+  });
+}
+
+afterEach(() => fs.vol.reset());
+
+test('ExternalLinkChecker reports links with error statuses or failed requests as broken', async () => {
+  const fetcher = getMockFetcher({
+    'https://example.com/ok': 200,
+    'https://example.com/redirect': 301,
+    'https://example.com/missing': 404,
+  });
+  const checker = new ExternalLinkChecker(OPTIONS, CACHE_PATH, fetcher);
+
+  const brokenLinks = await checker.check([
+    'https://example.com/ok',
+    'https://example.com/missing',
+    'https://example.com/redirect',
+    'https://example.com/slow',
+  ]);
+
+  expect(brokenLinks).toEqual([
+    { link: 'https://example.com/missing', reason: 'HTTP 404' },
+    { link: 'https://example.com/slow', reason: 'Timed out after 1000ms' },
+  ]);
+  expect(fetcher).toHaveBeenCalledWith('https://example.com/ok', { timeout: 1000 });
+});
+
+test('ExternalLinkChecker does not exceed the configured concurrency', async () => {
+  let numActiveRequests = 0;
+  let maxActiveRequests = 0;
+  const fetcher = async () => {
+    numActiveRequests += 1;
+    maxActiveRequests = Math.max(maxActiveRequests, numActiveRequests);
+    await new Promise(resolve => setImmediate(resolve));
+    numActiveRequests -= 1;
+    return { status: 200 };
+  };
+  const checker = new ExternalLinkChecker(OPTIONS, CACHE_PATH, fetcher);
+
+  await checker.check(['a', 'b', 'c', 'd', 'e'].map(name => `https://example.com/${name}`));
+
+  expect(maxActiveRequests).toEqual(2);
+});
+
+test('ExternalLinkChecker skips excluded links', async () => {
+  const fetcher = getMockFetcher({});
+  const options = { ...OPTIONS, exclude: ['https://localhost'] };
+  const checker = new ExternalLinkChecker(options, CACHE_PATH, fetcher);
+
+  const brokenLinks = await checker.check(['https://localhost:8080/page.html']);
+
+  expect(brokenLinks).toEqual([]);
+  expect(fetcher).not.toHaveBeenCalled();
+});
+
+test('ExternalLinkChecker skips links excluded by a single prefix in the site config', async () => {
+  const fetcher = getMockFetcher({});
+  const { externalLinkValidation } = new SiteConfig({
+    externalLinkValidation: { exclude: 'https://localhost' },
+  });
+  const checker = new ExternalLinkChecker(externalLinkValidation, CACHE_PATH, fetcher);
+  const brokenLinks = await checker.check(['https://localhost:8080/page.html']);
+
+  expect(externalLinkValidation.exclude).toEqual(['https://localhost']);
+  expect(brokenLinks).toEqual([]);
+  expect(fetcher).not.toHaveBeenCalled();
+});
+
+test('ExternalLinkChecker only caches reachable links until they expire', async () => {
+  const links = ['https://example.com/ok', 'https://example.com/missing'];
+  const fetcher = getMockFetcher({
+    'https://example.com/ok': 200,
+    'https://example.com/missing': 404,
+  });
+  await new ExternalLinkChecker(OPTIONS, CACHE_PATH, fetcher).check(links);
+  expect(fetcher).toHaveBeenCalledTimes(2);
+
+  fetcher.mockClear();
+  const brokenLinks = await new ExternalLinkChecker(OPTIONS, CACHE_PATH, fetcher).check(links);
+  expect(brokenLinks).toEqual([{ link: 'https://example.com/missing', reason: 'HTTP 404' }]);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  expect(fetcher).toHaveBeenCalledWith('https://example.com/missing', { timeout: 1000 });
+
+  fetcher.mockClear();
+  await new ExternalLinkChecker({ ...OPTIONS, cacheMaxAge: 0 }, CACHE_PATH, fetcher).check(links);
+  expect(fetcher).toHaveBeenCalledTimes(2);
+});
+
+test('ExternalLinkChecker creates a fetcher from a fixtures file', async () => {
+  fs.vol.fromJSON({
+    'fixtures.json': JSON.stringify({ 'https://example.com/ok': 200 }),
+  }, path.resolve(''));
+  const fetcher = ExternalLinkChecker.createFetcher({ fixtures: 'fixtures.json' }, path.resolve(''));
+
+  await expect(fetcher('https://example.com/ok')).resolves.toEqual({ status: 200 });
+  await expect(fetcher('https://example.com/other')).rejects.toThrow('No recorded response in fixtures');
+});
+
+describe('fetchLinkStatus', () => {
+  let server;
+  let serverUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      const [, redirectsLeft, target] = request.url.split('/');
+      if (redirectsLeft > 0) {
+        response.writeHead(302, { location: `/${redirectsLeft - 1}/${target}` });
+      } else {
+        response.writeHead(target === 'missing' ? 404 : 200);
+      }
+      response.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('follows redirects to the status of the page redirected to', async () => {
+    await expect(fetchLinkStatus(`${serverUrl}/2/ok`, { timeout: 1000 })).resolves.toEqual({ status: 200 });
+    await expect(fetchLinkStatus(`${serverUrl}/1/missing`, { timeout: 1000 }))
+      .resolves.toEqual({ status: 404 });
+  });
+
+  test('fails links with too many redirects', async () => {
+    await expect(fetchLinkStatus(`${serverUrl}/6/ok`, { timeout: 1000 }))
+      .rejects.toThrow('Exceeded 5 redirects');
+  });
+});
+
+test('ExternalLinkRegistry maps links to the pages they were found in', () => {
+  const registry = ExternalLinkRegistry.fromPages([
+    { pageConfig: { src: 'index.md' }, externalLinks: ['https://example.com/a', 'https://example.com/b'] },
+    { pageConfig: { src: 'other.md' }, externalLinks: ['https://example.com/a'] },
+  ]);
+
+  expect(registry.getLinks()).toEqual(['https://example.com/a', 'https://example.com/b']);
+  expect(registry.getPages('https://example.com/a')).toEqual(['index.md', 'other.md']);
+  expect(registry.getPages('https://example.com/c')).toEqual([]);
+});
@@ -0,0 +1,108 @@
+const { Feed } = require('../../../src/Site/Feed');
+const SiteConfig = require('../../../src/Site/SiteConfig');
+
+function getPage(src, title, frontMatter, summary = '') {
+  return {
+    pageConfig: { src },
+    title,
+    frontMatter,
+    summary,
+  };
+}
+
+const PAGES = [
+  getPage('releases/v1.0.md', 'v1.0', { date: new Date('2021-01-04T00:00:00Z') }, 'The first release.'),
+  getPage('releases/v1.1.md', 'v1.1 & more', { date: '2021-02-01', author: 'Jane' }, 'Fixes <b>bugs</b>.'),
+  getPage('releases/draft.md', 'Draft', {}),
+  getPage('releases/v0.9.md', 'v0.9', { date: new Date('2020-12-01T00:00:00Z') }),
+];
+
+function getFeed(feedConfig) {
+  const siteConfig = new SiteConfig({ feeds: [feedConfig] });
+  return new Feed(siteConfig.feeds[0], 'https://example.com/docs');
+}
+
+test('Feed lists pages with dates, most recent first, up to its limit', () => {
+  const feed = getFeed({ glob: 'releases/*.md', limit: 2 });
+
+  const items = feed.getItems(PAGES);
+
+  expect(items).toEqual([
+    {
+      title: 'v1.1 & more',
+      url: 'https://example.com/docs/releases/v1.1.html',
+      date: new Date('2021-02-01'),
+      summary: 'Fixes <b>bugs</b>.',
+      author: 'Jane',
+    },
+    {
+      title: 'v1.0',
+      url: 'https://example.com/docs/releases/v1.0.html',
+      date: new Date('2021-01-04T00:00:00Z'),
+      summary: 'The first release.',
+      author: undefined,
+    },
+  ]);
+});
+
+test('Feed renders RSS 2.0', () => {
+  const feed = getFeed({
+    name: 'releases', title: 'Releases', description: 'Release notes', glob: 'releases/*.md',
+  });
+
+  expect(feed.renderRss(feed.getItems(PAGES.slice(0, 2)))).toEqual(
+    '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n'
+    + '  <channel>\n'
+    + '    <title>Releases</title>\n'
+    + '    <link>https://example.com/docs/</link>\n'
+    + '    <description>Release notes</description>\n'
+    + '    <atom:link href="https://example.com/docs/releases.xml" rel="self" type="application/rss+xml"/>\n'
+    + '    <lastBuildDate>Mon, 01 Feb 2021 00:00:00 GMT</lastBuildDate>\n'
+    + '    <item>\n'
+    + '      <title>v1.1 &amp; more</title>\n'
+    + '      <link>https://example.com/docs/releases/v1.1.html</link>\n'
+    + '      <guid>https://example.com/docs/releases/v1.1.html</guid>\n'
+    + '      <pubDate>Mon, 01 Feb 2021 00:00:00 GMT</pubDate>\n'
+    + '      <description>Fixes &lt;b&gt;bugs&lt;/b&gt;.</description>\n'
+    + '    </item>\n'
+    + '    <item>\n'
+    + '      <title>v1.0</title>\n'
+    + '      <link>https://example.com/docs/releases/v1.0.html</link>\n'
+    + '      <guid>https://example.com/docs/releases/v1.0.html</guid>\n'
+    + '      <pubDate>Mon, 04 Jan 2021 00:00:00 GMT</pubDate>\n'
+    + '      <description>The first release.</description>\n'
+    + '    </item>\n'
+    + '  </channel>\n'
+    + '</rss>\n');
+});
+
+test('Feed renders Atom', () => {
+  const feed = getFeed({ name: 'releases', title: 'Releases', glob: 'releases/*.md' });
+
+  expect(feed.renderAtom(feed.getItems(PAGES.slice(0, 2)))).toEqual(
+    '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<feed xmlns="http://www.w3.org/2005/Atom">\n'
+    + '  <title>Releases</title>\n'
+    + '  <link href="https://example.com/docs/"/>\n'
+    + '  <link href="https://example.com/docs/releases.atom" rel="self"/>\n'
+    + '  <id>https://example.com/docs/releases.atom</id>\n'
+    + '  <updated>2021-02-01T00:00:00.000Z</updated>\n'
+    + '  <author><name>Releases</name></author>\n'
+    + '  <entry>\n'
+    + '    <title>v1.1 &amp; more</title>\n'
+    + '    <link href="https://example.com/docs/releases/v1.1.html"/>\n'
+    + '    <id>https://example.com/docs/releases/v1.1.html</id>\n'
+    + '    <updated>2021-02-01T00:00:00.000Z</updated>\n'
+    + '    <author><name>Jane</name></author>\n'
+    + '    <summary>Fixes &lt;b&gt;bugs&lt;/b&gt;.</summary>\n'
+    + '  </entry>\n'
+    + '  <entry>\n'
+    + '    <title>v1.0</title>\n'
+    + '    <link href="https://example.com/docs/releases/v1.0.html"/>\n'
+    + '    <id>https://example.com/docs/releases/v1.0.html</id>\n'
+    + '    <updated>2021-01-04T00:00:00.000Z</updated>\n'
+    + '    <summary>The first release.</summary>\n'
+    + '  </entry>\n'
+    + '</feed>\n');
+});
@@ -0,0 +1,80 @@
+const Page = require('../../../src/Page');
+const { PageConfig } = require('../../../src/Page/PageConfig');
+const { SearchIndex, tokenize } = require('../../../src/Site/SearchIndex');
+
+function getPage(src, title, content, frontMatter = {}) {
+  const page = new Page(new PageConfig({
+    src,
+    searchable: true,
+    headingIndexingLevel: 2,
+  }));
+  page.resetState();
+  page.title = title;
+  page.frontMatter = frontMatter;
+  page.collectHeadingsAndKeywords(content);
+  page.collectSearchSections(content);
+  return page;
+}
+
+const INSTALL_CONTENT = '<p>Install <b>Node.js</b> first &amp; then MarkBind.</p>\n'
+  + '<h2 id="using-npm">Using npm</h2>\n'
+  + '<p>Run <code>npm install -g markbind-cli</code>.</p>\n'
+  + '<h3 id="not-indexed">Not indexed</h3>\n'
+  + '<p>Troubleshooting <span class="keyword">permissions</span></p>\n'
+  + '<script>const ignored = true;</script>';
+
+test('tokenize splits text into lowercase terms without diacritics', () => {
+  expect(tokenize('Café au-lait, C3PO & naïve_ones!'))
+    .toEqual(['cafe', 'au', 'lait', 'c3po', 'naive', 'ones']);
+  expect(tokenize(undefined)).toEqual([]);
+});
+
+test('Page collects the text of its content split at indexed headings', () => {
+  const page = getPage('install.md', 'Installation', INSTALL_CONTENT);
+
+  expect(page.searchSections).toEqual([
+    { id: '', heading: '', text: 'Install Node.js first & then MarkBind.' },
+    {
+      id: 'using-npm',
+      heading: 'Using npm',
+      text: 'Run npm install -g markbind-cli. Not indexed Troubleshooting permissions',
+    },
+  ]);
+});
+
+test('SearchIndex weights terms by where they appear and splits into shards', () => {
+  const searchIndex = new SearchIndex({ termsPerShard: 4, documentsPerShard: 2 });
+  searchIndex.addPage(getPage('install.md', 'Installation', INSTALL_CONTENT));
+  searchIndex.addPage(getPage('npm.md', 'About npm', '<p>The npm registry.</p>',
+                              { keywords: 'packages', searchBoost: 2 }));
+
+  const files = searchIndex.build();
+  const index = files['index.json'];
+
+  expect(index.pages).toEqual([
+    { src: 'install.md', title: 'Installation' },
+    { src: 'npm.md', title: 'About npm' },
+  ]);
+  expect(index.documents).toEqual([
+    { page: 0, id: '', heading: '' },
+    { page: 0, id: 'using-npm', heading: 'Using npm' },
+    { page: 1, id: '', heading: '' },
+  ]);
+  expect(index.textShards).toEqual(['text-0.json', 'text-1.json']);
+  expect(files['text-1.json']).toEqual(['The npm registry.']);
+
+  const allTerms = {};
+  index.termShards.forEach(({ file, first, last }) => {
+    const shardTerms = Object.keys(files[file]);
+    expect(shardTerms.length).toBeLessThanOrEqual(4);
+    expect(shardTerms[0]).toEqual(first);
+    expect(shardTerms[shardTerms.length - 1]).toEqual(last);
+    Object.assign(allTerms, files[file]);
+  });
+  expect(Object.keys(allTerms)).toEqual(Object.keys(allTerms).sort());
+  // heading and text occurrences in install.md, title and text occurrences in npm.md with its boost
+  expect(allTerms.npm).toEqual([[1, 5], [2, 18]]);
+  expect(allTerms.installation).toEqual([[0, 8]]);
+  expect(allTerms.permissions).toEqual([[1, 3]]);
+  expect(allTerms.packages).toEqual([[2, 4]]);
+});
@@ -0,0 +1,74 @@
+const path = require('path');
+const { SiteChecker, CHECK_TYPES } = require('../../../src/Site/SiteChecker');
+
+const ROOT_PATH = path.resolve('');
+
+function getMockProcessedPage(src, ids) {
+  return {
+    page: {
+      pageConfig: {
+        src,
+        sourcePath: path.resolve(src),
+        baseUrl: '',
+        rootPath: ROOT_PATH,
+        ignore: [],
+        addressablePagesSource: ['index', 'other'],
+      },
+    },
+    ids: new Set(ids),
+  };
+}
+
+test('getHeadingIds returns the ids of duplicate headings', () => {
+  expect(SiteChecker.getHeadingIds({ heading: 3, other: 2 }))
+    .toEqual(['heading', 'heading-2', 'other']);
+});
+
+test('checkIntraLinks reports broken links and links to missing anchors', () => {
+  const checker = new SiteChecker({ rootPath: ROOT_PATH });
+  const indexPage = getMockProcessedPage('index.md', ['intro']);
+  const otherPage = getMockProcessedPage('other.md', ['details']);
+  const processedPages = new Map([['index', indexPage], ['other', otherPage]]);
+
+  const cwf = path.resolve('index.md');
+  indexPage.intraLinks = [
+    { cwf, tagName: 'a', resourcePath: '#intro' },
+    { cwf, tagName: 'a', resourcePath: '#missing' },
+    { cwf, tagName: 'a', resourcePath: '/other.html#details' },
+    { cwf, tagName: 'a', resourcePath: '/other.html#missing' },
+    { cwf, tagName: 'a', resourcePath: '/missing.html' },
+  ];
+  checker.checkIntraLinks(indexPage, processedPages, new Set());
+
+  expect(checker.issues.map(issue => [issue.type, issue.target])).toEqual([
+    [CHECK_TYPES.MISSING_ANCHOR, '#missing'],
+    [CHECK_TYPES.MISSING_ANCHOR, '/other.html#missing'],
+    [CHECK_TYPES.BROKEN_LINK, '/missing.html'],
+  ]);
+  expect(checker.issues[0]).toEqual(expect.objectContaining({
+    file: 'index.md',
+    page: 'index.md',
+    severity: 'error',
+  }));
+});
+
+test('checkMissingIncludes reports missing include targets once', () => {
+  const checker = new SiteChecker({ rootPath: ROOT_PATH });
+  const { page } = getMockProcessedPage('index.md', []);
+  const missingInclude = {
+    from: path.resolve('included.md'),
+    to: path.resolve('missing.md'),
+  };
+  checker.checkMissingIncludes(page, { missingIncludeSrc: [missingInclude, missingInclude] });
+
+  expect(checker.issues).toEqual([
+    {
+      type: CHECK_TYPES.MISSING_INCLUDE,
+      severity: 'error',
+      file: 'included.md',
+      page: 'index.md',
+      target: 'missing.md',
+      message: 'Included file \'missing.md\' does not exist',
+    },
+  ]);
+});
@@ -0,0 +1,130 @@
+const { Sitemap, getLastCommitDates } = require('../../../src/Site/Sitemap');
+const SiteConfig = require('../../../src/Site/SiteConfig');
+
+function getPage(src, frontMatter = {}) {
+  return {
+    pageConfig: { src },
+    frontMatter,
+  };
+}
+
+const PAGES = [
+  getPage('index.md', { title: 'Home', sitemapPriority: 1 }),
+  getPage('guide/getting started.md', { sitemapChangefreq: 'weekly' }),
+  getPage('drafts/wip.md', { sitemap: false }),
+];
+
+test('Sitemap lists pages not excluded by their front matter, under the site url and baseUrl', () => {
+  const siteConfig = new SiteConfig({
+    baseUrl: '/docs',
+    sitemap: { enabled: true, siteUrl: 'https://example.com/', priority: 0.5 },
+  });
+  const sitemap = new Sitemap(siteConfig);
+
+  const entries = sitemap.getEntries(PAGES, { 'index.md': '2021-01-02T03:04:05+08:00' });
+
+  expect(entries).toEqual([
+    {
+      loc: 'https://example.com/docs/guide/getting%20started.html',
+      lastmod: undefined,
+      changefreq: 'weekly',
+      priority: 0.5,
+    },
+    {
+      loc: 'https://example.com/docs/index.html',
+      lastmod: '2021-01-02T03:04:05+08:00',
+      changefreq: undefined,
+      priority: 1,
+    },
+  ]);
+  expect(Sitemap.renderSitemap(entries)).toEqual(
+    '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+    + '  <url>\n'
+    + '    <loc>https://example.com/docs/guide/getting%20started.html</loc>\n'
+    + '    <changefreq>weekly</changefreq>\n'
+    + '    <priority>0.5</priority>\n'
+    + '  </url>\n'
+    + '  <url>\n'
+    + '    <loc>https://example.com/docs/index.html</loc>\n'
+    + '    <lastmod>2021-01-02T03:04:05+08:00</lastmod>\n'
+    + '    <priority>1.0</priority>\n'
+    + '  </url>\n'
+    + '</urlset>\n');
+});
+
+test('Sitemap uses the baseUrl given in place of the configured one', () => {
+  const siteConfig = new SiteConfig({
+    baseUrl: '/docs',
+    sitemap: { enabled: true, siteUrl: 'https://example.com' },
+  }, '');
+  const sitemap = new Sitemap(siteConfig);
+
+  expect(sitemap.getEntries([getPage('index.md')])[0].loc).toEqual('https://example.com/index.html');
+});
+
+test('Sitemap ignores invalid priorities and changefreqs', () => {
+  const siteConfig = new SiteConfig({
+    sitemap: { enabled: true, siteUrl: 'https://example.com', changefreq: 'sometimes' },
+  });
+  const sitemap = new Sitemap(siteConfig);
+
+  const entries = sitemap.getEntries([getPage('index.md', { sitemapPriority: 2 })]);
+
+  expect(entries[0].priority).toBeUndefined();
+  expect(entries[0].changefreq).toBeUndefined();
+});
+
+test('Sitemap renders robots.txt with the configured rules and the sitemap location', () => {
+  const siteConfig = new SiteConfig({
+    sitemap: { enabled: true, siteUrl: 'https://example.com' },
+    robots: {
+      enabled: true,
+      rules: [
+        { userAgent: '*', disallow: ['/drafts/', '/private/'] },
+        { userAgent: ['BadBot', 'WorseBot'], disallow: '/' },
+      ],
+    },
+  });
+  const sitemap = new Sitemap(siteConfig);
+
+  expect(sitemap.renderRobotsTxt(true)).toEqual(
+    'User-agent: *\n'
+    + 'Disallow: /drafts/\n'
+    + 'Disallow: /private/\n'
+    + '\n'
+    + 'User-agent: BadBot\n'
+    + 'User-agent: WorseBot\n'
+    + 'Disallow: /\n'
+    + '\n'
+    + 'Sitemap: https://example.com/sitemap.xml\n');
+});
+
+test('Sitemap renders robots.txt that allows all crawlers by default', () => {
+  const siteConfig = new SiteConfig({ robots: { enabled: true } });
+  const sitemap = new Sitemap(siteConfig);
+
+  expect(sitemap.renderRobotsTxt(false)).toEqual('User-agent: *\nAllow: /\n');
+});
+
+test('getLastCommitDates returns the date of the latest commit of each file', async () => {
+  const git = {
+    raw: jest.fn().mockResolvedValue('\u00002021-03-01T00:00:00+00:00\n\nindex.md\n'
+      + '\u00002021-02-01T00:00:00+00:00\n\nindex.md\nguide/getting started.md\n'),
+  };
+
+  const lastCommitDates = await getLastCommitDates(git);
+
+  expect(lastCommitDates).toEqual({
+    'index.md': '2021-03-01T00:00:00+00:00',
+    'guide/getting started.md': '2021-02-01T00:00:00+00:00',
+  });
+});
+
+test('getLastCommitDates returns no dates if the git history cannot be read', async () => {
+  const git = {
+    raw: jest.fn().mockRejectedValue(new Error('fatal: not a git repository')),
+  };
+
+  expect(await getLastCommitDates(git)).toEqual({});
+});
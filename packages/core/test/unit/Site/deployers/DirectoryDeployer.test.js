@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DirectoryDeployer } = require('../../../../src/Site/deployers/DirectoryDeployer');
+const { GitLabPagesDeployer } = require('../../../../src/Site/deployers/GitLabPagesDeployer');
+
+let tempPath;
+let rootPath;
+let outputPath;
+
+function resolveTempPath(...paths) {
+  return path.resolve(tempPath, ...paths);
+}
+
+beforeEach(async () => {
+  tempPath = await fs.mkdtemp(path.join(os.tmpdir(), 'markbind-directory-deployer-'));
+  rootPath = resolveTempPath('site');
+  outputPath = resolveTempPath('site/_site');
+  await fs.outputFile(resolveTempPath('site/_site/index.html'), 'index');
+  await fs.outputFile(resolveTempPath('site/_site/about/index.html'), 'about');
+  await fs.outputFile(resolveTempPath('server/www/old.html'), 'old');
+});
+
+afterEach(() => fs.remove(tempPath));
+
+test('DirectoryDeployer replaces the contents of the directory with the site', async () => {
+  const deployer = new DirectoryDeployer(rootPath, { directory: '../server/www' });
+
+  const url = await deployer.deploy(outputPath, {});
+
+  expect(url).toBeNull();
+  expect(fs.readdirSync(resolveTempPath('server/www')).sort()).toEqual(['about', 'index.html']);
+  expect(fs.readFileSync(resolveTempPath('server/www/about/index.html'), 'utf8')).toEqual('about');
+});
+
+test('DirectoryDeployer keeps the previous contents of the directory if clean is false', async () => {
+  const deployer = new DirectoryDeployer(rootPath, {
+    directory: resolveTempPath('server/www'),
+    clean: false,
+    url: 'https://www.example.com',
+  });
+
+  const url = await deployer.deploy(outputPath, {});
+
+  expect(url).toEqual('https://www.example.com');
+  expect(fs.readdirSync(resolveTempPath('server/www')).sort()).toEqual(['about', 'index.html', 'old.html']);
+});
+
+test('DirectoryDeployer keeps the kept paths in the directory', async () => {
+  await fs.outputFile(resolveTempPath('server/www/previews/pr-1/index.html'), 'preview');
+  await fs.outputFile(resolveTempPath('server/www/docs/previews/pr-2/index.html'), 'nested preview');
+  await fs.outputFile(resolveTempPath('server/www/docs/old.html'), 'old');
+  const deployer = new DirectoryDeployer(rootPath, { directory: '../server/www' });
+
+  await deployer.deploy(outputPath, { keep: ['previews', 'docs/previews'] });
+
+  expect(fs.readdirSync(resolveTempPath('server/www')).sort())
+    .toEqual(['about', 'docs', 'index.html', 'previews']);
+  expect(fs.readdirSync(resolveTempPath('server/www/docs'))).toEqual(['previews']);
+  expect(fs.readFileSync(resolveTempPath('server/www/previews/pr-1/index.html'), 'utf8')).toEqual('preview');
+  expect(await deployer.diff(outputPath, { keep: ['previews'] })).toEqual({
+    added: [],
+    changed: [],
+    removed: ['docs/previews/pr-2/index.html'],
+  });
+});
+
+test('DirectoryDeployer lists the changes deploying would make to the directory', async () => {
+  await fs.outputFile(resolveTempPath('server/www/index.html'), 'old index');
+  await fs.outputFile(resolveTempPath('server/www/previews/pr-1/index.html'), 'index');
+  const deployer = new DirectoryDeployer(rootPath, { directory: '../server/www' });
+  const keepingDeployer = new DirectoryDeployer(rootPath, { directory: '../server/www', clean: false });
+
+  const diff = await deployer.diff(outputPath, {});
+  const previewDiff = await deployer.diff(outputPath, { dest: 'previews/pr-1' });
+  const keepingDiff = await keepingDeployer.diff(outputPath, {});
+
+  expect(diff).toEqual({
+    added: ['about/index.html'],
+    changed: ['index.html'],
+    removed: ['old.html', 'previews/pr-1/index.html'],
+  });
+  expect(previewDiff).toEqual({ added: ['about/index.html'], changed: [], removed: [] });
+  expect(keepingDiff).toEqual({ added: ['about/index.html'], changed: ['index.html'], removed: [] });
+});
+
+test('DirectoryDeployer does not deploy to the site or its built files', async () => {
+  const missingDirectory = new DirectoryDeployer(rootPath, {});
+  const siteParent = new DirectoryDeployer(rootPath, { directory: '..' });
+  const insideOutput = new DirectoryDeployer(rootPath, { directory: '_site/deploy' });
+
+  await expect(missingDirectory.deploy(outputPath, {}))
+    .rejects.toThrow('The directory to deploy to is not specified in the deploy section of the site config.');
+  await expect(siteParent.deploy(outputPath, {}))
+    .rejects.toThrow(`The site cannot be deployed to ${tempPath}`);
+  await expect(insideOutput.deploy(outputPath, {})).rejects.toThrow('as it contains, or is inside');
+  expect(fs.existsSync(resolveTempPath('site/_site/index.html'))).toBe(true);
+});
+
+test('GitLabPagesDeployer copies the site to the public directory', async () => {
+  const deployer = new GitLabPagesDeployer(rootPath, {});
+
+  const url = await deployer.deploy(outputPath, { repo: 'git@gitlab.com:MyGroup/docs/site.git' });
+
+  expect(url).toEqual('https://mygroup.gitlab.io/docs/site');
+  expect(fs.readdirSync(resolveTempPath('site/public')).sort()).toEqual(['about', 'index.html']);
+});
+
+test('GitLabPagesDeployer constructs the url of gitlab.com projects', () => {
+  expect(GitLabPagesDeployer.constructGitLabPagesUrl('https://gitlab.com/user/project.git'))
+    .toEqual('https://user.gitlab.io/project');
+  expect(GitLabPagesDeployer.constructGitLabPagesUrl('https://gitlab.example.com/user/project.git'))
+    .toBeNull();
+  expect(GitLabPagesDeployer.constructGitLabPagesUrl(undefined)).toBeNull();
+});
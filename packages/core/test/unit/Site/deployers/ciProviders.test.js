@@ -0,0 +1,65 @@
+const { detectCiProvider } = require('../../../../src/Site/deployers/ciProviders');
+
+test.each([
+  [
+    { GITLAB_CI: 'true', CI_PROJECT_PATH: 'group/subgroup/site' },
+    'GitLab CI', 'group/subgroup/site', 'https://gitlab.com/group/subgroup/site.git', 'oauth2',
+  ],
+  [
+    {
+      TF_BUILD: 'True',
+      BUILD_REPOSITORY_NAME: 'site',
+      BUILD_REPOSITORY_URI: 'https://org@dev.azure.com/org/project/_git/site',
+    },
+    'Azure Pipelines', 'site', 'https://org@dev.azure.com/org/project/_git/site', 'x-access-token',
+  ],
+  [
+    { BITBUCKET_BUILD_NUMBER: '12', BITBUCKET_REPO_FULL_NAME: 'team/site' },
+    'Bitbucket Pipelines', 'team/site', 'https://bitbucket.org/team/site.git', 'x-token-auth',
+  ],
+  [
+    { JENKINS_URL: 'https://jenkins.example.com/', GIT_URL: 'git@git.example.com:team/site.git' },
+    'Jenkins', 'team/site', 'git@git.example.com:team/site.git', 'x-access-token',
+  ],
+  [
+    { DRONE: 'true', DRONE_REPO: 'team/site', DRONE_GIT_HTTP_URL: 'https://gitea.example.com/team/site.git' },
+    'Drone', 'team/site', 'https://gitea.example.com/team/site.git', 'x-access-token',
+  ],
+  [
+    { MARKBIND_DEPLOY_REPO: 'https://git.example.com/team/site.git' },
+    'MARKBIND_DEPLOY_REPO', 'team/site', 'https://git.example.com/team/site.git', 'x-access-token',
+  ],
+])('detectCiProvider resolves the repo and token scheme of the CI environment',
+   (env, name, repoSlug, repoUrl, tokenUsername) => {
+     expect(detectCiProvider(env)).toEqual(expect.objectContaining({
+       name,
+       repoSlug,
+       repoUrl,
+       tokenUsername,
+     }));
+   });
+
+test('detectCiProvider uses the bot identity and token scheme in the environment variables', () => {
+  const env = {
+    GITLAB_CI: 'true',
+    CI_PROJECT_PATH: 'group/site',
+    MARKBIND_DEPLOY_USER: 'Docs Bot <docs-bot@example.com>',
+    MARKBIND_DEPLOY_TOKEN_USERNAME: 'project_123_bot',
+  };
+
+  expect(detectCiProvider(env)).toEqual({
+    name: 'GitLab CI',
+    repoSlug: 'group/site',
+    repoUrl: 'https://gitlab.com/group/site.git',
+    user: { name: 'Docs Bot', email: 'docs-bot@example.com' },
+    tokenUsername: 'project_123_bot',
+  });
+  expect(() => detectCiProvider({ ...env, MARKBIND_DEPLOY_USER: 'Docs Bot' }))
+    .toThrow('MARKBIND_DEPLOY_USER should be in the format "name <email>", but is "Docs Bot".');
+});
+
+test('detectCiProvider returns null outside CI environments', () => {
+  const env = { CI: 'true', MARKBIND_DEPLOY_USER: 'Docs Bot <docs-bot@example.com>' };
+
+  expect(detectCiProvider(env)).toBeNull();
+});
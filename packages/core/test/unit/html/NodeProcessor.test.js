@@ -1,9 +1,10 @@
 const path = require('path');
 const cheerio = require('cheerio');
 const htmlparser = require('htmlparser2');
-const { getNewDefaultNodeProcessor } = require('../utils/utils');
+const { getNewDefaultNodeProcessor, getNewNodeProcessor } = require('../utils/utils');
 const testData = require('./NodeProcessor.data');
 const { Context } = require('../../../src/html/Context');
+const { createMarkdownIt } = require('../../../src/lib/markdown-it');
 const { shiftSlotNodeDeeper, transformOldSlotSyntax } = require('../../../src/html/vueSlotSyntaxProcessor');
 
 /**
@@ -158,6 +159,43 @@ test('renderFile converts markdown headers to <h1> with an id', async () => {
   expect(result).toEqual(expected);
 });
 
+test('process transforms the code blocks in a <code-group> into labelled tabs', async () => {
+  const nodeProcessor = getNewDefaultNodeProcessor();
+  const content = [
+    '<code-group>',
+    '',
+    '```java',
+    'int a;',
+    '```',
+    '',
+    '```py {title="Python 3" heading="Example"}',
+    'a = 1',
+    '```',
+    '',
+    '```unknown',
+    'a',
+    '```',
+    '',
+    '</code-group>',
+  ].join('\n');
+
+  const result = await nodeProcessor.process('index.md', content);
+
+  const expected = [
+    '<code-group>\n',
+    '<tab><template #header>Java</template><pre><code class="hljs java" v-pre>'
+    + '<span><span class="hljs-keyword">int</span> a;\n</span></code></pre></tab>',
+    '<tab><template #header>Python 3</template><div class="code-block">'
+    + '<div class="code-block-heading"><span>Example</span></div><div class="code-block-content">'
+    + '<pre><code heading="Example" class="hljs py" v-pre>'
+    + '<span>a = <span class="hljs-number">1</span>\n</span></code></pre></div></div></tab>',
+    '<tab><template #header>Code</template><pre><code class="hljs" v-pre><span>a\n</span></code></pre></tab>',
+    '</code-group>',
+  ].join('');
+
+  expect(result).toEqual(expected);
+});
+
 test('deprecated vue slot syntax should be converted to updated Vue slot shorthand syntax', async () => {
   // slot="test" converted to #test
   const test = '<panel><div slot="header">test</div><p slot="test">test2</p></panel>';
@@ -182,3 +220,39 @@ test('slot nodes which have tag names other than "template" are shifted one leve
 
   expect(cheerio.html(testNode)).toEqual(expected);
 });
+
+test('process waits for asynchronous plugin processNode hooks before rendering the nodes', async () => {
+  const mockPluginManager = {
+    markdownIt: createMarkdownIt(),
+    processNode: async (node) => {
+      if (node.name !== 'async-tag') {
+        return;
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      node.name = 'div';
+      node.attribs.processed = '';
+    },
+  };
+  const nodeProcessor = getNewNodeProcessor(mockPluginManager);
+
+  const result = await nodeProcessor.process('test.html', '<async-tag><async-tag></async-tag></async-tag>');
+
+  expect(result).toEqual('<div processed><div processed></div></div>');
+});
+
+test('process converts links resolved by plugins', async () => {
+  const mockPluginManager = {
+    markdownIt: createMarkdownIt(),
+    processNode: jest.fn(),
+    resolveLink: async link => (link.startsWith('issue:')
+      ? `https://github.com/MarkBind/markbind/issues/${link.substring('issue:'.length)}`
+      : undefined),
+  };
+  const nodeProcessor = getNewNodeProcessor(mockPluginManager);
+
+  const result = await nodeProcessor.process('test.html',
+                                             '<a href="issue:123">Issue</a><a href="page.md">Page</a>');
+
+  expect(result).toEqual('<a href="https://github.com/MarkBind/markbind/issues/123">Issue</a>'
+    + '<a href="/page.html">Page</a>');
+});
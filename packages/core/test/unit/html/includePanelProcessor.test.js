@@ -399,3 +399,126 @@ test('process include with omitFrontmatter should discard included frontmatter d
   expect(result).toEqual(expectedHtml);
   expect(nodeProcessor.frontMatter).toEqual(expectedFrontMatter);
 });
+
+const JAVA_SOURCE = [
+  'package seedu;',
+  '',
+  'public class Greeter {',
+  '    // region: fields',
+  '    private String name;',
+  '    // endregion: fields',
+  '',
+  '    /** Greets the user. */',
+  '    @Override',
+  '    public String greet() {',
+  '        if (name == null) {',
+  '            return "Hi";',
+  '        }',
+  '        return "Hi " + name;',
+  '    }',
+  '}',
+  '',
+].join('\n');
+
+async function processCodeInclude(includeAttributes) {
+  const indexPath = path.resolve('index.md');
+  const index = `<include src="Greeter.java" ${includeAttributes}/>\n`;
+  fs.vol.fromJSON({
+    'index.md': index,
+    'Greeter.java': JAVA_SOURCE,
+  }, '');
+
+  const nodeProcessor = getNewDefaultNodeProcessor();
+  const result = await nodeProcessor.process(indexPath, index);
+  return { nodeProcessor, result };
+}
+
+test('includeFile replaces <include src="file.java" lines="..."> with a code block', async () => {
+  const { nodeProcessor, result } = await processCodeInclude('lines="3-5" highlight-lines="5"');
+
+  expect(result).toEqual('<div><pre><code style="counter-reset: line 2;" class="hljs java" v-pre>'
+    + '<span><span class="hljs-keyword">public</span> <span class="hljs-class">'
+    + '<span class="hljs-keyword">class</span> <span class="hljs-title">Greeter</span> </span>{\n</span>'
+    + '<span>    <span class="hljs-comment">// region: fields</span>\n</span>'
+    + '<span>    <span class="highlighted">'
+    + '<span class="hljs-keyword">private</span> String name;</span>\n</span>'
+    + '</code></pre></div>');
+  expect(nodeProcessor.pageSources.staticIncludeSrc).toContainEqual({
+    from: path.resolve('index.md'),
+    to: path.resolve('Greeter.java'),
+  });
+});
+
+test('includeFile escapes the code block attributes of the include in the fence', async () => {
+  const { result } = await processCodeInclude('lines="3-3" heading=\'The "Greeter" {class}\' '
+    + 'highlight-lines="/\\{$/"');
+
+  expect(result).toEqual('<div><div class="code-block">'
+    + '<div class="code-block-heading inline-markdown-heading">'
+    + '<span>The &quot;Greeter&quot; {class}</span></div><div class="code-block-content">'
+    + '<pre><code heading="The &quot;Greeter&quot; {class}" style="counter-reset: line 2;" '
+    + 'class="hljs java" v-pre>'
+    + '<span><span class="hljs-keyword">public</span> <span class="hljs-class">'
+    + '<span class="hljs-keyword">class</span> <span class="hljs-title">Greeter</span> </span>'
+    + '<span><span class="highlighted">{</span>\n</span></span>'
+    + '</code></pre></div></div></div>');
+});
+
+test('includeFile includes the code between region markers, without the markers', async () => {
+  const { result } = await processCodeInclude('region="fields"');
+
+  expect(result).toEqual('<div><pre><code style="counter-reset: line 4;" class="hljs java" v-pre>'
+    + '<span><span class="hljs-keyword">private</span> String name;\n</span>'
+    + '</code></pre></div>');
+});
+
+test('includeFile keeps the indentation of the code if lines are highlighted', async () => {
+  const { result } = await processCodeInclude('region="fields" highlight-lines="5[:]"');
+
+  expect(result).toEqual('<div><pre><code style="counter-reset: line 4;" class="hljs java" v-pre>'
+    + '<span class="highlighted">    <span class="hljs-keyword">private</span> String name;\n</span>'
+    + '</code></pre></div>');
+});
+
+test('includeFile includes the declaration of a symbol with its doc comment and annotations', async () => {
+  const { result } = await processCodeInclude('symbol="greet" lang="text"');
+
+  expect(result).toEqual('<div><pre><code style="counter-reset: line 7;" class="hljs text" v-pre>'
+    + '<span>/** Greets the user. */\n</span>'
+    + '<span>@Override\n</span>'
+    + '<span>public String greet() {\n</span>'
+    + '<span>    if (name == null) {\n</span>'
+    + '<span>        return &quot;Hi&quot;;\n</span>'
+    + '<span>    }\n</span>'
+    + '<span>    return &quot;Hi &quot; + name;\n</span>'
+    + '<span>}\n</span>'
+    + '</code></pre></div>');
+});
+
+test('includeFile includes a whole source file as code if its language is specified', async () => {
+  const { result } = await processCodeInclude('lang="java"');
+
+  expect(result).toContain('<code class="hljs java" v-pre>');
+  expect(result).toContain('<span class="hljs-title">Greeter</span>');
+});
+
+test('includeFile includes a source file as content if no part or language of it is specified', async () => {
+  const indexPath = path.resolve('index.md');
+  const index = '<include src="config.json" />\n';
+  fs.vol.fromJSON({
+    'index.md': index,
+    'config.json': '{ "name": "MarkBind" }',
+  }, '');
+
+  const nodeProcessor = getNewDefaultNodeProcessor();
+  const result = await nodeProcessor.process(indexPath, index);
+
+  expect(result).toEqual('<div>{ "name": "MarkBind" }</div>');
+});
+
+test('includeFile replaces <include> of a missing part of a source file with an error', async () => {
+  const { result } = await processCodeInclude('region="missing"');
+
+  expect(result).toEqual('<div style="color: red">No such region "missing".\n'
+    + `In the include of ${path.resolve('Greeter.java')} in ${path.resolve('index.md')}</div>`);
+});
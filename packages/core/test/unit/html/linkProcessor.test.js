@@ -1,6 +1,8 @@
 const cheerio = require('cheerio');
 const fs = require('fs-extra');
+const path = require('path');
 const linkProcessor = require('../../../src/html/linkProcessor');
+const { PluginManager } = require('../../../src/plugins/PluginManager');
 
 jest.mock('fs');
 
@@ -211,3 +213,77 @@ test('Test link for disabled intralink validation', () => {
 
   expect(linkProcessor.validateIntraLink(mockNode, mockCwf, mockConfig)).toEqual(EXPECTED_RESULT);
 });
+
+test.each([
+  // Page links, with and without url fragments
+  ['/index.html', { hash: '', pageSrc: 'index' }],
+  ['/userGuide/#heading', { hash: 'heading', pageSrc: 'userGuide/index' }],
+  ['/userGuide#heading', { hash: 'heading', pageSrc: 'userGuide/index' }],
+  // Links to the current page
+  ['#heading', { hash: 'heading' }],
+  // File asset links
+  ['/images/logo.png', { hash: '', filePath: path.join('./src', 'images/logo.png') }],
+  ['/devGuide/', { hash: '', filePath: path.join('./src', 'devGuide/index.html') }],
+  ['/rawFile', { hash: '', filePath: path.join('./src', 'rawFile') }],
+  // Invalid links
+  ['/missing.html', undefined],
+  ['/missingGuide/', undefined],
+  ['/css/missing.css', undefined],
+])('Test resolving intra-link %s', (resourcePath, expected) => {
+  expect(linkProcessor.resolveIntraLink(resourcePath, mockConfig)).toEqual(expected);
+});
+
+test('Test collecting intra-links', () => {
+  const intraLinks = [];
+  const mockLinks = [
+    '<a href="/index.html">Test</a>',
+    '<a href="https://markbind.org">Test</a>',
+    '<a href="/missing.html" no-validation>Test</a>',
+    '<include src="/missing.md"/>',
+    '<img src="/images/logo.png">',
+  ];
+  mockLinks.forEach(html => linkProcessor.collectIntraLink(cheerio.parseHTML(html)[0], mockCwf, intraLinks));
+
+  expect(intraLinks).toEqual([
+    { cwf: mockCwf, tagName: 'a', resourcePath: '/index.html' },
+    { cwf: mockCwf, tagName: 'img', resourcePath: '/images/logo.png' },
+  ]);
+});
+
+test('Test collecting external links', () => {
+  const externalLinks = [];
+  const mockLinks = [
+    '<a href="https://markbind.org/userGuide.html#section">Test</a>',
+    '<a href="https://markbind.org/userGuide.html">Test</a>',
+    '<img src="//markbind.org/images/logo.png">',
+    '<link rel="stylesheet" href="http://example.com/style.css">',
+    '<a href="https://example.com/unchecked" no-validation>Test</a>',
+    '<a href="mailto:test@example.com">Test</a>',
+    '<a href="/index.html">Test</a>',
+  ];
+  mockLinks.forEach(html => linkProcessor.collectExternalLink(cheerio.parseHTML(html)[0], externalLinks));
+
+  expect(externalLinks).toEqual([
+    'https://markbind.org/userGuide.html',
+    'https://markbind.org/images/logo.png',
+    'http://example.com/style.css',
+  ]);
+});
+
+test('Test converting, validating and collecting links in attributes registered by plugins', () => {
+  Object.assign(PluginManager.tagLinkAttributes, { 'video-embed': ['src', 'poster'] });
+  const mockNode = cheerio.parseHTML('<video-embed src="images/logo.png" poster="images/missing.png">')[0];
+  const intraLinks = [];
+
+  linkProcessor.convertRelativeLinks(mockNode, path.resolve('src/index.md'), path.resolve('src'), '/base');
+  linkProcessor.collectIntraLink(mockNode, mockCwf, intraLinks);
+
+  expect(linkProcessor.hasTagLink(mockNode)).toEqual(true);
+  expect(mockNode.attribs).toEqual({ src: '/base/images/logo.png', poster: '/base/images/missing.png' });
+  expect(linkProcessor.validateIntraLink(mockNode, mockCwf, { ...mockConfig, baseUrl: '/base' }))
+    .toEqual('Intralink is a valid File Asset\nIntralink is not a File Asset');
+  expect(intraLinks).toEqual([
+    { cwf: mockCwf, tagName: 'video-embed', resourcePath: '/base/images/logo.png' },
+    { cwf: mockCwf, tagName: 'video-embed', resourcePath: '/base/images/missing.png' },
+  ]);
+});
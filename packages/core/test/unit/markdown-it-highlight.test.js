@@ -0,0 +1,156 @@
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const markdownIt = require('../../src/lib/markdown-it').createMarkdownIt();
+const { highlightCodeBlock } = require('../../src/html/codeblockProcessor');
+const { registerHighlightLanguages } = require('../../src/lib/markdown-it/highlight/languages');
+
+function renderCodeBlock(attributes, lines) {
+  return markdownIt.render(['```', ` {${attributes}}`, '\n', lines.join('\n'), '\n```\n'].join(''));
+}
+
+test('highlight-lines highlights all matches of regex rules', () => {
+  const result = renderCodeBlock('highlight-lines="/null|a,b/"', [
+    'let x = null;',
+    'foo(a,b);',
+    'bar();',
+  ]);
+
+  expect(result).toEqual('<pre><code  class="hljs">'
+    + '<span hl-data=8-12>let x = null;\n</span>'
+    + '<span hl-data=4-7>foo(a,b);\n</span>'
+    + '<span>bar();\n</span>'
+    + '</code></pre>');
+});
+
+test('highlight-lines applies the highlight styles of rules', () => {
+  const result = renderCodeBlock('highlight-lines="1@add,2[:]@remove,/c/i@emphasis,3"', [
+    'a',
+    'b',
+    'C',
+    'd',
+  ]);
+
+  expect(result).toEqual('<pre><code  class="hljs">'
+    + '<span><span class="highlighted highlighted-add">a</span>\n</span>'
+    + '<span class="highlighted highlighted-remove">b\n</span>'
+    + '<span hl-data=0-1 hl-style=emphasis>C\n</span>'
+    + '<span>d\n</span>'
+    + '</code></pre>');
+});
+
+test('highlight-lines discards rules with unknown highlight styles or invalid regexes', () => {
+  const result = renderCodeBlock('highlight-lines="1@bold,/(/,/[a/"', ['a']);
+
+  expect(result).toEqual('<pre><code  class="hljs"><span>a\n</span></code></pre>');
+});
+
+test('highlightCodeBlock applies the highlight style of partial highlights', () => {
+  const $ = cheerio.load(renderCodeBlock('highlight-lines="/null/@remove"', ['let x = null;']));
+  highlightCodeBlock($('pre')[0]);
+
+  expect($('code').html()).toEqual('<span>'
+    + '<span>let x = <span class="highlighted highlighted-remove">null</span>;\n</span>'
+    + '</span>');
+});
+
+test('diff code blocks highlight added and removed lines and strip their markers', () => {
+  const result = renderCodeBlock('diff highlight-lines="3@emphasis"', [
+    ' unchanged',
+    '-removed',
+    '+added',
+    '+  indented',
+  ]);
+
+  expect(result).toEqual('<pre><code  class="hljs">'
+    + '<span>unchanged\n</span>'
+    + '<span class="highlighted highlighted-remove">removed\n</span>'
+    + '<span><span class="highlighted highlighted-emphasis">added</span>\n</span>'
+    + '<span class="highlighted highlighted-add">  indented\n</span>'
+    + '</code></pre>');
+});
+
+test('diff code blocks keep the leading spaces of unchanged lines not in the unified diff format', () => {
+  const result = renderCodeBlock('diff', [
+    'if (a) {',
+    '-  b();',
+    '+  c();',
+    '}',
+  ]);
+
+  expect(result).toEqual('<pre><code  class="hljs">'
+    + '<span>if (a) {\n</span>'
+    + '<span class="highlighted highlighted-remove">  b();\n</span>'
+    + '<span class="highlighted highlighted-add">  c();\n</span>'
+    + '<span>}\n</span>'
+    + '</code></pre>');
+});
+
+test('callouts code blocks replace callout markers with badges explained by the list after them', () => {
+  const source = [
+    '```java {callouts}',
+    'int a = 1; // <1>',
+    'int b = 2; /* <2> <3> */',
+    'int c = 3; // not a marker',
+    '```',
+    '1. Declares **a**',
+    '2. Declares `b`',
+    '',
+  ].join('\n');
+
+  expect(markdownIt.render(source)).toEqual('<pre><code  class="hljs java">'
+    + '<span><span class="hljs-keyword">int</span> a = <span class="hljs-number">1</span>;'
+    + '<span class="code-callout" data-callout="1" title="Declares a"></span>\n</span>'
+    + '<span><span class="hljs-keyword">int</span> b = <span class="hljs-number">2</span>;'
+    + '<span class="code-callout" data-callout="2" title="Declares b"></span>'
+    + '<span class="code-callout" data-callout="3"></span>\n</span>'
+    + '<span><span class="hljs-keyword">int</span> c = <span class="hljs-number">3</span>; '
+    + '<span class="hljs-comment">// not a marker</span>\n</span>'
+    + '</code></pre>'
+    + '<ol class="code-callouts">\n'
+    + '<li data-callout="1">Declares <strong>a</strong></li>\n'
+    + '<li data-callout="2">Declares <code class="hljs inline no-lang">b</code></li>\n'
+    + '</ol>\n');
+});
+
+test('callouts code blocks apply highlight-lines to the code without the callout markers', () => {
+  const $ = cheerio.load(renderCodeBlock('callouts highlight-lines="/b # <1>|a/"', [
+    'a  # <1>',
+    '<p>b</p> <!-- <2> -->',
+  ]));
+  highlightCodeBlock($('pre')[0]);
+
+  expect($('code').html()).toEqual('<span>'
+    + '<span class="highlighted">a</span><span class="code-callout" data-callout="1"></span>\n'
+    + '</span>'
+    + '<span>&lt;p&gt;b&lt;/p&gt;<span class="code-callout" data-callout="2"></span>\n</span>');
+});
+
+test('code blocks collect the languages not known to highlight.js in the render env', () => {
+  const env = { unknownLanguages: [] };
+  markdownIt.render('```java\na\n```\n```mydsl\na\n```\n```\na\n```\n```mydsl\nb\n```\n', env);
+
+  expect(env.unknownLanguages).toEqual(['mydsl']);
+});
+
+test('registerHighlightLanguages registers the languages in files of the site and language aliases', () => {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'markbind-highlight-'));
+  fs.outputFileSync(path.join(rootPath, '_markbind/languages/turtle.js'),
+                    "module.exports = () => ({ keywords: { keyword: 'forward turn' } });");
+
+  try {
+    registerHighlightLanguages(rootPath, {
+      languages: { turtle: '_markbind/languages/turtle.js' },
+      aliases: { jshell: 'java', logo: 'turtle' },
+    });
+  } finally {
+    fs.removeSync(rootPath);
+  }
+
+  expect(markdownIt.render('```logo\nforward 10\n```\n')).toEqual('<pre><code  class="hljs logo">'
+    + '<span><span class="hljs-keyword">forward</span> 10\n</span></code></pre>');
+  expect(markdownIt.render('```jshell\nint a;\n```\n')).toEqual('<pre><code  class="hljs jshell">'
+    + '<span><span class="hljs-keyword">int</span> a;\n</span></code></pre>');
+});
@@ -0,0 +1,170 @@
+const path = require('path');
+const { createMarkdownIt } = require('../../../src/lib/markdown-it');
+const { Plugin } = require('../../../src/plugins/Plugin');
+const { PluginManager } = require('../../../src/plugins/PluginManager');
+const { createPageModel, createSiteModel } = require('../../../src/plugins/SiteModel');
+
+const ROOT_PATH = path.resolve('');
+
+function getMockPlugin(pluginName, hooks) {
+  return {
+    pluginName,
+    executeBeforeSiteGenerate: hooks.beforeSiteGenerate || jest.fn(),
+    executeAfterSiteGenerate: hooks.afterSiteGenerate || jest.fn(),
+    postRender: hooks.postRender || ((frontMatter, content) => content),
+  };
+}
+
+function getPluginManager(plugins) {
+  const config = {
+    baseUrl: '',
+    rootPath: ROOT_PATH,
+    outputPath: path.join(ROOT_PATH, '_site'),
+  };
+  const pluginManager = new PluginManager(config, [], {});
+  pluginManager.plugins = plugins;
+  return pluginManager;
+}
+
+const mockPage = {
+  pageConfig: {
+    baseUrl: '/base',
+    src: 'guide/index.md',
+    sourcePath: path.join(ROOT_PATH, 'guide/index.md'),
+    resultPath: path.join(ROOT_PATH, '_site/guide/index.html'),
+  },
+  title: 'Guide',
+  frontMatter: { tags: ['a'] },
+  headings: { introduction: 'Introduction' },
+  keywords: {},
+};
+
+test('PluginManager runs the remaining plugins when a plugin fails in a lifecycle hook', async () => {
+  const afterSiteGenerate = jest.fn();
+  const pluginManager = getPluginManager({
+    failing: getMockPlugin('failing', {
+      beforeSiteGenerate: () => { throw new Error('Failed'); },
+      afterSiteGenerate: jest.fn().mockRejectedValue(new Error('Failed')),
+    }),
+    working: getMockPlugin('working', { afterSiteGenerate }),
+  });
+
+  expect(() => pluginManager.beforeSiteGenerate()).not.toThrow();
+  await expect(pluginManager.afterSiteGenerate({ pages: [] })).resolves.toBeUndefined();
+  expect(afterSiteGenerate).toHaveBeenCalledWith({ pages: [] });
+});
+
+test('PluginManager passes the content resolved by each postRender hook to the next', async () => {
+  const pluginManager = getPluginManager({
+    first: getMockPlugin('first', {
+      postRender: async (frontMatter, content) => `${content} first`,
+    }),
+    second: getMockPlugin('second', {
+      postRender: (frontMatter, content) => `${content} second`,
+    }),
+  });
+
+  await expect(pluginManager.postRender({}, 'content')).resolves.toEqual('content first second');
+});
+
+function getPlugin(pluginModule, pluginOptions) {
+  const plugin = Object.create(Plugin.prototype);
+  plugin.pluginName = 'testPlugin';
+  plugin.plugin = pluginModule;
+  plugin.pluginOptions = pluginOptions;
+  return plugin;
+}
+
+test('Plugin adds its markdown-it plugins and extensions to the markdown-it instance', () => {
+  const markdownIt = createMarkdownIt();
+  const addHrClass = (md, className) => {
+    md.renderer.rules.hr = () => `<hr class="${className}">\n`;
+  };
+  const addEmRule = (md) => {
+    md.renderer.rules.em_open = (tokens, idx) => `<em class="${tokens[idx].markup === '*' ? 'custom' : ''}">`;
+  };
+  const plugin = getPlugin({
+    markdownItPlugins: [[addHrClass, 'divider'], addEmRule],
+    extendMarkdown: (pluginContext, md) => {
+      md.renderer.rules.strong_open = () => `<strong class="${pluginContext.strongClass}">`;
+    },
+  }, { strongClass: 'bold' });
+
+  plugin.extendMarkdown(markdownIt);
+
+  expect(markdownIt.render('---')).toEqual('<hr class="divider">\n');
+  expect(markdownIt.renderInline('*a* **b**'))
+    .toEqual('<em class="custom">a</em> <strong class="bold">b</strong>');
+  expect(createMarkdownIt().render('---')).toEqual('<hr>\n');
+});
+
+test('PluginManager skips plugins whose markdown extensions fail to be added', () => {
+  const pluginManager = getPluginManager({
+    failing: getPlugin({ extendMarkdown: () => { throw new Error('Failed'); } }),
+  });
+
+  expect(() => pluginManager._collectPluginMarkdownExtensions()).not.toThrow();
+  expect(pluginManager.markdownIt.render('**a**')).toEqual('<p><strong>a</strong></p>\n');
+});
+
+test('PluginManager resolves links with the first plugin that resolves them', async () => {
+  const pluginManager = getPluginManager({
+    issues: getPlugin({
+      resolveLink: (pluginContext, link) => (link.startsWith('issue:')
+        ? `${pluginContext.repoUrl}/issues/${link.substring('issue:'.length)}`
+        : undefined),
+    }, { repoUrl: 'https://github.com/MarkBind/markbind' }),
+    pages: getPlugin({
+      resolveLink: async (pluginContext, link, { config }) => `${config.baseUrl}/${link}`,
+    }),
+  });
+
+  await expect(pluginManager.resolveLink('issue:123', { tagName: 'a', attribute: 'href' }))
+    .resolves.toEqual('https://github.com/MarkBind/markbind/issues/123');
+  await expect(pluginManager.resolveLink('page.html', { tagName: 'a', attribute: 'href' }))
+    .resolves.toEqual('/page.html');
+});
+
+test('PluginManager collects the link attributes registered by plugins', () => {
+  const pluginManager = getPluginManager({
+    first: getPlugin({ linkAttributes: { 'VIDEO-EMBED': 'src', download: ['href'] } }),
+    second: getPlugin({ linkAttributes: { 'video-embed': ['src', 'poster'] } }),
+  });
+
+  pluginManager._collectPluginLinkAttributes();
+
+  expect(PluginManager.tagLinkAttributes).toEqual({
+    'video-embed': ['src', 'poster'],
+    download: ['href'],
+  });
+});
+
+test('createPageModel creates a read-only copy of the page', () => {
+  const pageModel = createPageModel(mockPage);
+
+  expect(pageModel).toEqual({
+    src: 'guide/index.md',
+    sourcePath: mockPage.pageConfig.sourcePath,
+    outputPath: mockPage.pageConfig.resultPath,
+    url: '/base/guide/index.html',
+    title: 'Guide',
+    frontMatter: { tags: ['a'] },
+    headings: { introduction: 'Introduction' },
+    keywords: {},
+  });
+  expect(Object.isFrozen(pageModel.frontMatter.tags)).toEqual(true);
+  expect(Object.isFrozen(mockPage.frontMatter)).toEqual(false);
+});
+
+test('createSiteModel includes the models of all pages', () => {
+  const siteModel = createSiteModel({
+    rootPath: ROOT_PATH,
+    outputPath: path.join(ROOT_PATH, '_site'),
+    siteConfig: { baseUrl: '/base' },
+    pages: [mockPage],
+  });
+
+  expect(siteModel.baseUrl).toEqual('/base');
+  expect(siteModel.pages).toEqual([createPageModel(mockPage)]);
+  expect(Object.isFrozen(siteModel.pages)).toEqual(true);
+});
@@ -0,0 +1,42 @@
+const cheerio = require('cheerio');
+const { createMarkdownIt } = require('../../../src/lib/markdown-it');
+const codeBlockRunButtons = require('../../../src/plugins/codeBlockRunButtons');
+
+function renderAndProcess(markdown) {
+  const markdownIt = createMarkdownIt();
+  codeBlockRunButtons.extendMarkdown({}, markdownIt);
+  const nodes = cheerio.parseHTML(markdownIt.render(markdown));
+  nodes.forEach(node => codeBlockRunButtons.processNode({}, node));
+  return cheerio.load(cheerio.html(nodes));
+}
+
+test('codeBlockRunButtons makes runnable code blocks editable, with run buttons and an output area', () => {
+  const $ = renderAndProcess([
+    '```js {runnable}',
+    'console.log(1);',
+    '```',
+    '',
+    '```js',
+    'a',
+    '```',
+    '',
+  ].join('\n'));
+
+  const [runnablePre, pre] = $('pre').toArray().map(element => $(element));
+  expect(runnablePre.children('code').attr()).toEqual(expect.objectContaining({
+    runnable: 'js',
+    contenteditable: 'plaintext-only',
+    onfocus: 'saveCodeBlock(this)',
+  }));
+  expect(runnablePre.find('.code-run-buttons button').map((i, button) => $(button).attr('onclick')).get())
+    .toEqual(['runCodeBlock(this)', 'resetCodeBlock(this)']);
+  expect(runnablePre.children('.code-output')).toHaveLength(1);
+  expect(pre.children('code').attr('contenteditable')).toBeUndefined();
+  expect(pre.find('button')).toHaveLength(0);
+});
+
+test('codeBlockRunButtons keeps the runner language specified in the runnable attribute', () => {
+  const $ = renderAndProcess(['```py {runnable="python"}', 'print(1)', '```', ''].join('\n'));
+
+  expect($('code').attr('runnable')).toEqual('python');
+});
@@ -1,5 +1,6 @@
 const path = require('path');
 
+const { createMarkdownIt } = require('../../../src/lib/markdown-it');
 const { PageSources } = require('../../../src/Page/PageSources');
 const { NodeProcessor } = require('../../../src/html/NodeProcessor');
 const { PluginManager } = require('../../../src/plugins/PluginManager');
@@ -28,7 +29,10 @@ function getNewPluginManager(plugins, pluginsContext) {
     addressablePagesSource: [],
   };
 
-  return new PluginManager(fileConfig, plugins, pluginsContext);
+  const pluginManager = new PluginManager(fileConfig, plugins, pluginsContext);
+  // PluginManager is mocked, hence its markdown-it instance needs to be created here
+  pluginManager.markdownIt = createMarkdownIt();
+  return pluginManager;
 }
 
 function getNewNodeProcessor(pluginManager) {
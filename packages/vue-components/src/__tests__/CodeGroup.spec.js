@@ -0,0 +1,69 @@
+import { mount } from '@vue/test-utils';
+import CodeGroup from '../CodeGroup.vue';
+import Tab from '../Tab.vue';
+
+const CODE_GROUP = `
+<code-group>
+  <tab><template #header>Java</template><pre>int a;</pre></tab>
+  <tab><template #header>Python</template><pre>a = 1</pre></tab>
+</code-group>
+`;
+
+const CODE_GROUP_WITHOUT_PYTHON = `
+<code-group>
+  <tab><template #header>Java</template><pre>int b;</pre></tab>
+  <tab><template #header>JavaScript</template><pre>let b;</pre></tab>
+</code-group>
+`;
+
+function mountCodeGroups(...codeGroups) {
+  return mount({
+    template: `<div>${codeGroups.join('')}</div>`,
+    components: {
+      codeGroup: CodeGroup,
+      tab: Tab,
+    },
+  });
+}
+
+function getShownCode(codeGroupWrapper) {
+  const shownTab = codeGroupWrapper.findAll('.tab-pane').filter(tab => tab.isVisible()).at(0);
+  return shownTab.find('pre').text();
+}
+
+describe('CodeGroup', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.scrollBy = jest.fn();
+  });
+
+  test('shows the first tab by default', async () => {
+    const wrapper = mountCodeGroups(CODE_GROUP);
+    await wrapper.vm.$nextTick();
+
+    expect(getShownCode(wrapper)).toEqual('int a;');
+    expect(wrapper.find('.code-group').exists()).toBe(true);
+  });
+
+  test('selecting a tab selects the tab with the same label in all code groups', async () => {
+    const wrapper = mountCodeGroups(CODE_GROUP, CODE_GROUP, CODE_GROUP_WITHOUT_PYTHON);
+    await wrapper.vm.$nextTick();
+    const codeGroups = wrapper.findAllComponents(CodeGroup);
+
+    await codeGroups.at(0).findAll('ul.nav .nav-link').at(1).trigger('click');
+
+    expect(getShownCode(codeGroups.at(0))).toEqual('a = 1');
+    expect(getShownCode(codeGroups.at(1))).toEqual('a = 1');
+    expect(getShownCode(codeGroups.at(2))).toEqual('int b;');
+    expect(window.localStorage.getItem('markbind-code-group')).toEqual('Python');
+  });
+
+  test('shows the tab selected in previous pages', async () => {
+    window.localStorage.setItem('markbind-code-group', 'Python');
+
+    const wrapper = mountCodeGroups(CODE_GROUP);
+    await wrapper.vm.$nextTick();
+
+    expect(getShownCode(wrapper)).toEqual('a = 1');
+  });
+});
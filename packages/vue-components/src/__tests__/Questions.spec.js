@@ -433,3 +433,38 @@ describe('Typeless Questions', () => {
     expect(wrapper.element).toMatchSnapshot();
   });
 });
+
+describe('Persisted Questions', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  function mountPersistedQuestion() {
+    return mount(Question, {
+      attrs: { id: 'question1' },
+      propsData: { type: 'checkbox', persist: true },
+      slots: {
+        default: [
+          '<q-option correct>opt 1 - correct</q-option>',
+          '<q-option>opt 2 - incorrect</q-option>',
+        ],
+      },
+      provide: DEFAULT_INJECTIONS,
+      stubs: DEFAULT_STUBS,
+    });
+  }
+
+  test('restore their answers and state', async () => {
+    const wrapper = mountPersistedQuestion();
+    await wrapper.findAllComponents(QOption).at(0).find('div').trigger('click');
+    await wrapper.find('button.btn-primary').trigger('click');
+    wrapper.destroy();
+
+    const restoredWrapper = mountPersistedQuestion();
+    await restoredWrapper.vm.$nextTick();
+
+    expect(restoredWrapper.vm.qState).toEqual({ state: 2, answered: true });
+    expect(restoredWrapper.findAllComponents(QOption).wrappers.map(option => option.vm.selected))
+      .toEqual([true, false]);
+  });
+});
@@ -2,6 +2,7 @@ import { mount } from '@vue/test-utils';
 import Quiz from '../questions/Quiz.vue';
 import Question from '../questions/Question.vue';
 import QOption from '../questions/QOption.vue';
+import QuizSummary from '../questions/QuizSummary.vue';
 
 /*
  Key states:
@@ -180,3 +181,104 @@ describe('Quizzes', () => {
     expect(wrapper.element).toMatchSnapshot();
   });
 });
+
+describe('Quiz progress', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  function mountPersistedQuiz() {
+    return mount(Quiz, {
+      attrs: { id: 'quiz1' },
+      propsData: { persist: true },
+      slots: {
+        default: [MCQ_QUESTION, TEXT_QUESTION],
+      },
+      stubs: DEFAULT_STUBS,
+    });
+  }
+
+  async function answerMcqQuestionCorrectly(wrapper) {
+    await wrapper.findAllComponents(QOption).at(0).find('div').trigger('click');
+    await wrapper.findComponent(Question).find('button.btn-primary').trigger('click');
+    await wrapper.find('button.btn-primary').trigger('click');
+  }
+
+  test('persisted quiz restores the current question and answers', async () => {
+    const wrapper = mountPersistedQuiz();
+    await wrapper.find('button').trigger('click');
+    await answerMcqQuestionCorrectly(wrapper);
+    await wrapper.find('textarea').setValue('lorem');
+    wrapper.destroy();
+
+    const restoredWrapper = mountPersistedQuiz();
+    await restoredWrapper.vm.$nextTick();
+
+    expect(restoredWrapper.vm.currentQuestion).toEqual(2);
+    expect(restoredWrapper.find('textarea').element.value).toEqual('lorem');
+    expect(restoredWrapper.findAllComponents(Question).at(0).vm.qState).toEqual({ state: 2, answered: true });
+  });
+
+  test('persisted quiz keeps past attempts until its progress is reset', async () => {
+    const wrapper = mountPersistedQuiz();
+    await wrapper.find('button').trigger('click');
+    await answerMcqQuestionCorrectly(wrapper);
+    await wrapper.find('textarea').setValue('lorem');
+    await wrapper.find('button.btn-primary').trigger('click');
+    await wrapper.find('button.btn-primary').trigger('click');
+    wrapper.destroy();
+
+    const restoredWrapper = mountPersistedQuiz();
+    await restoredWrapper.vm.$nextTick();
+
+    expect(restoredWrapper.find('text.score').text()).toEqual('1 / 2');
+    expect(restoredWrapper.vm.attempts).toEqual([expect.objectContaining({ score: 1, total: 2 })]);
+
+    await restoredWrapper.find('button.btn-link').trigger('click');
+
+    expect(restoredWrapper.vm.attempts).toEqual([]);
+    expect(restoredWrapper.find('h5').text()).toEqual('2 questions');
+    expect(window.localStorage.length).toEqual(0);
+  });
+
+  test('completed quiz dispatches its results in a window event', async () => {
+    const listener = jest.fn();
+    window.addEventListener('markbind:quiz-complete', listener);
+    const wrapper = mount(Quiz, {
+      slots: {
+        default: MCQ_QUESTION,
+      },
+      stubs: DEFAULT_STUBS,
+    });
+
+    await wrapper.find('button').trigger('click');
+    await answerMcqQuestionCorrectly(wrapper);
+    window.removeEventListener('markbind:quiz-complete', listener);
+
+    expect(listener.mock.calls[0][0].detail).toEqual({
+      page: window.location.pathname,
+      quiz: null,
+      score: 1,
+      total: 1,
+      questions: [{ id: '1', correct: true }],
+    });
+    expect(window.localStorage.length).toEqual(0);
+  });
+
+  test('quiz summary lists the completed quizzes of the page', async () => {
+    const summaryWrapper = mount(QuizSummary);
+    await summaryWrapper.vm.$nextTick();
+    expect(summaryWrapper.text()).toEqual('No quizzes completed yet.');
+
+    const wrapper = mountPersistedQuiz();
+    await wrapper.find('button').trigger('click');
+    await answerMcqQuestionCorrectly(wrapper);
+    await wrapper.find('textarea').setValue('abc');
+    await wrapper.find('button.btn-primary').trigger('click');
+    await wrapper.find('button.btn-primary').trigger('click');
+    await summaryWrapper.vm.$nextTick();
+
+    expect(summaryWrapper.findAll('tbody td').wrappers.map(td => td.text()))
+      .toEqual(['quiz1', '1', '2 / 2', '2 / 2']);
+  });
+});
@@ -0,0 +1,141 @@
+import { mount } from '@vue/test-utils';
+import SearchModal from '../SearchModal.vue';
+import { FullTextSearch } from '../utils/fullTextSearch';
+
+jest.mock('../utils/fullTextSearch', () => ({
+  ...jest.requireActual('../utils/fullTextSearch'),
+  FullTextSearch: jest.fn(),
+}));
+
+const RESULTS = [
+  {
+    doc: 2, src: 'npm.md', title: 'About npm', id: '', heading: '', score: 3,
+  },
+  {
+    doc: 1, src: 'install.md', title: 'Installation', id: 'using-npm', heading: 'Using npm', score: 2,
+  },
+];
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve));
+}
+
+function mountSearchModal(propsData) {
+  return mount(SearchModal, {
+    propsData: { indexUrl: '/markbind/search/index.json', ...propsData },
+    attachTo: document.body,
+    stubs: {
+      BModal: {
+        render(h) {
+          return h('div', [this.$slots['modal-header'], this.$slots.default]);
+        },
+      },
+    },
+  });
+}
+
+describe('SearchModal', () => {
+  beforeEach(() => {
+    FullTextSearch.mockImplementation(indexUrl => ({
+      indexUrl,
+      loadIndex: jest.fn().mockResolvedValue({}),
+      search: jest.fn().mockResolvedValue(RESULTS.map(result => ({ ...result }))),
+      addSnippets: jest.fn().mockImplementation(async (results) => {
+        results.forEach((result) => { result.snippet = `Text of ${result.src}`; });
+        return results;
+      }),
+    }));
+  });
+
+  afterEach(() => {
+    FullTextSearch.mockReset();
+  });
+
+  test('opens with the / and ctrl + k shortcuts unless typing', async () => {
+    const wrapper = mountSearchModal();
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: '/', bubbles: true }));
+    expect(wrapper.vm.show).toBe(false);
+
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: '/', bubbles: true }));
+    expect(wrapper.vm.show).toBe(true);
+
+    wrapper.vm.show = false;
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true }));
+    expect(wrapper.vm.show).toBe(true);
+
+    input.remove();
+    wrapper.destroy();
+  });
+
+  test('navigates results grouped by page with the keyboard', async () => {
+    const onHit = jest.fn();
+    const wrapper = mountSearchModal({ onHit });
+
+    wrapper.vm.value = 'npm';
+    await wrapper.vm.update();
+
+    expect(wrapper.vm.items).toEqual([
+      { src: 'npm.md', title: 'About npm', snippet: 'Text of npm.md' },
+      { src: 'install.md', title: 'Installation', snippet: '' },
+      { heading: { id: 'using-npm', text: 'Using npm' }, src: 'install.md', snippet: 'Text of install.md' },
+    ]);
+
+    wrapper.vm.down();
+    wrapper.vm.down();
+    wrapper.vm.down();
+    wrapper.vm.up();
+    wrapper.vm.hit();
+
+    expect(onHit).toHaveBeenCalledWith(wrapper.vm.items[1], wrapper.vm);
+    wrapper.destroy();
+  });
+
+  test('only shows results of pages in its scope', async () => {
+    const wrapper = mountSearchModal({
+      scope: 'tag:week3',
+      data: [
+        {
+          src: 'install.md', title: 'Installation', headings: {}, headingKeywords: {}, tags: ['week3'],
+        },
+        {
+          src: 'npm.md', title: 'About npm', headings: {}, headingKeywords: {}, tags: ['week4'],
+        },
+      ],
+    });
+
+    wrapper.vm.value = 'npm';
+    await wrapper.vm.update();
+
+    expect(wrapper.vm.items.map(item => item.src)).toEqual(['install.md', 'install.md']);
+    wrapper.destroy();
+  });
+
+  test('links to the search page if there are more results than shown', async () => {
+    const wrapper = mountSearchModal({ limit: 1, searchPageUrl: '/search.html' });
+
+    wrapper.vm.value = 'npm & co';
+    await wrapper.vm.update();
+
+    expect(wrapper.vm.pages.length).toEqual(1);
+    expect(wrapper.vm.total).toEqual(2);
+    expect(wrapper.vm.searchPageLink).toEqual('/search.html?q=npm%20%26%20co');
+    wrapper.destroy();
+  });
+
+  test('discards results of outdated queries', async () => {
+    const wrapper = mountSearchModal();
+
+    wrapper.vm.value = 'npm';
+    const searching = wrapper.vm.update();
+    wrapper.vm.value = 'n';
+    await wrapper.vm.update();
+    await searching;
+    await flushPromises();
+
+    expect(wrapper.vm.pages).toEqual([]);
+    wrapper.destroy();
+  });
+});
@@ -0,0 +1,88 @@
+import { mount } from '@vue/test-utils';
+import SearchResults from '../SearchResults.vue';
+
+const DATA = ['Installing', 'Configuring', 'Deploying'].map((word, index) => ({
+  src: `page${index}.md`,
+  title: `${word} the site`,
+  headings: { [`${word.toLowerCase()}-site`]: `${word} a site` },
+  headingKeywords: {},
+}));
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve));
+}
+
+describe('SearchResults', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('searches for the query in the url', async () => {
+    window.history.replaceState(null, '', '/search.html?q=site');
+    const wrapper = mount(SearchResults, { propsData: { data: DATA } });
+    await flushPromises();
+
+    expect(wrapper.vm.total).toEqual(3);
+    expect(wrapper.find('.search-results-count').text()).toEqual('3 results for "site"');
+    expect(wrapper.find('.search-results-title').html()).toContain('<mark>site</mark>');
+    expect(wrapper.findAll('.search-results-section').length).toEqual(3);
+  });
+
+  test('pages through the results and updates the url', async () => {
+    window.history.replaceState(null, '', '/search.html?q=site&page=2');
+    const wrapper = mount(SearchResults, { propsData: { data: DATA, resultsPerPage: 2 } });
+    await flushPromises();
+
+    expect(wrapper.vm.currentPage).toEqual(2);
+    expect(wrapper.vm.pages.map(page => page.src)).toEqual(['page2.md']);
+
+    wrapper.vm.goToPage(1);
+    await flushPromises();
+
+    expect(wrapper.vm.pages.length).toEqual(2);
+    expect(window.location.search).toEqual('?q=site');
+    expect(wrapper.findAll('.page-item').length).toEqual(4);
+  });
+
+  test('escapes page titles', async () => {
+    window.history.replaceState(null, '', '/search.html?q=site');
+    const data = [
+      {
+        src: 'page.md', title: '<Installing> & the site', headings: {}, headingKeywords: {},
+      },
+    ];
+    const wrapper = mount(SearchResults, { propsData: { data } });
+    await flushPromises();
+
+    expect(wrapper.find('.search-results-title').html())
+      .toContain('&lt;Installing&gt; &amp; the <mark>site</mark>');
+  });
+
+  test('only shows results of pages in its scope', async () => {
+    window.history.replaceState(null, '', '/search.html?q=site');
+    const data = DATA.map((page, index) => ({ ...page, tags: [`week${index}`] }));
+    const wrapper = mount(SearchResults, { propsData: { data, scope: 'tag:week1' } });
+    await flushPromises();
+
+    expect(wrapper.vm.pages.map(page => page.src)).toEqual(['page1.md']);
+  });
+
+  test('searches again when the site data is loaded', async () => {
+    window.history.replaceState(null, '', '/search.html?q=deploy');
+    const onHit = jest.fn();
+    const wrapper = mount(SearchResults, { propsData: { onHit } });
+    await flushPromises();
+
+    expect(wrapper.vm.total).toEqual(0);
+
+    wrapper.setProps({ data: DATA });
+    await flushPromises();
+    wrapper.find('.search-results-section a').trigger('click');
+
+    expect(wrapper.vm.total).toEqual(1);
+    expect(onHit).toHaveBeenCalledWith({
+      src: 'page2.md',
+      heading: { id: 'deploying-site', text: 'Deploying a site' },
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { mount } from '@vue/test-utils';
+import Searchbar from '../Searchbar.vue';
+import SearchbarPageItem from '../SearchbarPageItem.vue';
+import { FullTextSearch } from '../utils/fullTextSearch';
+
+jest.mock('../utils/fullTextSearch', () => ({
+  ...jest.requireActual('../utils/fullTextSearch'),
+  FullTextSearch: jest.fn(),
+}));
+
+const RESULTS = [
+  {
+    doc: 2, src: 'npm.md', title: 'About npm', id: '', heading: '', score: 3,
+  },
+  {
+    doc: 1, src: 'install.md', title: 'Installation', id: 'using-npm', heading: 'Using <npm>', score: 2,
+  },
+];
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve));
+}
+
+describe('Searchbar with a full text search index', () => {
+  beforeEach(() => {
+    FullTextSearch.mockImplementation(indexUrl => ({
+      indexUrl,
+      loadIndex: jest.fn().mockResolvedValue({}),
+      search: jest.fn().mockResolvedValue(RESULTS.map(result => ({ ...result }))),
+      addSnippets: jest.fn().mockImplementation(async (results) => {
+        results.forEach((result) => { result.snippet = `Text of ${result.src} & more`; });
+        return results;
+      }),
+    }));
+  });
+
+  afterEach(() => {
+    FullTextSearch.mockReset();
+  });
+
+  test('shows results grouped by page with snippets', async () => {
+    const wrapper = mount(Searchbar, {
+      propsData: { indexUrl: '/markbind/search/index.json' },
+    });
+
+    wrapper.find('input').setValue('npm');
+    await flushPromises();
+
+    expect(FullTextSearch).toHaveBeenCalledWith('/markbind/search/index.json');
+    expect(wrapper.vm.items).toEqual([
+      { src: 'npm.md', title: 'About npm', snippet: 'Text of npm.md &amp; more' },
+      { src: 'install.md', title: 'Installation', snippet: '' },
+      {
+        heading: { id: 'using-npm', text: 'Using &lt;npm&gt;' },
+        src: 'install.md',
+        snippet: 'Text of install.md &amp; more',
+      },
+    ]);
+    expect(wrapper.vm.showDropdown).toBe(true);
+  });
+
+  test('only shows results of pages in its scope', async () => {
+    const wrapper = mount(Searchbar, {
+      propsData: {
+        indexUrl: '/markbind/search/index.json',
+        scope: 'tag:week3',
+        data: [
+          {
+            src: 'install.md', title: 'Installation', headings: {}, headingKeywords: {}, tags: ['week3'],
+          },
+          {
+            src: 'npm.md', title: 'About npm', headings: {}, headingKeywords: {}, tags: ['week4'],
+          },
+        ],
+      },
+    });
+
+    wrapper.find('input').setValue('npm');
+    await flushPromises();
+
+    expect(wrapper.vm.items.map(item => item.src)).toEqual(['install.md', 'install.md']);
+  });
+
+  test('falls back to searching headings if the index cannot be loaded', async () => {
+    FullTextSearch.mockImplementation(indexUrl => ({
+      indexUrl,
+      search: jest.fn().mockRejectedValue(new Error('not found')),
+    }));
+    const wrapper = mount(Searchbar, {
+      propsData: {
+        indexUrl: '/markbind/search/index.json',
+        data: [
+          {
+            src: 'install.md',
+            title: 'Installation',
+            headings: { 'using-npm': 'Using npm' },
+            headingKeywords: {},
+          },
+        ],
+      },
+    });
+
+    wrapper.find('input').setValue('npm');
+    await flushPromises();
+
+    expect(wrapper.vm.items).toEqual([
+      { src: 'install.md', title: 'Installation', snippet: '' },
+      { heading: { id: 'using-npm', text: 'Using npm' }, src: 'install.md', snippet: '' },
+    ]);
+  });
+});
+
+describe('SearchbarPageItem', () => {
+  test('highlights words matching the query', () => {
+    const wrapper = mount(SearchbarPageItem, {
+      propsData: {
+        item: { src: 'configuration.md', title: 'Configuring the Site', snippet: 'Configure &amp; amplify' },
+        value: 'configure amp',
+        locale: 'en-GB',
+      },
+    });
+
+    expect(wrapper.find('.page-title').html()).toContain('<mark>Configuring</mark> the Site');
+    expect(wrapper.find('small').html()).toContain('<mark>Configure</mark> &amp; <mark>amplify</mark>');
+  });
+});
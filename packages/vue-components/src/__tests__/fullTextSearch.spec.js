@@ -0,0 +1,133 @@
+import { FullTextSearch, getSnippet, groupResultsByPage } from '../utils/fullTextSearch';
+import { SearchQuery } from '../utils/searchEngine';
+
+const INDEX_FILES = {
+  'search/index.json': {
+    version: 1,
+    pages: [
+      { src: 'install.md', title: 'Installation' },
+      { src: 'npm.md', title: 'About npm' },
+    ],
+    documents: [
+      { page: 0, id: '', heading: '' },
+      { page: 0, id: 'using-npm', heading: 'Using npm' },
+      { page: 1, id: '', heading: '' },
+    ],
+    termShards: [
+      { file: 'terms-0.json', first: 'about', last: 'install' },
+      { file: 'terms-1.json', first: 'installation', last: 'using' },
+    ],
+    textShards: ['text-0.json', 'text-1.json'],
+    documentsPerTextShard: 2,
+  },
+  'search/terms-0.json': {
+    about: [[2, 8]],
+    first: [[0, 1]],
+    install: [[0, 1], [1, 1]],
+  },
+  'search/terms-1.json': {
+    installation: [[0, 8]],
+    npm: [[1, 5], [2, 9]],
+    registry: [[2, 1]],
+    using: [[1, 4]],
+  },
+  'search/text-0.json': ['Install Node.js first.', 'Run npm install -g markbind-cli.'],
+  'search/text-1.json': ['The npm registry.'],
+};
+
+function getFullTextSearch() {
+  const loadJson = jest.fn(url => (INDEX_FILES[url]
+    ? Promise.resolve(INDEX_FILES[url])
+    : Promise.reject(new Error(`${url} not found`))));
+  return new FullTextSearch('search/index.json', loadJson);
+}
+
+describe('getSnippet', () => {
+  test('returns the text around the first match', () => {
+    const text = `${'lorem ipsum '.repeat(10)}markbind${' dolor sit amet'.repeat(20)}`;
+
+    const snippet = getSnippet(text, new SearchQuery('markbind ', 'en'));
+
+    expect(snippet.startsWith('... ')).toBe(true);
+    expect(snippet.endsWith(' ...')).toBe(true);
+    expect(snippet).toContain('markbind');
+    expect(snippet.length).toBeLessThanOrEqual(168);
+  });
+
+  test('returns the whole text if it is short', () => {
+    expect(getSnippet('The npm registry.', new SearchQuery('npm', 'en'))).toEqual('The npm registry.');
+  });
+});
+
+describe('FullTextSearch', () => {
+  test('ranks sections containing all terms by their weights', async () => {
+    const fullTextSearch = getFullTextSearch();
+
+    const results = await fullTextSearch.search(new SearchQuery('npm ', 'en'));
+
+    expect(results.map(result => [result.src, result.id])).toEqual([
+      ['npm.md', ''],
+      ['install.md', 'using-npm'],
+    ]);
+    expect(await fullTextSearch.search(new SearchQuery('install npm ', 'en'))).toEqual([
+      expect.objectContaining({
+        doc: 1, src: 'install.md', title: 'Installation', id: 'using-npm', heading: 'Using npm',
+      }),
+    ]);
+  });
+
+  test('matches terms starting with the last term of the query', async () => {
+    const fullTextSearch = getFullTextSearch();
+
+    const results = await fullTextSearch.search(new SearchQuery('regis', 'en'));
+
+    expect(results.map(result => result.doc)).toEqual([2]);
+    expect(await fullTextSearch.search(new SearchQuery('regis ', 'en'))).toEqual([]);
+  });
+
+  test('matches terms with the same stem or typos', async () => {
+    const fullTextSearch = getFullTextSearch();
+
+    const stemResults = await fullTextSearch.search(new SearchQuery('installing ', 'en'));
+    const typoResults = await fullTextSearch.search(new SearchQuery('instlal ', 'en'));
+
+    expect(stemResults.map(result => result.doc)).toEqual([0, 1]);
+    expect(typoResults.map(result => result.doc)).toEqual([0, 1]);
+  });
+
+  test('only returns sections containing phrases', async () => {
+    const fullTextSearch = getFullTextSearch();
+
+    const results = await fullTextSearch.search(new SearchQuery('"npm install"', 'en'));
+
+    expect(results.map(result => result.doc)).toEqual([1]);
+    expect(await fullTextSearch.search(new SearchQuery('"install npm"', 'en'))).toEqual([]);
+  });
+
+  test('only loads the shards it needs, once', async () => {
+    const fullTextSearch = getFullTextSearch();
+
+    await fullTextSearch.search(new SearchQuery('registry', 'en'));
+    await fullTextSearch.search(new SearchQuery('registry', 'en'));
+
+    expect(fullTextSearch.loadJson.mock.calls.map(([url]) => url))
+      .toEqual(['search/index.json', 'search/terms-1.json']);
+  });
+
+  test('adds snippets to results', async () => {
+    const fullTextSearch = getFullTextSearch();
+    const results = await fullTextSearch.search(new SearchQuery('registry', 'en'));
+
+    await fullTextSearch.addSnippets(results, new SearchQuery('registry', 'en'));
+
+    expect(results[0].snippet).toEqual('The npm registry.');
+    expect(fullTextSearch.loadJson).not.toHaveBeenCalledWith('search/text-0.json');
+  });
+
+  test('groups results by page', async () => {
+    const results = await getFullTextSearch().search(new SearchQuery('install', 'en'));
+
+    expect(groupResultsByPage(results))
+      .toEqual([expect.objectContaining({ src: 'install.md', title: 'Installation', results })]);
+  });
+});
@@ -0,0 +1,221 @@
+import {
+  SearchQuery, editDistance, getFacetKeys, parseFilters, searchPages, tokenize,
+} from '../utils/searchEngine';
+import { getStemmer, stemEnglish } from '../utils/stemmer';
+
+const PAGES = [
+  {
+    src: 'userGuide/configuration.md',
+    title: 'Configuring the Site',
+    headings: { 'site-json': 'site.json file', 'variables': 'Variables' },
+    headingKeywords: { 'variables': ['inheritance'] },
+    subsite: 'userGuide',
+    tags: ['week3'],
+    facets: { week: ['3'] },
+  },
+  {
+    src: 'userGuide/inheritance.md',
+    title: 'Inheritance of Layouts',
+    headings: { 'overriding-layouts': 'Overriding layouts' },
+    headingKeywords: {},
+    subsite: 'userGuide/advanced',
+    tags: ['week4', 'Optional'],
+    facets: { week: ['4'] },
+  },
+  {
+    src: 'about.md',
+    title: 'About',
+    keywords: 'team',
+    headings: {},
+    headingKeywords: {},
+    subsite: '',
+    tags: [],
+    facets: {},
+  },
+];
+
+describe('tokenize', () => {
+  test('splits text into lowercase terms without diacritics', () => {
+    expect(tokenize('Café au-lait, C3PO & naïve_ones!'))
+      .toEqual(['cafe', 'au', 'lait', 'c3po', 'naive', 'ones']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('stemEnglish', () => {
+  test.each([
+    ['configure', 'configur'],
+    ['configuring', 'configur'],
+    ['configuration', 'configur'],
+    ['inheritance', 'inherit'],
+    ['inheritence', 'inherit'],
+    ['ponies', 'poni'],
+    ['hopping', 'hop'],
+    ['relational', 'relat'],
+    ['yield', 'yield'],
+    ['is', 'is'],
+  ])('stems %s to %s', (word, stem) => {
+    expect(stemEnglish(word)).toEqual(stem);
+  });
+});
+
+describe('getStemmer', () => {
+  test('returns the stemmer of the language of the locale', () => {
+    expect(getStemmer('en-GB')('configuring')).toEqual('configur');
+    expect(getStemmer('fr')('configuring')).toEqual('configuring');
+    expect(getStemmer(undefined)('configuring')).toEqual('configuring');
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions, substitutions and transpositions', () => {
+    expect(editDistance('markbind', 'markbind')).toEqual(0);
+    expect(editDistance('markbind', 'makrbind')).toEqual(1);
+    expect(editDistance('markbind', 'marbind')).toEqual(1);
+    expect(editDistance('markbind', 'markbinds')).toEqual(1);
+    expect(editDistance('markbind', 'markbond')).toEqual(1);
+    expect(editDistance('kitten', 'sitting')).toEqual(3);
+  });
+
+  test('stops at the maximum distance', () => {
+    expect(editDistance('kitten', 'sitting', 1)).toEqual(2);
+    expect(editDistance('a', 'abcdef', 2)).toEqual(3);
+  });
+});
+
+describe('SearchQuery', () => {
+  test('parses words and phrases, with the last word as a prefix', () => {
+    const searchQuery = new SearchQuery('site "page layouts" site conf', 'en');
+
+    const parsedParts = searchQuery.parts
+      .map(part => part.map(({ term, isPrefix, isFuzzy }) => [term, isPrefix, isFuzzy]));
+
+    expect(parsedParts).toEqual([
+      [['site', false, true]],
+      [['page', false, false], ['layouts', false, false]],
+      [['conf', true, true]],
+    ]);
+    expect(searchQuery.hasPhrases()).toBe(true);
+    expect(new SearchQuery('site ', 'en').parts[0][0].isPrefix).toBe(false);
+    expect(new SearchQuery(' "" ', 'en').isEmpty()).toBe(true);
+  });
+
+  test('matches terms that are the same, stemmed, prefixed or with typos', () => {
+    const searchQuery = new SearchQuery('inheritence conf', 'en');
+    const [[inheritence], [conf]] = searchQuery.parts;
+
+    expect(searchQuery.matchTerm(conf, 'conf')).toEqual(1);
+    expect(searchQuery.matchTerm(inheritence, 'inheritance')).toEqual(0.9);
+    expect(searchQuery.matchTerm(conf, 'configuring')).toEqual(0.8);
+    expect(searchQuery.matchTerm(inheritence, 'inheritnce')).toEqual(0.6);
+    expect(searchQuery.matchTerm(inheritence, 'inheriting')).toEqual(0.9);
+    expect(searchQuery.matchTerm(inheritence, 'heritage')).toEqual(0);
+  });
+
+  test('matches phrases only in order', () => {
+    const searchQuery = new SearchQuery('"overriding layouts"', 'en');
+
+    expect(searchQuery.matchText('Overriding the layouts')).toEqual([0]);
+    expect(searchQuery.matchText('Override layout files')).toEqual([0.9]);
+  });
+
+  test('finds the words to highlight, skipping html entities', () => {
+    const searchQuery = new SearchQuery('configuring amp', 'en');
+
+    expect(searchQuery.getMatchIntervals('Configure &amp; amplify'))
+      .toEqual([{ start: 0, end: 9 }, { start: 16, end: 23 }]);
+  });
+});
+
+describe('parseFilters', () => {
+  test('removes filters outside double quotes', () => {
+    expect(parseFilters('tag:week3 layouts week:3 "note: tag:x"', ['week'])).toEqual({
+      filters: [{ key: 'tag', value: 'week3' }, { key: 'week', value: '3' }],
+      text: ' layouts  "note: tag:x"',
+    });
+  });
+
+  test('leaves words with keys that are not filter keys in the text', () => {
+    expect(parseFilters('std::vector http://example.com 12:30 lecture week:3')).toEqual({
+      filters: [],
+      text: 'std::vector http://example.com 12:30 lecture week:3',
+    });
+  });
+});
+
+describe('getFacetKeys', () => {
+  test('returns the keys of the facets of the pages', () => {
+    expect(getFacetKeys(PAGES)).toEqual(['week']);
+    expect(getFacetKeys(undefined)).toEqual([]);
+  });
+});
+
+describe('SearchQuery filters', () => {
+  test('are combined with the scope and not matched against text', () => {
+    const searchQuery = new SearchQuery('layouts tag:week4', 'en', 'subsite:userGuide');
+
+    expect(searchQuery.parts.map(part => part.map(({ term, isPrefix }) => [term, isPrefix])))
+      .toEqual([[['layouts', false]]]);
+    expect(searchQuery.filters)
+      .toEqual([{ key: 'subsite', value: 'userGuide' }, { key: 'tag', value: 'week4' }]);
+  });
+
+  test('match pages with any of the values of each key', () => {
+    const [configuration, inheritance, about] = PAGES;
+    const searchQuery = new SearchQuery('tag:week3 tag:optional subsite:userguide/', 'en');
+
+    expect(searchQuery.matchesFilters(configuration)).toBe(true);
+    expect(searchQuery.matchesFilters(inheritance)).toBe(true);
+    expect(searchQuery.matchesFilters(about)).toBe(false);
+    expect(new SearchQuery('week:4', 'en', '', ['week']).matchesFilters(configuration)).toBe(false);
+    expect(new SearchQuery('subsite:user', 'en').matchesFilters(configuration)).toBe(false);
+  });
+});
+
+describe('searchPages', () => {
+  test('ranks titles above headings above keywords', () => {
+    const results = searchPages(PAGES, new SearchQuery('inheritence ', 'en'));
+
+    expect(results.map(result => [result.src, result.heading && result.heading.id])).toEqual([
+      ['userGuide/inheritance.md', undefined],
+      ['userGuide/configuration.md', undefined],
+      ['userGuide/configuration.md', 'variables'],
+    ]);
+  });
+
+  test('returns pages matching all parts of the query if there are any', () => {
+    const results = searchPages(PAGES, new SearchQuery('configure variables', 'en'));
+
+    expect(results.map(result => [result.src, result.heading && result.heading.id])).toEqual([
+      ['userGuide/configuration.md', undefined],
+      ['userGuide/configuration.md', 'variables'],
+    ]);
+    expect(searchPages(PAGES, new SearchQuery('team', 'en'))[0]).toEqual(expect.objectContaining({
+      src: 'about.md', title: 'About', keywords: 'team', headings: [], matchedParts: 1,
+    }));
+  });
+
+  test('only returns pages matching the filters of the query', () => {
+    const results = searchPages(PAGES, new SearchQuery('inheritence week:4', 'en', '', ['week']));
+
+    expect(results.map(result => [result.src, result.heading && result.heading.id]))
+      .toEqual([['userGuide/inheritance.md', undefined]]);
+  });
+
+  test('matches words with colons that are not filters against text', () => {
+    const pages = [
+      {
+        src: 'cpp.md',
+        title: 'Using std::vector',
+        headings: { 'links': 'Links to http://example.com' },
+        headingKeywords: {},
+      },
+    ];
+
+    expect(searchPages(pages, new SearchQuery('std::vector', 'en')).map(result => result.src))
+      .toEqual(['cpp.md']);
+    expect(searchPages(pages, new SearchQuery('http://example.com', 'en'))
+      .map(result => [result.src, result.heading && result.heading.id]))
+      .toEqual([['cpp.md', undefined], ['cpp.md', 'links']]);
+  });
+});
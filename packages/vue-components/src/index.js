@@ -12,6 +12,7 @@ import {
 
 // Custom / modified components and components from yuche/vue-strap
 import closeable from './directives/Closeable';
+import codeGroup from './CodeGroup.vue';
 import dropdown from './Dropdown.vue';
 import navbar from './Navbar.vue';
 import panel from './Panel.vue';
@@ -19,8 +20,11 @@ import pic from './Pic.vue';
 import quiz from './questions/Quiz.vue';
 import question from './questions/Question.vue';
 import qOption from './questions/QOption.vue';
+import quizSummary from './questions/QuizSummary.vue';
 import retriever from './Retriever.vue';
 import searchbar from './Searchbar.vue';
+import searchModal from './SearchModal.vue';
+import searchResults from './SearchResults.vue';
 import tab from './Tab.vue';
 import tabGroup from './TabGroup.vue';
 import tabset from './Tabset.vue';
@@ -36,6 +40,7 @@ import overlaySource from './OverlaySource.vue';
 
 const components = {
   box: tipBox,
+  codeGroup,
   dropdown,
   navbar,
   panel,
@@ -43,8 +48,11 @@ const components = {
   quiz,
   question,
   qOption,
+  quizSummary,
   retriever,
   searchbar,
+  searchModal,
+  searchResults,
   tab,
   tabGroup,
   tabs: tabset,
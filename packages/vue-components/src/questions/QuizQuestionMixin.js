@@ -13,6 +13,9 @@ export default {
     gotoNextQuestion: {
       default: undefined,
     },
+    quizStorageId: {
+      default: null,
+    },
   },
   methods: {
     show() {
@@ -0,0 +1,90 @@
+/*
+ * Persists the progress of quizzes and questions in localStorage,
+ * under keys made of the page's url and the ids of the quizzes and questions.
+ */
+const QUIZ_KEY_PREFIX = 'markbind-quiz';
+const QUESTION_KEY_PREFIX = 'markbind-question';
+
+export const QUIZ_COMPLETE_EVENT = 'markbind:quiz-complete';
+export const QUIZ_RESET_EVENT = 'markbind:quiz-reset';
+
+function getQuizKey(quizId) {
+  return `${QUIZ_KEY_PREFIX}:${window.location.pathname}:${quizId}`;
+}
+
+function getQuestionKey(questionId) {
+  return `${QUESTION_KEY_PREFIX}:${window.location.pathname}:${questionId}`;
+}
+
+function load(key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch (e) {
+    return null; // localStorage may be disabled by the browser, or the saved progress may be invalid
+  }
+}
+
+function save(key, progress) {
+  try {
+    if (progress) {
+      window.localStorage.setItem(key, JSON.stringify(progress));
+    } else {
+      window.localStorage.removeItem(key);
+    }
+  } catch (e) {
+    // the progress is then only kept until the page is left
+  }
+}
+
+function getStorageKeys() {
+  try {
+    return Array.from({ length: window.localStorage.length }, (v, i) => window.localStorage.key(i));
+  } catch (e) {
+    return [];
+  }
+}
+
+export function loadQuizProgress(quizId) {
+  return load(getQuizKey(quizId));
+}
+
+/**
+ * Saves the progress of a quiz, or removes it if progress is null.
+ */
+export function saveQuizProgress(quizId, progress) {
+  save(getQuizKey(quizId), progress);
+}
+
+export function loadQuestionProgress(questionId) {
+  return load(getQuestionKey(questionId));
+}
+
+/**
+ * Saves the progress of a question, or removes it if progress is null.
+ */
+export function saveQuestionProgress(questionId, progress) {
+  save(getQuestionKey(questionId), progress);
+}
+
+/**
+ * Removes the progress of a quiz and of its questions.
+ */
+export function removeQuizProgress(quizId) {
+  const questionKeyPrefix = getQuestionKey(`${quizId}/`);
+  getStorageKeys()
+    .filter(key => key.startsWith(questionKeyPrefix))
+    .forEach(key => save(key, null));
+  save(getQuizKey(quizId), null);
+}
+
+/**
+ * Returns the saved progress of the quizzes in the page, with their ids.
+ * @returns {Array<Object>}
+ */
+export function loadPageQuizzesProgress() {
+  const quizKeyPrefix = getQuizKey('');
+  return getStorageKeys()
+    .filter(key => key.startsWith(quizKeyPrefix))
+    .sort()
+    .map(key => ({ id: key.substring(quizKeyPrefix.length), ...load(key) }));
+}
@@ -0,0 +1,230 @@
+import { getJSON } from './utils';
+
+const SNIPPET_LENGTH = 160;
+// Number of characters of text before the first match to include in a snippet
+const SNIPPET_LEADING_LENGTH = 40;
+
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns an excerpt of the text around the first word matching the query.
+ * @param {string} text
+ * @param {SearchQuery} searchQuery
+ */
+export function getSnippet(text, searchQuery) {
+  const [firstMatch] = searchQuery.getMatchIntervals(text);
+  const matchIndex = firstMatch ? firstMatch.start : 0;
+
+  let start = Math.max(0, matchIndex - SNIPPET_LEADING_LENGTH);
+  if (start > 0) {
+    // Start the snippet at a word boundary
+    const wordStart = text.indexOf(' ', start) + 1;
+    start = wordStart > 0 && wordStart <= matchIndex ? wordStart : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const wordEnd = text.lastIndexOf(' ', end);
+    end = wordEnd > matchIndex ? wordEnd : end;
+  }
+
+  return `${start > 0 ? '... ' : ''}${text.slice(start, end)}${end < text.length ? ' ...' : ''}`;
+}
+
+function fetchJson(url) {
+  return new Promise((resolve, reject) => getJSON(url).then(resolve, reject));
+}
+
+/**
+ * Searches the full text search index built by MarkBind.
+ * The files of the index are only loaded when they are first needed, and are loaded at most once.
+ */
+export class FullTextSearch {
+  /**
+   * @param {string} indexUrl of the index.json file of the search index
+   * @param {function(string): Promise<any>} loadJson that loads the json file at the given url
+   */
+  constructor(indexUrl, loadJson = fetchJson) {
+    this.indexUrl = indexUrl;
+    this.indexFolderUrl = indexUrl.substring(0, indexUrl.lastIndexOf('/') + 1);
+    this.loadJson = loadJson;
+    this.files = {};
+  }
+
+  loadFile(url) {
+    if (!this.files[url]) {
+      this.files[url] = this.loadJson(url).catch((error) => {
+        // Allow the file to be loaded again in the next search
+        delete this.files[url];
+        throw error;
+      });
+    }
+    return this.files[url];
+  }
+
+  loadIndex() {
+    return this.loadFile(this.indexUrl);
+  }
+
+  async loadText(index, doc) {
+    const shard = Math.floor(doc / index.documentsPerTextShard);
+    const texts = await this.loadFile(this.indexFolderUrl + index.textShards[shard]);
+    return texts[doc % index.documentsPerTextShard];
+  }
+
+  /**
+   * Returns a map of the documents containing terms matching the term of the query,
+   * to the weight of the best matching term in each document.
+   * Typos are assumed not to be in the first letter of a term, so only the shards of terms starting with
+   * the same letter are loaded.
+   * @param {Object} index
+   * @param {Object} queryTerm one of the terms of the parts of the query
+   * @param {SearchQuery} searchQuery
+   */
+  async getPostings(index, queryTerm, searchQuery) {
+    const firstLetter = queryTerm.term[0];
+    const shards = index.termShards
+      .filter(({ first, last }) => first <= `${firstLetter}\uffff` && last >= firstLetter);
+    const shardTerms = await Promise.all(shards.map(({ file }) => this.loadFile(this.indexFolderUrl + file)));
+
+    const postings = new Map();
+    shardTerms.forEach((termsToPostings) => {
+      Object.keys(termsToPostings)
+        .filter(term => term[0] === firstLetter)
+        .forEach((term) => {
+          const matchScore = searchQuery.matchTerm(queryTerm, term);
+          if (!matchScore) {
+            return;
+          }
+          termsToPostings[term].forEach(([doc, weight]) => {
+            postings.set(doc, Math.max(postings.get(doc) || 0, weight * matchScore));
+          });
+        });
+    });
+    return postings;
+  }
+
+  /**
+   * Returns a map of the documents matching a part of the query to their weights.
+   * A document matches a phrase if it contains all of its terms, which are checked to be in order
+   * against its text later in {@link filterPhraseMatches}.
+   */
+  async getPartPostings(index, part, searchQuery) {
+    const termPostings = await Promise.all(part.map(queryTerm => this.getPostings(
+      index, queryTerm, searchQuery)));
+    if (termPostings.length === 1) {
+      return termPostings[0];
+    }
+
+    const postings = new Map();
+    termPostings[0].forEach((weight, doc) => {
+      if (termPostings.every(otherPostings => otherPostings.has(doc))) {
+        const totalWeight = termPostings.reduce((total, otherPostings) => total + otherPostings.get(doc), 0);
+        postings.set(doc, totalWeight / part.length);
+      }
+    });
+    return postings;
+  }
+
+  async filterPhraseMatches(index, matches, searchQuery) {
+    const phraseIndexes = searchQuery.parts
+      .map((part, i) => (part.length > 1 ? i : -1))
+      .filter(i => i !== -1);
+    const hasPhrases = await Promise.all(matches.map(async ({ doc }) => {
+      const { page, heading } = index.documents[doc];
+      const text = await this.loadText(index, doc);
+      const partScores = searchQuery.matchText(`${index.pages[page].title}\n${heading}\n${text}`);
+      return phraseIndexes.every(i => partScores[i] > 0);
+    }));
+    return matches.filter((match, i) => hasPhrases[i]);
+  }
+
+  /**
+   * Searches the index for the sections of pages matching the parts of the query,
+   * ranked by the weights of the matching terms in each section.
+   * Sections matching all parts are returned if there are any, otherwise sections matching any part.
+   * @param {SearchQuery} searchQuery
+   * @returns {Promise<Array<Object>>} the matching sections, with their page's src and title,
+   *          their heading id and text, and their score
+   */
+  async search(searchQuery) {
+    if (searchQuery.isEmpty()) {
+      return [];
+    }
+    const index = await this.loadIndex();
+
+    const matches = new Map();
+    const partPostings = await Promise.all(searchQuery.parts.map(part => this.getPartPostings(
+      index, part, searchQuery)));
+    partPostings.forEach((postings) => {
+      // Rarer terms contribute more to the score
+      const inverseDocumentFrequency = Math.log(1 + index.documents.length / postings.size);
+      postings.forEach((weight, doc) => {
+        const match = matches.get(doc) || { doc, score: 0, matchedParts: 0 };
+        match.score += weight * inverseDocumentFrequency;
+        match.matchedParts += 1;
+        matches.set(doc, match);
+      });
+    });
+
+    const rankedMatches = Array.from(matches.values())
+      .sort((a, b) => b.matchedParts - a.matchedParts || b.score - a.score);
+    const fullMatches = rankedMatches.filter(match => match.matchedParts === searchQuery.parts.length);
+    let results = fullMatches.length ? fullMatches : rankedMatches;
+    if (searchQuery.hasPhrases()) {
+      results = await this.filterPhraseMatches(index, results, searchQuery);
+    }
+
+    return results.map(({ doc, score }) => {
+      const { page, id, heading } = index.documents[doc];
+      return {
+        doc,
+        src: index.pages[page].src,
+        title: index.pages[page].title,
+        id,
+        heading,
+        score,
+      };
+    });
+  }
+
+  /**
+   * Adds a snippet of the text around the first match of the query to each of the given results.
+   * Only the text of the given results is loaded.
+   * @param {Array<Object>} results returned by {@link search}
+   * @param {SearchQuery} searchQuery
+   */
+  async addSnippets(results, searchQuery) {
+    const index = await this.loadIndex();
+    await Promise.all(results.map(async (result) => {
+      result.snippet = getSnippet(await this.loadText(index, result.doc), searchQuery);
+    }));
+    return results;
+  }
+}
+
+/**
+ * Groups the results of a search by their page, ordered by the best ranked result of each page.
+ * @param {Array<Object>} results returned by {@link FullTextSearch#search}
+ * @returns {Array<Object>} the src, title and score of each page, and its results
+ */
+export function groupResultsByPage(results) {
+  const pages = new Map();
+  results.forEach((result) => {
+    if (!pages.has(result.src)) {
+      pages.set(result.src, {
+        src: result.src,
+        title: result.title,
+        score: result.score,
+        results: [],
+      });
+    }
+    pages.get(result.src).results.push(result);
+  });
+  return Array.from(pages.values());
+}
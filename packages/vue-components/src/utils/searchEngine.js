@@ -0,0 +1,419 @@
+import { getStemmer } from './stemmer';
+
+// Scores of the ways a term can match a term of the query, out of 1 for an exact match
+const EXACT_MATCH_SCORE = 1;
+const STEM_MATCH_SCORE = 0.9;
+const PREFIX_MATCH_SCORE = 0.8;
+// Score of a match with one typo, which is halved for each additional typo
+const FUZZY_MATCH_SCORE = 0.6;
+
+/**
+ * Weights of the matches in each part of a page in the site data,
+ * so that matches in titles rank above those in headings, and then keywords.
+ */
+export const FIELD_WEIGHTS = {
+  title: 3,
+  heading: 2,
+  keyword: 1,
+};
+
+// Matches words of the form key:value in a query, which are filters such as tag:week3 if their key is one
+const FILTER_REGEX = /(^|\s)([\p{L}\p{N}_-]+):([^\s"]+)/gu;
+// Keys of the filters of all sites, besides the facets of each site
+const FILTER_KEYS = ['tag', 'subsite'];
+
+function normalize(word) {
+  return word
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Splits text into lowercase terms of letters and numbers, without diacritics,
+ * in the same way as pages are tokenized when the search index is built (see core/src/Site/SearchIndex.js).
+ */
+export function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+  return normalize(text.toString()).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Returns the number of typos allowed in a term of the query, which is more for longer terms.
+ */
+export function getMaxEditDistance(term) {
+  if (term.length < 4) {
+    return 0;
+  }
+  if (term.length < 8) {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * Returns the number of insertions, deletions, substitutions and transpositions of adjacent characters
+ * needed to turn one string into the other (the optimal string alignment distance).
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance beyond which the distance is not computed, and maxDistance + 1 is returned
+ * @returns {number}
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let rowBeforePrevious = [];
+  let previousRow = Array.from({ length: b.length + 1 }, (value, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + substitutionCost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rowBeforePrevious[j - 2] + 1);
+      }
+    }
+    if (Math.min(...row) > maxDistance) {
+      return maxDistance + 1;
+    }
+    rowBeforePrevious = previousRow;
+    previousRow = row;
+  }
+  return Math.min(previousRow[b.length], maxDistance + 1);
+}
+
+/**
+ * Returns the keys of the facets of the pages in the site data, which are the searchFacets of the site
+ * that some page has a value for.
+ * @param {Array<Object>} pages of the site data
+ * @returns {Array<string>}
+ */
+export function getFacetKeys(pages) {
+  const facetKeys = new Set();
+  (pages || []).forEach(page => Object.keys(page.facets || {}).forEach(key => facetKeys.add(key)));
+  return Array.from(facetKeys);
+}
+
+/**
+ * Removes the filters, such as tag:week3, from text outside double quotes.
+ * Only words with the key tag, subsite or one of the facet keys are filters,
+ * so that other words with colons, such as std::vector or urls, are left in the text.
+ * @param {string} text
+ * @param {Array<string>} facetKeys of the site
+ * @returns {Object<string, any>} the filters, each with its key and value, and the text without them
+ */
+export function parseFilters(text, facetKeys = []) {
+  const filterKeys = [...FILTER_KEYS, ...facetKeys];
+  const filters = [];
+  const textWithoutFilters = text
+    .split('"')
+    .map((segment, segmentIndex) => (segmentIndex % 2 === 1
+      ? segment
+      : segment.replace(FILTER_REGEX, (match, whitespace, key, value) => {
+        if (!filterKeys.includes(key)) {
+          return match;
+        }
+        filters.push({ key, value });
+        return whitespace;
+      })))
+    .join('"');
+  return { filters, text: textWithoutFilters };
+}
+
+/**
+ * Returns the values of a page in the site data that a filter with the key matches.
+ */
+function getFilteredValues(page, key) {
+  if (key === 'tag') {
+    return page.tags || [];
+  }
+  if (key === 'subsite') {
+    return page.subsite === undefined ? [] : [page.subsite];
+  }
+  return (page.facets && page.facets[key]) || [];
+}
+
+function matchesFilterValue(key, filterValue, value) {
+  const normalizedFilterValue = filterValue.toLowerCase();
+  const normalizedValue = value.toLowerCase();
+  if (key === 'subsite') {
+    // A subsite also contains the pages of the subsites nested in it
+    const subsite = normalizedFilterValue.replace(/^\/+|\/+$/g, '');
+    return normalizedValue === subsite || normalizedValue.startsWith(`${subsite}/`);
+  }
+  return normalizedValue === normalizedFilterValue;
+}
+
+/**
+ * A query of the searchbar, parsed into parts that are matched against text.
+ *
+ * Each word of the query is a part, and matches words that are the same, have the same stem in the
+ * language of the site, or differ by a few typos.
+ * Words in double quotes form a phrase, which is a part that only matches the same or stemmed words in order.
+ * The last word of the query also matches words starting with it, as it may not have been fully typed yet.
+ *
+ * Filters in the query, such as tag:week3, subsite:cs2103 or a front matter facet such as week:3,
+ * scope the search to the pages matching them instead.
+ */
+export class SearchQuery {
+  /**
+   * @param {string} query
+   * @param {string} locale of the site, which determines how words are stemmed
+   * @param {string} scope filters that always apply to the query, in the same format as those in the query
+   * @param {Array<string>} facetKeys of the site, which can be used as filters besides tag and subsite
+   */
+  constructor(query, locale, scope = '', facetKeys = []) {
+    this.query = query;
+    this.stem = getStemmer(locale);
+    /**
+     * Terms of each part of the query
+     * @type {Array<Array<Object>>}
+     */
+    this.parts = [];
+
+    const parsedQuery = parseFilters(query, facetKeys);
+    /**
+     * Filters of the scope and the query, each with its key and value
+     * @type {Array<Object<string, string>>}
+     */
+    this.filters = [...parseFilters(scope, facetKeys).filters, ...parsedQuery.filters];
+
+    const addedTerms = new Set();
+    parsedQuery.text.split('"').forEach((segment, segmentIndex) => {
+      const isPhrase = segmentIndex % 2 === 1;
+      const terms = tokenize(segment).map(term => ({
+        term,
+        stem: this.stem(term),
+        isPrefix: false,
+        isFuzzy: !isPhrase,
+      }));
+      if (isPhrase && terms.length > 1) {
+        this.parts.push(terms);
+        return;
+      }
+      terms
+        .filter(({ term }) => !addedTerms.has(term))
+        .forEach((term) => {
+          addedTerms.add(term.term);
+          this.parts.push([term]);
+        });
+    });
+
+    if (this.parts.length && /[\p{L}\p{N}]$/u.test(parsedQuery.text)) {
+      const lastPart = this.parts[this.parts.length - 1];
+      lastPart[lastPart.length - 1].isPrefix = true;
+    }
+  }
+
+  isEmpty() {
+    return this.parts.length === 0;
+  }
+
+  hasPhrases() {
+    return this.parts.some(part => part.length > 1);
+  }
+
+  hasFilters() {
+    return this.filters.length > 0;
+  }
+
+  /**
+   * Returns whether a page in the site data is in the scope of the filters of the query.
+   * A page matches the filters if it matches any of the filters with each key.
+   * @param {Object} page with its subsite, tags and facets
+   * @returns {boolean}
+   */
+  matchesFilters(page) {
+    const keys = new Set(this.filters.map(({ key }) => key));
+    return Array.from(keys).every((key) => {
+      const values = getFilteredValues(page, key);
+      return this.filters
+        .filter(filter => filter.key === key)
+        .some(filter => values.some(value => matchesFilterValue(key, filter.value, value)));
+    });
+  }
+
+  /**
+   * Returns how well a term matches a term of the query, from 0 for no match to 1 for an exact match.
+   * @param {Object} queryTerm one of the terms of the {@link parts} of the query
+   * @param {string} term which has been tokenized
+   * @returns {number}
+   */
+  matchTerm(queryTerm, term) {
+    if (term === queryTerm.term) {
+      return EXACT_MATCH_SCORE;
+    }
+    if (this.stem(term) === queryTerm.stem) {
+      return STEM_MATCH_SCORE;
+    }
+    if (queryTerm.isPrefix && term.startsWith(queryTerm.term)) {
+      return PREFIX_MATCH_SCORE;
+    }
+
+    const maxDistance = queryTerm.isFuzzy ? getMaxEditDistance(queryTerm.term) : 0;
+    if (!maxDistance) {
+      return 0;
+    }
+    // Compare only the start of the term to a query term which is a prefix
+    const comparedTerm = queryTerm.isPrefix ? term.slice(0, queryTerm.term.length) : term;
+    const distance = editDistance(queryTerm.term, comparedTerm, maxDistance);
+    return distance <= maxDistance ? FUZZY_MATCH_SCORE / 2 ** (distance - 1) : 0;
+  }
+
+  /**
+   * Returns how well the text matches each part of the query, from 0 for no match to 1 for an exact match.
+   * @param {string} text
+   * @returns {Array<number>} the score of the best match of each part in the text
+   */
+  matchText(text) {
+    const terms = tokenize(text);
+    return this.parts.map((part) => {
+      let bestScore = 0;
+      for (let i = 0; i + part.length <= terms.length; i += 1) {
+        let score = 0;
+        for (let j = 0; j < part.length; j += 1) {
+          const termScore = this.matchTerm(part[j], terms[i + j]);
+          if (!termScore) {
+            score = 0;
+            break;
+          }
+          score += termScore / part.length;
+        }
+        bestScore = Math.max(bestScore, score);
+      }
+      return bestScore;
+    });
+  }
+
+  /**
+   * Returns the positions of the words in the text matching any term of the query, for highlighting them.
+   * Html entities in the text are skipped.
+   * @param {string} text
+   * @returns {Array<Object<string, number>>} the start and end of each matching word
+   */
+  getMatchIntervals(text) {
+    const queryTerms = this.parts.flat();
+    const wordRegex = /&#?\w+;|[\p{L}\p{N}\p{M}]+/gu;
+    const matchIntervals = [];
+    let match = wordRegex.exec(text);
+    while (match !== null) {
+      const [word] = match;
+      const term = normalize(word);
+      if (!word.startsWith('&') && queryTerms.some(queryTerm => this.matchTerm(queryTerm, term))) {
+        matchIntervals.push({ start: match.index, end: match.index + word.length });
+      }
+      match = wordRegex.exec(text);
+    }
+    return matchIntervals;
+  }
+}
+
+/**
+ * Wraps the words in the text matching any term of the query in <mark> tags.
+ * @param {string} text which may contain html
+ * @param {SearchQuery} searchQuery
+ * @returns {string}
+ */
+export function highlightMatches(text, searchQuery) {
+  const matchIntervals = searchQuery.getMatchIntervals(text);
+  let highlightedText = text;
+  // Traverse from back to front to avoid the positioning going out of sync
+  for (let i = matchIntervals.length - 1; i >= 0; i -= 1) {
+    const { start, end } = matchIntervals[i];
+    highlightedText = `${highlightedText.slice(0, start)}<mark>${highlightedText.slice(start, end)}</mark>`
+      + `${highlightedText.slice(end)}`;
+  }
+  return highlightedText;
+}
+
+/**
+ * Adds up the best weighted score of each part of the query among the fields.
+ * @param {SearchQuery} searchQuery
+ * @param {Array<Array>} fields the text and weight of each field
+ * @returns {Object<string, number>} the number of parts of the query matched, and the total score
+ */
+function scoreFields(searchQuery, fields) {
+  const partScores = new Array(searchQuery.parts.length).fill(0);
+  fields.forEach(([text, weight]) => {
+    searchQuery.matchText(text).forEach((score, i) => {
+      partScores[i] = Math.max(partScores[i], score * weight);
+    });
+  });
+  return {
+    matchedParts: partScores.filter(score => score > 0).length,
+    score: partScores.reduce((total, score) => total + score, 0),
+  };
+}
+
+function compareMatches(a, b) {
+  return b.matchedParts - a.matchedParts || b.score - a.score;
+}
+
+/**
+ * Searches the titles, headings and keywords of the pages in the site data matching the filters of the query.
+ * Pages matching all parts of the query are returned if there are any, otherwise pages matching any part.
+ * @param {Array<Object>} pages of the site data
+ * @param {SearchQuery} searchQuery
+ * @returns {Array<Object>} each matching page, followed by its matching headings, in order of their scores
+ */
+export function searchPages(pages, searchQuery) {
+  if (searchQuery.isEmpty()) {
+    return [];
+  }
+
+  const matchingPages = [];
+  pages.filter(page => searchQuery.matchesFilters(page)).forEach((page) => {
+    const {
+      headings,
+      src,
+      title,
+      headingKeywords,
+    } = page;
+    const keywords = page.keywords || '';
+    const displayTitle = title || src;
+
+    const pageMatch = scoreFields(searchQuery, [
+      [displayTitle, FIELD_WEIGHTS.title],
+      [keywords, FIELD_WEIGHTS.keyword],
+      ...Object.values(headings).map(text => [text, FIELD_WEIGHTS.heading]),
+      ...Object.values(headingKeywords).flat().map(keyword => [keyword, FIELD_WEIGHTS.keyword]),
+    ]);
+    if (!pageMatch.matchedParts) {
+      return;
+    }
+
+    const pageHeadings = [];
+    Object.entries(headings).forEach(([id, text]) => {
+      const headingMatch = scoreFields(searchQuery, [
+        [text, FIELD_WEIGHTS.heading],
+        ...(headingKeywords[id] || []).map(keyword => [keyword, FIELD_WEIGHTS.keyword]),
+      ]);
+      if (headingMatch.matchedParts) {
+        pageHeadings.push({
+          heading: { id, text },
+          keywords: headingKeywords[id],
+          src,
+          ...headingMatch,
+        });
+      }
+    });
+    pageHeadings.sort(compareMatches);
+
+    matchingPages.push({
+      headings: pageHeadings,
+      keywords,
+      src,
+      title: displayTitle,
+      ...pageMatch,
+    });
+  });
+
+  const fullMatches = matchingPages.filter(page => page.matchedParts === searchQuery.parts.length);
+  return (fullMatches.length ? fullMatches : matchingPages)
+    .sort(compareMatches)
+    .flatMap(page => [page, ...page.headings]);
+}
@@ -0,0 +1,126 @@
+import { FullTextSearch, escapeHtml, groupResultsByPage } from './fullTextSearch';
+import { SearchQuery, getFacetKeys, searchPages } from './searchEngine';
+
+/**
+ * Flattens pages of search results into the items shown by the searchbar and search modal,
+ * each page followed by its matching sections.
+ * @param {Array<Object>} pages as returned by {@link SiteSearch#search}
+ * @returns {Array<Object>}
+ */
+export function toSearchItems(pages) {
+  return pages.flatMap(page => [
+    {
+      src: page.src,
+      title: page.title,
+      snippet: page.snippet,
+    },
+    ...page.sections.map(section => ({
+      heading: { id: section.id, text: section.heading },
+      src: page.src,
+      snippet: section.snippet,
+    })),
+  ]);
+}
+
+/**
+ * Searches the site using the data in its siteData.json,
+ * with its full text search index if it has one, and otherwise the headings of its pages.
+ * Searches can be scoped to pages by their subsite, tags and facets in the site data.
+ * Used by the search components, which show the results grouped by their page.
+ */
+export default class SiteSearch {
+  /**
+   * @param {Array<Object>} data the pages of the site data
+   * @param {string} indexUrl of the full text search index, if any
+   * @param {string} locale of the site
+   * @param {string} scope filters that all searches are scoped to, such as tag:week3
+   */
+  constructor(data, indexUrl, locale, scope = '') {
+    this.data = data;
+    this.indexUrl = indexUrl;
+    this.locale = locale;
+    this.scope = scope;
+    this.facetKeys = getFacetKeys(data);
+    this.fullTextSearch = indexUrl ? new FullTextSearch(indexUrl) : null;
+  }
+
+  preload() {
+    if (this.fullTextSearch) {
+      this.fullTextSearch.loadIndex().catch(() => {});
+    }
+  }
+
+  searchHeadings(searchQuery) {
+    return searchPages(this.data || [], searchQuery)
+      .filter(item => !item.heading)
+      .map(page => ({
+        src: page.src,
+        title: escapeHtml(page.title),
+        score: page.score,
+        snippet: '',
+        sections: page.headings.map(({ heading }) => ({
+          id: heading.id,
+          heading: escapeHtml(heading.text),
+          snippet: '',
+        })),
+      }));
+  }
+
+  async searchFullText(searchQuery, offset, limit) {
+    let results = await this.fullTextSearch.search(searchQuery);
+    if (searchQuery.hasFilters()) {
+      const srcsInScope = new Set((this.data || [])
+        .filter(page => searchQuery.matchesFilters(page))
+        .map(page => page.src));
+      results = results.filter(result => srcsInScope.has(result.src));
+    }
+    const pages = groupResultsByPage(results);
+    const shownPages = pages.slice(offset, offset + limit);
+    await this.fullTextSearch.addSnippets(shownPages.flatMap(page => page.results), searchQuery);
+    return {
+      total: pages.length,
+      pages: shownPages.map((page) => {
+        const pageResult = page.results.find(result => !result.id);
+        return {
+          src: page.src,
+          title: escapeHtml(page.title),
+          score: page.score,
+          snippet: pageResult ? escapeHtml(pageResult.snippet) : '',
+          sections: page.results
+            .filter(result => result.id)
+            .map(result => ({
+              id: result.id,
+              heading: escapeHtml(result.heading),
+              snippet: escapeHtml(result.snippet),
+            })),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Searches the site for the pages in its scope matching the query,
+   * falling back to searching the headings of pages if the full text search index cannot be loaded.
+   * @param {string} query
+   * @param {number} offset of the first matching page to return
+   * @param {number} limit on the number of matching pages to return
+   * @returns {Promise<Object>} the total number of matching pages, and the matching pages from the offset,
+   *          each with its src, title, snippet and matching sections.
+   *          Titles, headings and snippets are html escaped.
+   */
+  async search(query, offset = 0, limit = Infinity) {
+    const searchQuery = new SearchQuery(query, this.locale, this.scope, this.facetKeys);
+    if (this.fullTextSearch) {
+      try {
+        return await this.searchFullText(searchQuery, offset, limit);
+      } catch (error) {
+        // Fall back to searching the headings of the site data below
+      }
+    }
+    const pages = this.searchHeadings(searchQuery);
+    return {
+      total: pages.length,
+      pages: pages.slice(offset, offset + limit),
+    };
+  }
+}
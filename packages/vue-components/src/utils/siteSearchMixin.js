@@ -0,0 +1,45 @@
+import { getFacetKeys } from './searchEngine';
+import SiteSearch from './siteSearch';
+
+/**
+ * Props and site search shared by the searchbar, search modal and search results components.
+ */
+export default {
+  props: {
+    data: {
+      type: Array,
+      default: () => [],
+    },
+    indexUrl: {
+      type: String,
+      default: '',
+    },
+    locale: {
+      type: String,
+      default: 'en',
+    },
+    scope: {
+      type: String,
+      default: '',
+    },
+  },
+  computed: {
+    facetKeys() {
+      return getFacetKeys(this.data);
+    },
+  },
+  methods: {
+    /**
+     * Returns the site search for the current props, which is only recreated when they change,
+     * so that the full text search index is loaded once.
+     */
+    getSiteSearch() {
+      if (!this.siteSearch || this.siteSearch.indexUrl !== this.indexUrl
+        || this.siteSearch.data !== this.data || this.siteSearch.locale !== this.locale
+        || this.siteSearch.scope !== this.scope) {
+        this.siteSearch = new SiteSearch(this.data, this.indexUrl, this.locale, this.scope);
+      }
+      return this.siteSearch;
+    },
+  },
+};
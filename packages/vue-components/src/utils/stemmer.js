@@ -0,0 +1,164 @@
+/*
+ * Regexes of the Porter stemming algorithm, see https://tartarus.org/martin/PorterStemmer/def.txt
+ * A consonant (c) is a letter other than a, e, i, o, u, and y when preceded by a consonant.
+ * A sequence of consonants (C) or vowels (V) followed by a sequence of the other is counted as one measure.
+ */
+const c = '[^aeiou]';
+const v = '[aeiouy]';
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+const MEASURE_GREATER_THAN_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQUALS_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GREATER_THAN_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`);
+const ENDS_WITH_CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+const STEP_2_SUFFIXES = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log',
+};
+const STEP_3_SUFFIXES = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: '',
+};
+const STEP_4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize',
+];
+
+// The shortest stem is tried first, so that the longest suffix is matched
+const STEP_2_REGEX = new RegExp(`^(.+?)(${Object.keys(STEP_2_SUFFIXES).join('|')})$`);
+const STEP_3_REGEX = new RegExp(`^(.+?)(${Object.keys(STEP_3_SUFFIXES).join('|')})$`);
+const STEP_4_REGEX = new RegExp(`^(.+?)(${STEP_4_SUFFIXES.join('|')})$`);
+
+/**
+ * Reduces an English word to its stem with the Porter stemming algorithm,
+ * e.g. "configure", "configuring" and "configuration" are all reduced to "configur".
+ * @param {string} word in lowercase
+ * @returns {string}
+ */
+export function stemEnglish(word) {
+  if (word.length < 3) {
+    return word;
+  }
+
+  // An initial y is a consonant, mark it so that it is not matched as a vowel
+  const startsWithY = word[0] === 'y';
+  let stem = startsWithY ? `Y${word.slice(1)}` : word;
+
+  // Step 1a: plurals
+  stem = stem.replace(/(ss|i)es$/, '$1').replace(/([^s])s$/, '$1');
+
+  // Step 1b: past tenses and progressive forms
+  const eedMatch = /^(.+?)eed$/.exec(stem);
+  const edOrIngMatch = /^(.+?)(ed|ing)$/.exec(stem);
+  if (eedMatch) {
+    if (MEASURE_GREATER_THAN_0.test(eedMatch[1])) {
+      stem = stem.slice(0, -1);
+    }
+  } else if (edOrIngMatch && HAS_VOWEL.test(edOrIngMatch[1])) {
+    [, stem] = edOrIngMatch;
+    if (/(at|bl|iz)$/.test(stem)) {
+      stem += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    } else if (ENDS_WITH_CVC.test(stem)) {
+      stem += 'e';
+    }
+  }
+
+  // Step 1c
+  const yMatch = /^(.+?)y$/.exec(stem);
+  if (yMatch && HAS_VOWEL.test(yMatch[1])) {
+    stem = `${yMatch[1]}i`;
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  const step2Match = STEP_2_REGEX.exec(stem);
+  if (step2Match && MEASURE_GREATER_THAN_0.test(step2Match[1])) {
+    stem = step2Match[1] + STEP_2_SUFFIXES[step2Match[2]];
+  }
+  const step3Match = STEP_3_REGEX.exec(stem);
+  if (step3Match && MEASURE_GREATER_THAN_0.test(step3Match[1])) {
+    stem = step3Match[1] + STEP_3_SUFFIXES[step3Match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  const step4Match = STEP_4_REGEX.exec(stem);
+  const ionMatch = /^(.+?[st])ion$/.exec(stem);
+  if (step4Match) {
+    if (MEASURE_GREATER_THAN_1.test(step4Match[1])) {
+      [, stem] = step4Match;
+    }
+  } else if (ionMatch && MEASURE_GREATER_THAN_1.test(ionMatch[1])) {
+    [, stem] = ionMatch;
+  }
+
+  // Step 5: final e and double l
+  const eMatch = /^(.+?)e$/.exec(stem);
+  if (eMatch) {
+    const [, stemWithoutE] = eMatch;
+    if (MEASURE_GREATER_THAN_1.test(stemWithoutE)
+      || (MEASURE_EQUALS_1.test(stemWithoutE) && !ENDS_WITH_CVC.test(stemWithoutE))) {
+      stem = stemWithoutE;
+    }
+  }
+  if (/ll$/.test(stem) && MEASURE_GREATER_THAN_1.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  return startsWithY ? `y${stem.slice(1)}` : stem;
+}
+
+/**
+ * Stemmers of each supported language, by their ISO 639-1 code.
+ */
+const STEMMERS = {
+  en: stemEnglish,
+};
+
+/**
+ * Returns a function that reduces words in the language of the locale to their stems.
+ * Words of languages without a stemmer are left as they are.
+ * @param {string} locale such as the site's locale in its site.json, e.g. "en-GB"
+ * @returns {function(string): string}
+ */
+export function getStemmer(locale) {
+  const language = (locale || '').split(/[-_]/)[0].toLowerCase();
+  const stem = STEMMERS[language];
+  if (!stem) {
+    return word => word;
+  }
+
+  const stems = new Map();
+  return (word) => {
+    if (!stems.has(word)) {
+      stems.set(word, stem(word));
+    }
+    return stems.get(word);
+  };
+}